@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+// ============================================
+// 랜덤 조 편성기 - 명령줄 도구
+// 명단 파일을 읽어 조를 편성하고 텍스트/JSON/CSV/Markdown으로 출력
+// ============================================
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import {
+  DEFAULT_TEAM_COUNT,
+  MIN_TEAM_COUNT,
+  MAX_TEAM_COUNT,
+  clampTeamCount,
+  createRng,
+  generateSeed,
+  LEADER_FALLBACKS,
+  MIN_ROUND_COUNT,
+  MAX_ROUND_COUNT,
+  assignTeams,
+  buildRotationSchedule,
+  summarizePairMeetings,
+  applyAttendance,
+  assignStandIns,
+  getDrawConstraints,
+  assignRoles,
+  parseRosterText,
+  buildImportPreview,
+  mergeImport,
+  validateSettings,
+  formatDrawText,
+  formatDrawJson,
+  formatDrawCsv,
+  formatDrawMarkdown,
+  formatScheduleText,
+  formatScheduleJson,
+  formatScheduleCsv,
+  formatScheduleMarkdown
+} from './core.js';
+import { translate, resolveLocale } from './i18n.js';
+
+// 메시지 언어 - LC_ALL, LC_MESSAGES, LANG 순 ('en_US.UTF-8' → 'en'), 지원하지 않는 값이면 다음 후보, 없으면 기본 언어
+const locale = resolveLocale([process.env.LC_ALL, process.env.LC_MESSAGES, process.env.LANG]
+  .filter(Boolean)
+  .map(value => value.split(/[_.@]/)[0]));
+const t = (key, params) => translate(locale, key, params);
+
+/**
+ * 선택한 언어의 문구를 담은 Error
+ */
+function cliError(key, params) {
+  return new Error(t(key, params));
+}
+
+
+const FORMATTERS = {
+  text: draw => formatDrawText(draw, locale),
+  json: (draw, tags) => formatDrawJson(draw, tags) + '\n',
+  csv: (draw, tags) => formatDrawCsv(draw, tags, locale),
+  markdown: draw => formatDrawMarkdown(draw, locale)
+};
+
+const SCHEDULE_FORMATTERS = {
+  text: schedule => formatScheduleText(schedule, locale),
+  json: (schedule, tags) => formatScheduleJson(schedule, tags) + '\n',
+  csv: (schedule, tags) => formatScheduleCsv(schedule, tags, locale),
+  markdown: schedule => formatScheduleMarkdown(schedule, locale)
+};
+
+/**
+ * "앞=뒤" 형식 옵션 값을 나눔 - 형식이 틀리면 Error
+ */
+function splitAssignment(value, option) {
+  const index = value.indexOf('=');
+  if (index <= 0 || index === value.length - 1) {
+    throw cliError('cli.assignmentFormat', { option, value });
+  }
+  return [value.slice(0, index).trim(), value.slice(index + 1).trim()];
+}
+
+function parseTeamNumber(text, option) {
+  const team = Number(text);
+  if (!Number.isInteger(team) || team < 1) {
+    throw cliError('cli.invalidTeamNumber', { option, value: text });
+  }
+  return team;
+}
+
+function parsePair(value, type) {
+  const names = value.split(',').map(name => name.trim());
+  if (names.length !== 2) {
+    throw cliError('cli.pairFormat', { option: type, value });
+  }
+  return { a: names[0], b: names[1], type };
+}
+
+/**
+ * --role 값을 역할 설정으로 변환 - "역할"은 무작위, "역할:조=이름,..."은 이름으로 지정
+ */
+function parseRole(value) {
+  const index = value.indexOf(':');
+  if (index === -1) {
+    return { name: value.trim(), mode: 'random', assignees: {} };
+  }
+  const assignees = {};
+  value.slice(index + 1).split(',').forEach(assignment => {
+    const [team, name] = splitAssignment(assignment, 'role');
+    assignees[parseTeamNumber(team, 'role')] = name;
+  });
+  return { name: value.slice(0, index).trim(), mode: 'named', assignees };
+}
+
+async function readRoster(file) {
+  if (file !== '-') {
+    return readFile(file, 'utf8');
+  }
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * 명단 텍스트와 옵션으로 조 편성 설정 구성
+ * 반환: { settings, skipped } - skipped는 가져오지 못한 명단 줄
+ */
+function buildSettings(text, values) {
+  const empty = {
+    teamCount: DEFAULT_TEAM_COUNT,
+    participants: [],
+    participantTags: {},
+    leaders: {},
+    subLeaders: {},
+    constraints: [],
+    pairConstraints: [],
+    teamCapacities: {},
+    roles: [],
+    absent: [],
+    leaderFallback: LEADER_FALLBACKS[0]
+  };
+  const preview = buildImportPreview(parseRosterText(text), []);
+  const settings = mergeImport(empty, preview);
+
+  values.leader.forEach(value => {
+    const [team, name] = splitAssignment(value, 'leader');
+    settings.leaders[parseTeamNumber(team, 'leader')] = name;
+  });
+  values['sub-leader'].forEach(value => {
+    const [team, name] = splitAssignment(value, 'sub-leader');
+    settings.subLeaders[parseTeamNumber(team, 'sub-leader')] = name;
+  });
+  values.pin.forEach(value => {
+    const [name, team] = splitAssignment(value, 'pin');
+    settings.constraints.push({ name, team: parseTeamNumber(team, 'pin') });
+  });
+  values.capacity.forEach(value => {
+    const [team, capacity] = splitAssignment(value, 'capacity');
+    const count = Number(capacity);
+    if (!Number.isInteger(count) || count < 1) {
+      throw cliError('cli.invalidCapacity', { value: capacity });
+    }
+    settings.teamCapacities[parseTeamNumber(team, 'capacity')] = count;
+  });
+  values.together.forEach(value => settings.pairConstraints.push(parsePair(value, 'together')));
+  values.apart.forEach(value => settings.pairConstraints.push(parsePair(value, 'apart')));
+  values.role.forEach(value => settings.roles.push(parseRole(value)));
+  settings.absent = values.absent.map(name => name.trim());
+  if (values['leader-fallback'] !== undefined) {
+    if (!LEADER_FALLBACKS.includes(values['leader-fallback'])) {
+      throw cliError('cli.invalidLeaderFallback', { choices: LEADER_FALLBACKS.join(', '), value: values['leader-fallback'] });
+    }
+    settings.leaderFallback = values['leader-fallback'];
+  }
+
+  if (values.teams !== undefined) {
+    const teamCount = Number(values.teams);
+    if (clampTeamCount(teamCount) !== teamCount) {
+      throw cliError('cli.invalidTeamCount', { min: MIN_TEAM_COUNT, max: MAX_TEAM_COUNT, value: values.teams });
+    }
+    settings.teamCount = teamCount;
+  }
+
+  // 화면은 조 개수를 줄이면 그 조의 조장/부조장을 명단으로 돌려보내지만, 명령줄에서는 잘못 준 옵션일 수 있으므로 오류로 알림
+  const { teamCount } = settings;
+  [['leader', settings.leaders], ['subLeader', settings.subLeaders]].forEach(([type, slots]) => {
+    Object.entries(slots).forEach(([team, name]) => {
+      if (Number(team) > teamCount) {
+        throw cliError('issue.slotOutsideTeams', { name, slot: { type, team: Number(team) }, teamCount });
+      }
+    });
+  });
+  Object.keys(settings.teamCapacities).forEach(team => {
+    if (Number(team) > teamCount) {
+      throw cliError('cli.capacityOutsideTeams', { team: Number(team), teamCount });
+    }
+  });
+  settings.roles.forEach(role => {
+    Object.entries(role.assignees).forEach(([team, name]) => {
+      if (Number(team) > teamCount) {
+        throw cliError('issue.slotOutsideTeams', { name, slot: { type: 'role', team: Number(team), role: role.name }, teamCount });
+      }
+    });
+  });
+
+  return { settings, skipped: preview.filter(row => row.status !== 'ok') };
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      teams: { type: 'string', short: 't' },
+      seed: { type: 'string', short: 's' },
+      rounds: { type: 'string', short: 'r' },
+      format: { type: 'string', short: 'f', default: 'text' },
+      leader: { type: 'string', multiple: true, default: [] },
+      'sub-leader': { type: 'string', multiple: true, default: [] },
+      pin: { type: 'string', multiple: true, default: [] },
+      capacity: { type: 'string', multiple: true, default: [] },
+      together: { type: 'string', multiple: true, default: [] },
+      apart: { type: 'string', multiple: true, default: [] },
+      role: { type: 'string', multiple: true, default: [] },
+      absent: { type: 'string', multiple: true, default: [] },
+      'leader-fallback': { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const usage = t('cli.usage', { defaultTeams: DEFAULT_TEAM_COUNT });
+  if (values.help) {
+    process.stdout.write(usage);
+    return 0;
+  }
+  if (positionals.length !== 1) {
+    process.stderr.write(usage);
+    return 2;
+  }
+  const format = FORMATTERS[values.format];
+  if (!format) {
+    throw cliError('cli.unknownFormat', { format: values.format, formats: Object.keys(FORMATTERS).join(', ') });
+  }
+  const roundCount = values.rounds === undefined ? null : Number(values.rounds);
+  if (roundCount !== null && !(Number.isInteger(roundCount) && roundCount >= MIN_ROUND_COUNT && roundCount <= MAX_ROUND_COUNT)) {
+    throw cliError('cli.invalidRounds', { min: MIN_ROUND_COUNT, max: MAX_ROUND_COUNT, value: values.rounds });
+  }
+
+  const { settings, skipped } = buildSettings(await readRoster(positionals[0]), values);
+  skipped.forEach(row => {
+    const reason = row.error ? t(row.error.code, row.error.params) : t(`import.status.${row.status}`);
+    process.stderr.write(`${t('cli.skipped', { name: row.name || t('import.blankName'), reason })}\n`);
+  });
+
+  const { errors, warnings } = validateSettings(settings);
+  // 조장 없이 편성하는 기본 사용에서는 조마다 '조장 없음'이 나오므로 조장을 준 경우에만 알림
+  const hasLeaders = Object.values(settings.leaders).some(Boolean);
+  warnings
+    .filter(({ code }) => hasLeaders || code !== 'issue.noLeader')
+    .forEach(({ code, params }) => process.stderr.write(`${t('cli.warning', { message: t(code, params) })}\n`));
+  if (errors.length > 0) {
+    errors.forEach(({ code, params }) => process.stderr.write(`${t('cli.error', { message: t(code, params) })}\n`));
+    return 1;
+  }
+
+  const seed = values.seed || generateSeed();
+  // 화면과 같은 순서로 같은 난수 흐름을 써서 시드가 같으면 화면과 결과가 같음
+  const { settings: present, standInTeams } = applyAttendance(settings);
+  const random = createRng(seed);
+  const options = {
+    pairs: present.pairConstraints,
+    tags: present.participantTags,
+    capacities: present.teamCapacities
+  };
+  const finishTeams = teams => assignRoles(assignStandIns(teams, present.teamCount, standInTeams, random), present.teamCount, present.roles, random);
+
+  if (roundCount !== null) {
+    const rounds = buildRotationSchedule(present.leaders, present.subLeaders, present.participants, getDrawConstraints(present), present.teamCount, roundCount, random, options);
+    const schedule = {
+      rounds: rounds.map(({ teams }) => finishTeams(teams)),
+      teamCount: settings.teamCount,
+      seed,
+      createdAt: new Date().toISOString()
+    };
+    const { histogram } = summarizePairMeetings(schedule.rounds, schedule.teamCount);
+    const summary = Object.entries(histogram).map(([count, pairs]) => t('schedule.meetingCount', { count: Number(count), pairs })).join(', ');
+    process.stderr.write(`${t('schedule.meetings', { summary })}\n`);
+    process.stdout.write(SCHEDULE_FORMATTERS[values.format](schedule, settings.participantTags));
+    return 0;
+  }
+
+  const teams = finishTeams(assignTeams(present.leaders, present.subLeaders, present.participants, getDrawConstraints(present), present.teamCount, random, options));
+  const draw = {
+    teams,
+    teamCount: settings.teamCount,
+    seed,
+    commitHash: null,
+    createdAt: new Date().toISOString()
+  };
+
+  process.stdout.write(format(draw, settings.participantTags));
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  code => {
+    process.exitCode = code;
+  },
+  e => {
+    // core.js의 오류는 코드로 선택한 언어의 문구를 다시 만듦 (parseArgs, 파일 읽기 오류는 Node의 문구 그대로)
+    const message = e.code && e.params ? t(e.code, e.params) : e.message;
+    process.stderr.write(`${t('cli.error', { message })}\n`);
+    process.exitCode = 1;
+  }
+);
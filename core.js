@@ -0,0 +1,2017 @@
+// ============================================
+// 랜덤 조 편성기 - 핵심 로직
+// DOM에 의존하지 않는 순수 함수 모음 (브라우저와 Node에서 함께 쓰는 ES 모듈)
+// ============================================
+
+import { DEFAULT_LOCALE, translate, localized } from './i18n.js';
+
+// Web Crypto - 브라우저와 Node 19 이상은 전역 crypto, Node 18은 node:crypto에서 가져옴
+const webCrypto = globalThis.crypto ?? (await import('node:crypto')).webcrypto;
+
+// ============================================
+// 1. 설정
+// ============================================
+export const DEFAULT_TEAM_COUNT = 3;
+export const MIN_TEAM_COUNT = 2;
+export const MAX_TEAM_COUNT = 10;
+export const DEFAULT_ALPHA = 0.05;
+// 쌍 제약조건이 있을 때 균등 배분을 찾기 위한 최대 재시도 횟수
+export const MAX_PAIR_ATTEMPTS = 200;
+// '조원 겹침 줄이기'에서 비교할 후보 편성 수
+export const REPEAT_CANDIDATES = 200;
+// 조장 결석 시 대처 방식 (첫 값이 기본)
+export const LEADER_FALLBACKS = ['subLeader', 'random', 'none'];
+// 라운드 일정의 라운드 수
+export const DEFAULT_ROUND_COUNT = 4;
+export const MIN_ROUND_COUNT = 2;
+export const MAX_ROUND_COUNT = 10;
+
+// ============================================
+// 2. 핵심 로직 (순수 함수)
+// ============================================
+
+/**
+ * 코드와 값이 붙은 Error - message는 기본 언어 문구, 화면은 code/params로 선택한 언어의 문구를 만듦
+ */
+function localizedError(code, params = {}) {
+  const { message } = localized(code, params);
+  return Object.assign(new Error(message), { code, params });
+}
+
+/**
+ * 이름(참가자, 태그, 프리셋)을 키로 쓰는 객체 - 프로토타입이 없어 '__proto__', 'constructor' 같은 이름도 일반 키
+ * entries를 주면 그 속성을 복사해 담음
+ */
+export function createNameMap(entries = {}) {
+  return Object.assign(Object.create(null), entries);
+}
+
+/**
+ * 문자열 시드를 32비트 정수로 변환 (xmur3 해시)
+ */
+function hashSeed(seed) {
+  let h = 1779033703 ^ seed.length;
+  for (let i = 0; i < seed.length; i++) {
+    h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * 시드 기반 난수 생성기 (mulberry32)
+ * 같은 시드면 항상 같은 [0, 1) 수열을 반환하므로 결과 재현이 가능
+ */
+export function createRng(seed) {
+  let state = hashSeed(String(seed));
+  return function random() {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 새 시드 생성 (암호학적 난수 64비트 → base36 14자리)
+ */
+export function generateSeed() {
+  const words = new Uint32Array(2);
+  webCrypto.getRandomValues(words);
+  return Array.from(words, word => word.toString(36).padStart(7, '0')).join('');
+}
+
+/**
+ * 커밋-공개용 SHA-256 해시 (16진수 문자열)
+ */
+export async function sha256Hex(text) {
+  const digest = await webCrypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 키를 정렬한 JSON - 같은 설정이면 키를 넣은 순서와 관계없이 같은 문자열
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * 커밋-공개용 커밋 - 시드와 설정 JSON을 줄바꿈으로 이어 해시
+ * 시드만 해시하면 공개 전에 명단·설정을 바꿔 원하는 결과를 고를 수 있으므로 설정도 함께 묶음
+ * 반환: { seed, settings(정렬한 JSON), hash }
+ */
+export async function createCommit(seed, settings) {
+  const settingsJson = canonicalJson(settings);
+  return { seed, settings: settingsJson, hash: await sha256Hex(`${seed}\n${settingsJson}`) };
+}
+
+/**
+ * Fisher-Yates Shuffle 알고리즘
+ * random을 생략하면 Math.random 사용
+ */
+export function shuffle(array, random = Math.random) {
+  const arr = [...array];
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+/**
+ * 조 개수를 허용 범위(MIN~MAX)의 정수로 보정
+ */
+export function clampTeamCount(value) {
+  const count = parseInt(value);
+  if (Number.isNaN(count)) return DEFAULT_TEAM_COUNT;
+  return Math.min(MAX_TEAM_COUNT, Math.max(MIN_TEAM_COUNT, count));
+}
+
+/**
+ * 라운드 수를 허용 범위(MIN~MAX)의 정수로 보정
+ */
+export function clampRoundCount(value) {
+  const count = parseInt(value);
+  if (Number.isNaN(count)) return DEFAULT_ROUND_COUNT;
+  return Math.min(MAX_ROUND_COUNT, Math.max(MIN_ROUND_COUNT, count));
+}
+
+/**
+ * 제약조건의 조 번호가 현재 조 개수 범위 안에 있는지 확인
+ */
+export function isValidTeam(team, teamCount) {
+  return Number.isInteger(team) && team >= 1 && team <= teamCount;
+}
+
+/**
+ * 조 정원 (최대 인원) - 1 이상의 정수가 아니면 제한 없음(Infinity)
+ */
+function capacityOf(capacities, team) {
+  const capacity = capacities[team];
+  return Number.isInteger(capacity) && capacity > 0 ? capacity : Infinity;
+}
+
+/**
+ * 쌍 제약조건 중 이번 배분에 실제로 참여하는 두 사람에 대한 것만 추림
+ * pair: { a, b, type: 'together' | 'apart' }
+ */
+function getActivePairs(pairs, presentNames) {
+  return pairs.filter(({ a, b }) => a && b && a !== b && presentNames.has(a) && presentNames.has(b));
+}
+
+/**
+ * 쌍 제약조건 해석
+ * - 'together' 쌍은 union-find로 묶어 한 단위(unit)로 배치
+ * - 단위 안에 고정 멤버가 있으면 그 조에 고정(anchored)
+ * - 'apart' 쌍은 이름별 떨어뜨릴 상대 목록으로 변환
+ * 만족할 수 없는 조합이면 Error
+ */
+function resolvePairConstraints(fixedTeamOf, freeNames, pairs) {
+  const parent = new Map();
+  const find = (name) => {
+    while (parent.get(name) !== name) {
+      parent.set(name, parent.get(parent.get(name)));
+      name = parent.get(name);
+    }
+    return name;
+  };
+  [...fixedTeamOf.keys(), ...freeNames].forEach(name => parent.set(name, name));
+
+  pairs.filter(p => p.type === 'together').forEach(({ a, b }) => {
+    parent.set(find(a), find(b));
+  });
+
+  // 묶음별 이름 수집
+  const groups = new Map();
+  parent.forEach((_, name) => {
+    const root = find(name);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(name);
+  });
+
+  const anchored = [];
+  const units = [];
+  groups.forEach(names => {
+    const fixedTeams = [...new Set(names.filter(name => fixedTeamOf.has(name)).map(name => fixedTeamOf.get(name)))];
+    if (fixedTeams.length > 1) {
+      throw localizedError('error.togetherPinnedApart', { names, teams: fixedTeams });
+    }
+    const freeInGroup = names.filter(name => !fixedTeamOf.has(name));
+    if (freeInGroup.length === 0) return;
+    if (fixedTeams.length === 1) {
+      anchored.push({ names: freeInGroup, team: fixedTeams[0] });
+    } else {
+      units.push(freeInGroup);
+    }
+  });
+
+  // 고정 멤버와 묶여 조가 정해진 참가자도 고정 멤버처럼 'apart' 충돌 검사
+  const placedTeamOf = new Map(fixedTeamOf);
+  anchored.forEach(({ names, team }) => names.forEach(name => placedTeamOf.set(name, team)));
+
+  const apart = new Map();
+  pairs.filter(p => p.type === 'apart').forEach(({ a, b }) => {
+    if (find(a) === find(b)) {
+      throw localizedError('error.apartButTogether', { a, b });
+    }
+    if (placedTeamOf.has(a) && placedTeamOf.has(b) && placedTeamOf.get(a) === placedTeamOf.get(b)) {
+      throw localizedError('error.apartButPinned', { a, b, team: placedTeamOf.get(a) });
+    }
+    if (!apart.has(a)) apart.set(a, new Set());
+    if (!apart.has(b)) apart.set(b, new Set());
+    apart.get(a).add(b);
+    apart.get(b).add(a);
+  });
+
+  return { anchored, units, apart };
+}
+
+/**
+ * 태그 문자열 파싱 ("9기, 여" → ['9기', '여']) - 공백 제거, 빈 값/중복 제외
+ */
+export function parseTags(text) {
+  return [...new Set(String(text).split(',').map(tag => tag.trim()).filter(Boolean))];
+}
+
+/**
+ * 참가자의 태그 - 없으면 []
+ * 이름이 'constructor'처럼 객체 기본 속성과 같아도 상속된 값을 태그로 읽지 않음
+ */
+export function getTags(tags, name) {
+  return Object.hasOwn(tags, name) ? tags[name] : [];
+}
+
+/**
+ * 조별 태그 인원 집계 - { 조: { 태그: 인원 } }
+ * 어느 조에든 등장한 태그는 모든 조에 0 이상으로 표시
+ */
+export function countTeamTags(teams, teamCount, tags) {
+  const allTags = new Set();
+  for (let i = 1; i <= teamCount; i++) {
+    teams[i].forEach(member => getTags(tags, member.name).forEach(tag => allTags.add(tag)));
+  }
+
+  const counts = {};
+  for (let i = 1; i <= teamCount; i++) {
+    counts[i] = createNameMap();
+    allTags.forEach(tag => {
+      counts[i][tag] = 0;
+    });
+    teams[i].forEach(member => getTags(tags, member.name).forEach(tag => {
+      counts[i][tag]++;
+    }));
+  }
+  return counts;
+}
+
+/**
+ * 단위 구성원의 태그와 겹치는 태그를 가진 조원 수 (작을수록 태그가 고르게 퍼짐)
+ */
+function getTagOverlap(teamMembers, unit, tags) {
+  const unitTags = new Set(unit.flatMap(name => getTags(tags, name)));
+  if (unitTags.size === 0) return 0;
+
+  let overlap = 0;
+  teamMembers.forEach(member => {
+    getTags(tags, member.name).forEach(tag => {
+      if (unitTags.has(tag)) overlap++;
+    });
+  });
+  return overlap;
+}
+
+/**
+ * 단위(unit)들을 셔플 후 인원이 가장 적은 조부터 배치 (동점 시 랜덤)
+ * 큰 단위를 먼저 배치하고, 'apart' 상대가 있는 조는 후보에서 제외
+ * 태그가 있으면 인원이 같은 조들 중 같은 태그가 적은 조를 우선
+ * 정원(capacities)이 찬 조는 후보에서 제외
+ * 배치할 조가 없으면 null
+ */
+function placeUnits(baseTeams, units, apart, teamCount, random, tags = {}, capacities = {}) {
+  const teams = {};
+  for (let i = 1; i <= teamCount; i++) {
+    teams[i] = [...baseTeams[i]];
+  }
+
+  // 정렬은 안정적이므로 같은 크기 단위끼리는 셔플 순서 유지
+  // 태그가 있는 단위를 먼저 배치해야 조 인원이 비슷할 때 태그를 고르게 나눌 여지가 큼
+  const tagCount = (unit) => unit.reduce((sum, name) => sum + getTags(tags, name).length, 0);
+  const ordered = shuffle(units, random).sort((x, y) => (y.length - x.length) || (tagCount(y) - tagCount(x)));
+
+  for (const unit of ordered) {
+    const candidates = [];
+    for (let i = 1; i <= teamCount; i++) {
+      const conflict = teams[i].some(member => unit.some(name => apart.has(name) && apart.get(name).has(member.name)));
+      const full = teams[i].length + unit.length > capacityOf(capacities, i);
+      if (!conflict && !full) {
+        candidates.push(i);
+      }
+    }
+    if (candidates.length === 0) return null;
+
+    // 현재 인원이 가장 적은 후보 조들 중 랜덤 선택
+    const minCount = Math.min(...candidates.map(i => teams[i].length));
+    const minTeams = candidates.filter(i => teams[i].length === minCount);
+
+    // 같은 태그가 가장 적은 조들로 한 번 더 좁힘
+    const overlaps = minTeams.map(i => getTagOverlap(teams[i], unit, tags));
+    const minOverlap = Math.min(...overlaps);
+    const bestTeams = minTeams.filter((_, index) => overlaps[index] === minOverlap);
+    const selectedTeam = bestTeams[Math.floor(random() * bestTeams.length)];
+    unit.forEach(name => teams[selectedTeam].push({ name, role: 'member' }));
+  }
+
+  return teams;
+}
+
+/**
+ * 조별 인원 차이 - 가장 큰 조와 가장 작은 조의 인원 차
+ */
+export function getTeamSpread(teams, teamCount) {
+  const sizes = [];
+  for (let i = 1; i <= teamCount; i++) {
+    sizes.push(teams[i].length);
+  }
+  return Math.max(...sizes) - Math.min(...sizes);
+}
+
+/**
+ * 조장/부조장 + 제약조건 + 나머지 참가자 배분
+ * (존재하지 않는 조를 가리키는 제약조건 멤버는 일반 참가자처럼 배분)
+ * options.pairs: 쌍 제약조건 [{ a, b, type: 'together' | 'apart' }]
+ * options.tags: 이름별 태그 { 이름: ['9기', ...] } - 태그별 인원을 조마다 고르게 분산
+ * options.capacities: 조별 정원 { 조: 최대 인원 } - 정원이 찬 조에는 더 배치하지 않음
+ *   (모든 조의 정원 합이 전체 인원과 같으면 4/4/6처럼 정한 크기로 나뉨)
+ * 쌍 제약조건이나 정원을 모두 만족하는 배분이 없거나, '같은 조' 묶음이나 '다른 조' 제약 때문에
+ * 조별 인원을 고르게(정원이 있으면 정원대로) 나눌 수 없으면 Error
+ */
+export function assignTeams(leaders, subLeaders, participants, constraints, teamCount = DEFAULT_TEAM_COUNT, random = Math.random, options = {}) {
+  const { pairs = [], tags = {}, capacities = {} } = options;
+  const teams = {};
+
+  // 1. 조장/부조장 먼저 배치
+  for (let i = 1; i <= teamCount; i++) {
+    teams[i] = [];
+    if (leaders[i]) {
+      teams[i].push({ name: leaders[i], role: 'leader' });
+    }
+    if (subLeaders[i]) {
+      teams[i].push({ name: subLeaders[i], role: 'subLeader' });
+    }
+  }
+
+  // 2. 제약조건 멤버 배치
+  const validConstraints = constraints.filter(c => isValidTeam(c.team, teamCount));
+  validConstraints.forEach(({ name, team }) => {
+    teams[team].push({ name, role: 'constrained' });
+  });
+
+  // 3. 나머지 참가자에서 조장/부조장/제약조건 멤버 제외
+  const leaderNames = [];
+  for (let i = 1; i <= teamCount; i++) {
+    leaderNames.push(leaders[i], subLeaders[i]);
+  }
+  const excludeNames = new Set([
+    ...leaderNames,
+    ...validConstraints.map(c => c.name)
+  ].filter(Boolean));
+
+  const remainingParticipants = participants.filter(name => !excludeNames.has(name));
+
+  // 4. 쌍 제약조건 해석 - '같은 조'로 고정 멤버와 묶인 참가자는 그 조에 먼저 배치
+  const fixedTeamOf = new Map();
+  for (let i = 1; i <= teamCount; i++) {
+    teams[i].forEach(member => fixedTeamOf.set(member.name, i));
+  }
+  const activePairs = getActivePairs(pairs, new Set([...fixedTeamOf.keys(), ...remainingParticipants]));
+  const { anchored, units, apart } = resolvePairConstraints(fixedTeamOf, remainingParticipants, activePairs);
+
+  anchored.forEach(({ names, team }) => {
+    names.forEach(name => teams[team].push({ name, role: 'member' }));
+  });
+
+  // 고정 인원만으로 정원을 넘거나 전체 인원이 정원 합보다 많으면 배분할 수 없음
+  let totalCapacity = 0;
+  for (let i = 1; i <= teamCount; i++) {
+    const capacity = capacityOf(capacities, i);
+    if (teams[i].length > capacity) {
+      throw localizedError('error.fixedOverCapacity', { team: i, count: teams[i].length, capacity });
+    }
+    totalCapacity += capacity;
+  }
+  const totalCount = Object.values(teams).reduce((sum, members) => sum + members.length, 0)
+    + units.reduce((sum, unit) => sum + unit.length, 0);
+  if (totalCount > totalCapacity) {
+    throw localizedError('error.totalOverCapacity', { count: totalCount, capacity: totalCapacity });
+  }
+
+  // 5. 남은 참가자 셔플 후 균등 배분 (인원 적은 조에 먼저 배치, 동점 시 랜덤)
+  //    쌍 제약조건이 없으면 첫 시도가 곧 결과
+  const fixedCounts = {};
+  for (let i = 1; i <= teamCount; i++) {
+    fixedCounts[i] = teams[i].length;
+  }
+  const freeCount = units.reduce((sum, unit) => sum + unit.length, 0);
+  const slots = computeFreeSlots(fixedCounts, freeCount, teamCount, capacities);
+  const idealSizes = Object.keys(slots).map(i => fixedCounts[i] + slots[i].base);
+  const idealSpread = Math.max(...Object.keys(slots).map(i => fixedCounts[i] + slots[i].base + (slots[i].extra > 0 ? 1 : 0))) - Math.min(...idealSizes);
+
+  const placeMostEvenly = (apartOf) => {
+    let best = null;
+    for (let attempt = 0; attempt < MAX_PAIR_ATTEMPTS; attempt++) {
+      const placed = placeUnits(teams, units, apartOf, teamCount, random, tags, capacities);
+      if (!placed) continue;
+
+      const spread = getTeamSpread(placed, teamCount);
+      if (!best || spread < best.spread) {
+        best = { teams: placed, spread };
+      }
+      if (spread <= idealSpread) break;
+    }
+    return best;
+  };
+  const best = placeMostEvenly(apart);
+
+  if (!best) {
+    throw localizedError(Object.keys(capacities).length > 0 ? 'error.noPlacementWithCapacity' : 'error.noPlacement');
+  }
+  // 큰 '같은 조' 묶음은 한 조에 몰리고, 여러 사람과 '다른 조'인 사람은 남은 조에 몰려 인원 차이가 커짐
+  // 치우친 편성을 조용히 돌려주지 않음 - 둘 다 있으면 '다른 조'를 빼고도 고르게 나눌 수 없을 때만 '같은 조' 탓
+  if (best.spread > idealSpread) {
+    const byTogether = units.some(unit => unit.length > 1)
+      && (apart.size === 0 || placeMostEvenly(new Map()).spread > idealSpread);
+    throw localizedError(byTogether ? 'error.unevenTogether' : 'error.unevenApart', { spread: best.spread });
+  }
+
+  return best.teams;
+}
+
+/**
+ * 출석 반영 - 결석자(settings.absent)를 명단, 조장/부조장, 제약조건, 역할 담당자에서 뺀 편성용 설정 (원본은 바꾸지 않음)
+ * 조장이 결석하면 settings.leaderFallback에 따라:
+ * - 'subLeader' (기본): 출석한 부조장이 조장을 맡음, 부조장도 없으면 무작위로 대신
+ * - 'random': 추첨 후 그 조 조원 중 무작위로 대신 (assignStandIns)
+ * - 'none': 조장 없이 편성
+ * 반환: { settings, standInTeams } - standInTeams는 추첨 후 대신할 조장을 뽑을 조 번호 목록
+ */
+export function applyAttendance(settings) {
+  const { teamCount, absent = [], leaderFallback = 'subLeader' } = settings;
+  const isAbsent = name => absent.includes(name);
+  const leaders = {};
+  const subLeaders = {};
+  const standInTeams = [];
+
+  for (let i = 1; i <= teamCount; i++) {
+    const leader = settings.leaders[i] || '';
+    const subLeader = isAbsent(settings.subLeaders[i]) ? '' : settings.subLeaders[i] || '';
+    if (!isAbsent(leader)) {
+      leaders[i] = leader;
+      subLeaders[i] = subLeader;
+    } else if (leaderFallback === 'subLeader' && subLeader) {
+      leaders[i] = subLeader;
+      subLeaders[i] = '';
+    } else {
+      leaders[i] = '';
+      subLeaders[i] = subLeader;
+      if (leaderFallback !== 'none') {
+        standInTeams.push(i);
+      }
+    }
+  }
+
+  return {
+    settings: {
+      ...settings,
+      participants: settings.participants.filter(name => !isAbsent(name)),
+      leaders,
+      subLeaders,
+      constraints: settings.constraints.filter(({ name }) => !isAbsent(name)),
+      pairConstraints: settings.pairConstraints.filter(({ a, b }) => !isAbsent(a) && !isAbsent(b)),
+      roles: (settings.roles || []).map(role => ({
+        ...role,
+        assignees: Object.fromEntries(Object.entries(role.assignees).filter(([, name]) => !isAbsent(name)))
+      })),
+      absent: []
+    },
+    standInTeams
+  };
+}
+
+/**
+ * 추첨 후 조장이 빠진 조에서 대신할 조장을 뽑아 맨 앞에 둠 (원본은 바꾸지 않음)
+ * 조원 중에서 먼저 고르고, 조원이 없으면 고정 멤버 중에서 고름
+ */
+export function assignStandIns(teams, teamCount, standInTeams, random = Math.random) {
+  const result = {};
+  for (let i = 1; i <= teamCount; i++) {
+    result[i] = [...teams[i]];
+  }
+
+  standInTeams.forEach(team => {
+    const members = result[team];
+    const pool = ['member', 'constrained']
+      .map(role => members.filter(member => member.role === role))
+      .find(candidates => candidates.length > 0);
+    if (!pool) return;
+    const standIn = pool[Math.floor(random() * pool.length)];
+    result[team] = [{ ...standIn, role: 'leader' }, ...members.filter(member => member !== standIn)];
+  });
+  return result;
+}
+
+/**
+ * 조 편성에 넘길 제약조건 - 이름으로 지정한 역할 담당자도 그 조에 고정
+ * (이미 조장/부조장/제약조건으로 고정된 사람은 중복 배치되지 않도록 제외)
+ * roles: [{ name, mode: 'random' | 'named', assignees: { 조: 이름 } }]
+ */
+export function getDrawConstraints(settings) {
+  const { teamCount, leaders, subLeaders, constraints, roles = [] } = settings;
+  const fixedNames = new Set(constraints.filter(c => isValidTeam(c.team, teamCount)).map(c => c.name));
+  for (let i = 1; i <= teamCount; i++) {
+    fixedNames.add(leaders[i]);
+    fixedNames.add(subLeaders[i]);
+  }
+
+  const result = [...constraints];
+  roles.filter(role => role.mode === 'named').forEach(role => {
+    for (let i = 1; i <= teamCount; i++) {
+      const name = role.assignees[i];
+      if (name && name.trim() && !fixedNames.has(name)) {
+        result.push({ name, team: i });
+        fixedNames.add(name);
+      }
+    }
+  });
+  return result;
+}
+
+/**
+ * 추첨 후 조마다 역할 담당자 지정 - 멤버의 roles 배열에 역할 이름 추가 (원본은 바꾸지 않음)
+ * - named: 그 조에 지정한 사람 (getDrawConstraints로 고정되어 있음) - 먼저 지정
+ * - random: 조장/부조장/다른 역할이 없는 사람 중 무작위, 없으면 다른 역할이 없는 사람, 그래도 없으면 조 전체에서
+ * 같은 random(시드)이면 같은 결과
+ */
+export function assignRoles(teams, teamCount, roles, random = Math.random) {
+  const result = {};
+  for (let i = 1; i <= teamCount; i++) {
+    result[i] = teams[i].map(({ name, role }) => ({ name, role }));
+  }
+
+  const hasRoles = member => member.roles && member.roles.length > 0;
+  // 지정 역할을 먼저 채워야 무작위 역할이 지정 담당자에게 겹치지 않음
+  const active = roles.filter(role => role.name && role.name.trim());
+  [...active.filter(role => role.mode === 'named'), ...active.filter(role => role.mode !== 'named')].forEach(role => {
+    for (let i = 1; i <= teamCount; i++) {
+      const members = result[i];
+      let holder;
+      if (role.mode === 'named') {
+        holder = members.find(member => member.name === role.assignees[i]);
+      } else {
+        const pools = [
+          members.filter(member => !hasRoles(member) && member.role !== 'leader' && member.role !== 'subLeader'),
+          members.filter(member => !hasRoles(member)),
+          members
+        ];
+        const pool = pools.find(candidates => candidates.length > 0);
+        holder = pool && pool[Math.floor(random() * pool.length)];
+      }
+      if (holder) {
+        holder.roles = [...(holder.roles || []), role.name];
+      }
+    }
+  });
+  return result;
+}
+
+/**
+ * 두 사람 쌍의 키 - 순서와 상관없이 같은 값 (이름에 쓰지 않는 \u0000으로 구분)
+ */
+export function pairKey(a, b) {
+  return a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`;
+}
+
+/**
+ * 같은 조에 속한 두 사람 쌍 목록
+ * 둘 다 고정 인원(조장/부조장/제약조건)인 쌍은 매번 같은 조일 수밖에 없으므로 제외
+ */
+function getTeammatePairs(teams, teamCount) {
+  const pairs = [];
+  for (let i = 1; i <= teamCount; i++) {
+    const members = teams[i];
+    for (let a = 0; a < members.length; a++) {
+      for (let b = a + 1; b < members.length; b++) {
+        if (members[a].role === 'member' || members[b].role === 'member') {
+          pairs.push(pairKey(members[a].name, members[b].name));
+        }
+      }
+    }
+  }
+  return pairs;
+}
+
+/**
+ * 지난 추첨들에서 같은 조였던 쌍별 횟수 { 쌍 키: 횟수 }
+ */
+export function countPastPairs(pastDraws) {
+  const counts = {};
+  pastDraws.forEach(({ teams, teamCount }) => {
+    getTeammatePairs(teams, teamCount).forEach(key => {
+      counts[key] = (counts[key] || 0) + 1;
+    });
+  });
+  return counts;
+}
+
+/**
+ * countPastPairs 결과를 [이름, 이름, 횟수] 목록으로 - 커밋처럼 사람이 읽고 확인할 곳에 씀 (이름 순)
+ */
+export function listPastPairs(pastPairs) {
+  return Object.keys(pastPairs).sort().map(key => [...key.split('\u0000'), pastPairs[key]]);
+}
+
+/**
+ * 편성 결과에서 지난 추첨과 겹친 조원 쌍 수 (여러 번 겹친 쌍은 그 횟수만큼)
+ */
+export function countRepeatPairs(teams, teamCount, pastPairs) {
+  return getTeammatePairs(teams, teamCount).reduce((sum, key) => sum + (pastPairs[key] || 0), 0);
+}
+
+/**
+ * 조원 겹침 줄이기 - assignTeams 후보 여러 개 중 지난 추첨과 겹치는 쌍이 가장 적은 편성 선택
+ * 같은 random(시드)과 같은 기록이면 같은 결과
+ * options: assignTeams 옵션 + { pastPairs, candidates }
+ * 반환: { teams, repeatPairs }
+ */
+export function assignTeamsAvoidingRepeats(leaders, subLeaders, participants, constraints, teamCount, random = Math.random, options = {}) {
+  const { pastPairs = {}, candidates = REPEAT_CANDIDATES } = options;
+  let best = null;
+
+  for (let i = 0; i < candidates; i++) {
+    const teams = assignTeams(leaders, subLeaders, participants, constraints, teamCount, random, options);
+    const repeatPairs = countRepeatPairs(teams, teamCount, pastPairs);
+    if (!best || repeatPairs < best.repeatPairs) {
+      best = { teams, repeatPairs };
+    }
+    if (repeatPairs === 0) break;
+  }
+
+  return best;
+}
+
+/**
+ * 겹침 줄이기 - 다른 조의 조원 두 명을 맞바꿔 지난 쌍 횟수의 제곱 합이 줄면 바꾸기를 더 줄지 않을 때까지 반복
+ * (제곱이라 세 번째 만남이 두 번째보다 무거워 한 쌍에 몰리지 않고 고르게 퍼짐)
+ * 조원끼리만, 태그가 같은 사람끼리만 바꾸므로 조별 인원/정원/태그 분산은 그대로이고, 쌍 제약조건을 어기는 교환은 건너뜀
+ * 원본은 바꾸지 않음
+ */
+function reduceRepeatsBySwaps(teams, teamCount, pastPairs, options = {}) {
+  const { pairs = [], tags = {} } = options;
+  const result = {};
+  const teamOf = new Map();
+  for (let i = 1; i <= teamCount; i++) {
+    result[i] = [...teams[i]];
+    result[i].forEach(({ name }) => teamOf.set(name, i));
+  }
+
+  const tagKey = name => [...getTags(tags, name)].sort().join('\u0000');
+  const costWith = (name, team, except) => result[team]
+    .reduce((sum, other) => (other.name === name || other.name === except ? sum : sum + (pastPairs[pairKey(name, other.name)] || 0) ** 2), 0);
+  const keepsPairs = () => pairs.every(({ a, b, type }) => (
+    !teamOf.has(a) || !teamOf.has(b) || (teamOf.get(a) === teamOf.get(b)) === (type === 'together')
+  ));
+
+  let improved = true;
+  for (let pass = 0; improved && pass < 20; pass++) {
+    improved = false;
+    for (let i = 1; i <= teamCount; i++) {
+      for (let j = i + 1; j <= teamCount; j++) {
+        for (let x = 0; x < result[i].length; x++) {
+          for (let y = 0; y < result[j].length; y++) {
+            const a = result[i][x];
+            const b = result[j][y];
+            if (a.role !== 'member' || b.role !== 'member' || tagKey(a.name) !== tagKey(b.name)) continue;
+
+            const before = costWith(a.name, i, b.name) + costWith(b.name, j, a.name);
+            const after = costWith(a.name, j, b.name) + costWith(b.name, i, a.name);
+            if (after >= before) continue;
+
+            teamOf.set(a.name, j);
+            teamOf.set(b.name, i);
+            if (keepsPairs()) {
+              [result[i][x], result[j][y]] = [b, a];
+              improved = true;
+            } else {
+              teamOf.set(a.name, i);
+              teamOf.set(b.name, j);
+            }
+          }
+        }
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * 여러 라운드 일정 (소셜 골퍼 방식) - 라운드마다 assignTeamsAvoidingRepeats로
+ * 앞 라운드들에서 이미 같은 조였던 쌍이 가장 적은 편성을 고른 뒤 조원 맞바꾸기로 더 줄여 만남을 고르게 퍼뜨림
+ * 조장/부조장/제약조건/쌍 제약조건/정원은 라운드마다 그대로 적용, 같은 random(시드)이면 같은 일정
+ * options: assignTeams 옵션 + { candidates }
+ * 반환: [{ teams, repeatPairs }] - repeatPairs는 앞 라운드와 겹친 조원 쌍 수
+ */
+export function buildRotationSchedule(leaders, subLeaders, participants, constraints, teamCount, roundCount, random = Math.random, options = {}) {
+  const rounds = [];
+  for (let round = 0; round < roundCount; round++) {
+    const pastPairs = countPastPairs(rounds.map(({ teams }) => ({ teams, teamCount })));
+    const best = assignTeamsAvoidingRepeats(leaders, subLeaders, participants, constraints, teamCount, random, { ...options, pastPairs });
+    const teams = reduceRepeatsBySwaps(best.teams, teamCount, pastPairs, options);
+    rounds.push({ teams, repeatPairs: countRepeatPairs(teams, teamCount, pastPairs) });
+  }
+  return rounds;
+}
+
+/**
+ * 일정 전체에서 두 사람이 같은 조가 된 횟수 집계
+ * 모든 라운드에서 고정 인원(조장/부조장/제약조건)인 두 사람은 만남이 정해져 있으므로 제외
+ * 반환: { pairs: [{ a, b, count }] (많이 만난 순), histogram: { 만난 횟수: 쌍 수 }, maxCount }
+ */
+export function summarizePairMeetings(rounds, teamCount) {
+  const names = [];
+  const alwaysFixed = new Map();
+  const counts = {};
+  rounds.forEach(teams => {
+    for (let i = 1; i <= teamCount; i++) {
+      teams[i].forEach(({ name, role }) => {
+        if (!alwaysFixed.has(name)) names.push(name);
+        alwaysFixed.set(name, (alwaysFixed.get(name) ?? true) && role !== 'member');
+      });
+      const members = teams[i];
+      for (let a = 0; a < members.length; a++) {
+        for (let b = a + 1; b < members.length; b++) {
+          const key = pairKey(members[a].name, members[b].name);
+          counts[key] = (counts[key] || 0) + 1;
+        }
+      }
+    }
+  });
+
+  const pairs = [];
+  const histogram = {};
+  for (let a = 0; a < names.length; a++) {
+    for (let b = a + 1; b < names.length; b++) {
+      if (alwaysFixed.get(names[a]) && alwaysFixed.get(names[b])) continue;
+      const count = counts[pairKey(names[a], names[b])] || 0;
+      pairs.push({ a: names[a], b: names[b], count });
+      histogram[count] = (histogram[count] || 0) + 1;
+    }
+  }
+  pairs.sort((x, y) => y.count - x.count);
+
+  return { pairs, histogram, maxCount: pairs.length > 0 ? pairs[0].count : 0 };
+}
+
+/**
+ * 결과 수동 조정 - to.index가 없으면 from의 멤버를 to 조 끝으로 옮기고, 있으면 두 멤버를 맞바꿈
+ * 원본은 바꾸지 않음
+ */
+export function moveMember(teams, from, to) {
+  const moved = JSON.parse(JSON.stringify(teams));
+  const source = moved[from.team];
+
+  if (to.index === undefined) {
+    if (from.team !== to.team) {
+      const [member] = source.splice(from.index, 1);
+      moved[to.team].push(member);
+    }
+  } else {
+    const target = moved[to.team];
+    [source[from.index], target[to.index]] = [target[to.index], source[from.index]];
+  }
+  return moved;
+}
+
+/**
+ * 조정된 결과가 조장/부조장, 제약조건, 이름으로 지정한 역할, 쌍 제약조건, 조 정원을 어기는지 검사
+ * 반환: [{ team, code, params, message }] - team은 문제가 있는 사람이 현재 속한 조, code/params는 i18n.js 메시지
+ */
+export function findDrawViolations(teams, teamCount, settings) {
+  const { teamCapacities = {}, roles = [] } = settings;
+  const teamOf = new Map();
+  for (let i = 1; i <= teamCount; i++) {
+    teams[i].forEach(({ name }) => teamOf.set(name, i));
+  }
+
+  const violations = [];
+  for (let i = 1; i <= teamCount; i++) {
+    const capacity = capacityOf(teamCapacities, i);
+    if (teams[i].length > capacity) {
+      violations.push({ team: i, ...localized('violation.overCapacity', { team: i, count: teams[i].length, capacity }) });
+    }
+  }
+
+  // slot: { type: 'leader' | 'subLeader' | 'constraint' | 'role', team, role } - 메시지의 자리 이름
+  const checkPinned = (name, slot) => {
+    if (name && teamOf.has(name) && teamOf.get(name) !== slot.team) {
+      violations.push({ team: teamOf.get(name), ...localized('violation.pinned', { slot, name, team: teamOf.get(name) }) });
+    }
+  };
+
+  for (let i = 1; i <= teamCount; i++) {
+    checkPinned(settings.leaders[i], { type: 'leader', team: i });
+    checkPinned(settings.subLeaders[i], { type: 'subLeader', team: i });
+  }
+  settings.constraints
+    .filter(({ team }) => isValidTeam(team, teamCount))
+    .forEach(({ name, team }) => checkPinned(name, { type: 'constraint', team }));
+  roles.filter(role => role.mode === 'named').forEach(role => {
+    for (let i = 1; i <= teamCount; i++) {
+      checkPinned(role.assignees[i], { type: 'role', team: i, role: role.name });
+    }
+  });
+
+  getActivePairs(settings.pairConstraints, new Set(teamOf.keys())).forEach(({ a, b, type }) => {
+    const together = teamOf.get(a) === teamOf.get(b);
+    if (type === 'together' && !together) {
+      violations.push({ team: teamOf.get(a), ...localized('violation.together', { a, b }) });
+    } else if (type === 'apart' && together) {
+      violations.push({ team: teamOf.get(a), ...localized('violation.apart', { a, b }) });
+    }
+  });
+
+  return violations;
+}
+
+/**
+ * 발표 모드 공개 순서 - 고정 인원(조장/부조장/제약조건)을 먼저, 이어서 조원을 조마다 한 명씩 번갈아 공개
+ * index는 조 안의 자리라서 모두 공개하면 결과와 똑같은 카드가 됨
+ * 반환: [{ team, index, member }]
+ */
+export function buildRevealOrder(teams, teamCount) {
+  const fixed = [];
+  const queues = [];
+  for (let i = 1; i <= teamCount; i++) {
+    const queue = [];
+    teams[i].forEach((member, index) => {
+      (member.role === 'member' ? queue : fixed).push({ team: i, index, member });
+    });
+    queues.push(queue);
+  }
+
+  const order = [...fixed];
+  const rounds = Math.max(0, ...queues.map(queue => queue.length));
+  for (let round = 0; round < rounds; round++) {
+    queues.forEach(queue => {
+      if (round < queue.length) order.push(queue[round]);
+    });
+  }
+  return order;
+}
+
+/**
+ * 고정 인원(조장/부조장/제약조건)이 주어졌을 때 각 조가 받는 자유 배정 인원 수
+ * assignTeams는 인원이 가장 적은 조부터 채우므로(water-filling) 최종 수위 L까지 채운 뒤,
+ * 남는 인원은 수위 L에 있고 정원이 남은 조들 중 무작위로 1명씩 배분됨
+ * (정원이 있는 조는 정원에서 수위가 멈춤)
+ * 반환: { 조: { base: 확정 인원, extra: 1명을 더 받을 확률 } }
+ */
+function computeFreeSlots(fixedCounts, freeCount, teamCount, capacities = {}) {
+  const slots = {};
+  for (let i = 1; i <= teamCount; i++) {
+    slots[i] = { base: 0, extra: 0 };
+  }
+  if (freeCount === 0) return slots;
+
+  const filledUpTo = (team, level) => Math.max(0, Math.min(level, capacityOf(capacities, team)) - fixedCounts[team]);
+  const slotsUpTo = (level) => {
+    let total = 0;
+    for (let i = 1; i <= teamCount; i++) {
+      total += filledUpTo(i, level);
+    }
+    return total;
+  };
+
+  // 정원이 모자라도 멈추도록 수위 상한을 둠 (그런 설정은 assignTeams가 Error)
+  let level = Math.min(...Object.values(fixedCounts));
+  const maxLevel = Math.max(...Object.values(fixedCounts)) + freeCount;
+  while (level < maxLevel && slotsUpTo(level + 1) <= freeCount) {
+    level++;
+  }
+
+  const tiedTeams = [];
+  for (let i = 1; i <= teamCount; i++) {
+    if (fixedCounts[i] <= level && capacityOf(capacities, i) > level) {
+      tiedTeams.push(i);
+    }
+  }
+  const remainder = freeCount - slotsUpTo(level);
+
+  for (let i = 1; i <= teamCount; i++) {
+    slots[i] = {
+      base: filledUpTo(i, level),
+      extra: tiedTeams.includes(i) ? remainder / tiedTeams.length : 0
+    };
+  }
+
+  return slots;
+}
+
+/**
+ * 자유 배정 인원 1명이 각 조에 들어갈 기대 확률 (capacities: 조별 정원)
+ */
+export function computeExpectedProbabilities(fixedCounts, freeCount, teamCount, capacities = {}) {
+  const slots = computeFreeSlots(fixedCounts, freeCount, teamCount, capacities);
+  const expected = {};
+  for (let i = 1; i <= teamCount; i++) {
+    expected[i] = freeCount > 0 ? (slots[i].base + slots[i].extra) / freeCount : 0;
+  }
+  return expected;
+}
+
+/**
+ * 자유 배정 인원 2명이 같은 조에 들어갈 기대 확률
+ * 조 t의 자유 배정 인원 s에 대해 E[s(s-1)] / (R(R-1)) 의 합 (s = base + Bernoulli(extra))
+ */
+function computeExpectedPairProbability(fixedCounts, freeCount, teamCount, capacities = {}) {
+  if (freeCount < 2) return 0;
+
+  const slots = computeFreeSlots(fixedCounts, freeCount, teamCount, capacities);
+  let together = 0;
+  for (let i = 1; i <= teamCount; i++) {
+    const { base, extra } = slots[i];
+    together += base * (base - 1) + 2 * base * extra;
+  }
+  return together / (freeCount * (freeCount - 1));
+}
+
+/**
+ * 신뢰도 테스트 - 실제 assignTeams를 N회 실행해 자유 배정 인원의 조별 배정 횟수 집계
+ * (조장/부조장/제약조건 멤버는 항상 같은 조이므로 집계에서 제외)
+ * options: assignTeams 옵션 (pairs, tags, capacities) - 정원이 다르면 기대 확률도 조마다 다름
+ */
+export function runDistributionTest(leaders, subLeaders, participants, constraints, teamCount, iterations, random = Math.random, options = {}) {
+  const { pairs = [], tags = {}, capacities = {} } = options;
+
+  // 참가자 없이 한 번 배분하면 고정 인원만 남음
+  const fixedTeams = assignTeams(leaders, subLeaders, [], constraints, teamCount, random);
+  const fixedCounts = {};
+  const fixedNames = new Set();
+  for (let i = 1; i <= teamCount; i++) {
+    fixedCounts[i] = fixedTeams[i].length;
+    fixedTeams[i].forEach(member => fixedNames.add(member.name));
+  }
+
+  // 쌍 제약조건 대상은 배치가 자유롭지 않으므로 집계에서 제외
+  const activePairs = getActivePairs(pairs, new Set([...fixedNames, ...participants]));
+  const pairNames = new Set(activePairs.flatMap(({ a, b }) => [a, b]));
+  const freeNames = participants.filter(name => !fixedNames.has(name) && !pairNames.has(name));
+  const excludedCount = participants.filter(name => !fixedNames.has(name) && pairNames.has(name)).length;
+
+  const stats = createNameMap();
+  const teamTotals = {};
+  const pairCounts = createNameMap();
+  for (let i = 1; i <= teamCount; i++) {
+    teamTotals[i] = 0;
+  }
+  freeNames.forEach(name => {
+    stats[name] = {};
+    for (let i = 1; i <= teamCount; i++) {
+      stats[name][i] = 0;
+    }
+    pairCounts[name] = createNameMap();
+    freeNames.forEach(other => {
+      pairCounts[name][other] = 0;
+    });
+  });
+
+  let togetherTotal = 0;
+  for (let n = 0; n < iterations; n++) {
+    const teams = assignTeams(leaders, subLeaders, participants, constraints, teamCount, random, { pairs, tags, capacities });
+    for (let i = 1; i <= teamCount; i++) {
+      const members = teams[i].filter(member => member.role === 'member' && Object.hasOwn(stats, member.name)).map(member => member.name);
+      members.forEach((name, index) => {
+        stats[name][i]++;
+        teamTotals[i]++;
+        // 같은 조에 배정된 쌍 집계 (대칭 행렬)
+        for (let j = index + 1; j < members.length; j++) {
+          pairCounts[name][members[j]]++;
+          pairCounts[members[j]][name]++;
+          togetherTotal++;
+        }
+      });
+    }
+  }
+
+  // 태그는 배치 순서와 조 선택에 영향을 주므로 태그 조합이 같은 참가자끼리만 서로 대칭
+  const classOf = createNameMap();
+  freeNames.forEach(name => {
+    classOf[name] = [...getTags(tags, name)].sort().join(', ');
+  });
+  const hasTags = freeNames.some(name => classOf[name] !== '');
+
+  const freeCount = freeNames.length;
+  const expectedByName = createNameMap();
+  let expectedPair;
+  if (pairNames.size === 0 && !hasTags) {
+    const expected = computeExpectedProbabilities(fixedCounts, freeCount, teamCount, capacities);
+    freeNames.forEach(name => {
+      expectedByName[name] = expected;
+    });
+    expectedPair = computeExpectedPairProbability(fixedCounts, freeCount, teamCount, capacities);
+  } else {
+    // 쌍 제약조건 대상이나 태그가 남은 자리에 영향을 주므로 닫힌 식이 없음
+    // 같은 그룹(태그 조합) 안에서는 서로 대칭이므로 그룹의 관측된 조별 합계로 기대 확률을 추정
+    const classTotals = createNameMap();
+    const classSizes = createNameMap();
+    freeNames.forEach(name => {
+      const key = classOf[name];
+      if (!classTotals[key]) {
+        classTotals[key] = {};
+        classSizes[key] = 0;
+        for (let i = 1; i <= teamCount; i++) {
+          classTotals[key][i] = 0;
+        }
+      }
+      classSizes[key]++;
+      for (let i = 1; i <= teamCount; i++) {
+        classTotals[key][i] += stats[name][i];
+      }
+    });
+    freeNames.forEach(name => {
+      const key = classOf[name];
+      expectedByName[name] = {};
+      for (let i = 1; i <= teamCount; i++) {
+        expectedByName[name][i] = classTotals[key][i] / (classSizes[key] * iterations);
+      }
+    });
+    const pairTotal = freeCount * (freeCount - 1) / 2;
+    expectedPair = pairTotal > 0 ? togetherTotal / (pairTotal * iterations) : 0;
+  }
+
+  return {
+    iterations,
+    stats,
+    teamTotals,
+    pairCounts,
+    freeCount,
+    excludedCount,
+    expectedSource: pairNames.size === 0 && !hasTags ? 'exact' : 'observed',
+    expectedByName,
+    classOf,
+    expectedPair
+  };
+}
+
+/**
+ * ln Γ(x) - Lanczos 근사 (g = 7)
+ */
+function logGamma(x) {
+  const coefficients = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+    771.32342877765313, -176.61502916214059, 12.507343278686905,
+    -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+  ];
+
+  if (x < 0.5) {
+    // 반사 공식
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+
+  x -= 1;
+  let sum = coefficients[0];
+  for (let i = 1; i < coefficients.length; i++) {
+    sum += coefficients[i] / (x + i);
+  }
+  const t = x + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * 정규화된 상부 불완전 감마 함수 Q(a, x)
+ * x < a + 1 이면 급수, 아니면 연분수(Lentz)로 계산
+ */
+function regularizedGammaQ(a, x) {
+  if (x <= 0) return 1;
+
+  const logPrefix = a * Math.log(x) - x - logGamma(a);
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+    }
+    return Math.max(0, 1 - sum * Math.exp(logPrefix));
+  }
+
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let n = 1; n < 500; n++) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+  return Math.exp(logPrefix) * h;
+}
+
+/**
+ * 카이제곱 분포의 상부 꼬리 확률 (p-value)
+ */
+export function chiSquarePValue(statistic, df) {
+  if (df <= 0) return 1;
+  if (!Number.isFinite(statistic)) return 0;
+  return regularizedGammaQ(df / 2, statistic / 2);
+}
+
+/**
+ * 카이제곱 적합도 검정
+ * 기대 횟수가 0인 칸은 자유도에서 제외 (그 칸에 관측값이 있으면 statistic = Infinity)
+ */
+export function chiSquareTest(observed, expected) {
+  let statistic = 0;
+  let cells = 0;
+
+  observed.forEach((count, i) => {
+    if (expected[i] > 0) {
+      statistic += (count - expected[i]) ** 2 / expected[i];
+      cells++;
+    } else if (count > 0) {
+      statistic = Infinity;
+    }
+  });
+
+  const df = Math.max(0, cells - 1);
+  return { statistic, df, pValue: chiSquarePValue(statistic, df) };
+}
+
+/**
+ * 분할표 동질성 검정 - 같은 기대 분포를 가져야 하는 참가자들이 실제로 같은 분포인지 확인
+ * 기대 횟수 = 행 합 × 열 합 / 총합
+ */
+function homogeneityTest(stats, names, teams, iterations) {
+  const activeTeams = teams.filter(team => names.some(name => stats[name][team] > 0));
+  if (names.length < 2 || activeTeams.length < 2) {
+    return { statistic: 0, df: 0 };
+  }
+
+  const columnTotals = {};
+  activeTeams.forEach(team => {
+    columnTotals[team] = names.reduce((sum, name) => sum + stats[name][team], 0);
+  });
+  const grandTotal = names.length * iterations;
+
+  let statistic = 0;
+  names.forEach(name => {
+    activeTeams.forEach(team => {
+      const expectedCount = iterations * columnTotals[team] / grandTotal;
+      statistic += (stats[name][team] - expectedCount) ** 2 / expectedCount;
+    });
+  });
+
+  return { statistic, df: (names.length - 1) * (activeTeams.length - 1) };
+}
+
+/**
+ * 분포 검사 (유의수준 alpha)
+ * - 개인별: 조별 배정 횟수 vs 기대 확률 (카이제곱 적합도 검정)
+ * - 전체: 참가자 × 조 분할표의 동질성 검정 - 특정 참가자가 특정 조에 치우치는지 확인
+ *   (classOf로 나눈 그룹마다 검정해 통계량과 자유도를 합산 - 태그가 다르면 기대 분포도 다름)
+ * 참가자가 많으면 우연히 실패하는 개인이 생기므로 개인별 판정은 Bonferroni 보정(alpha / n) 적용
+ */
+export function checkUniformity(stats, iterations, expectedByName, alpha = DEFAULT_ALPHA, classOf = {}) {
+  const names = Object.keys(stats);
+
+  const persons = createNameMap();
+  names.forEach(name => {
+    const teams = Object.keys(expectedByName[name]);
+    const observed = teams.map(team => stats[name][team]);
+    const expectedCounts = teams.map(team => iterations * expectedByName[name][team]);
+    const result = chiSquareTest(observed, expectedCounts);
+    persons[name] = { ...result, passed: result.pValue >= alpha };
+  });
+
+  const groups = createNameMap();
+  names.forEach(name => {
+    const key = Object.hasOwn(classOf, name) ? classOf[name] : '';
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(name);
+  });
+
+  let overallStatistic = 0;
+  let overallDf = 0;
+  Object.values(groups).forEach(groupNames => {
+    const teams = Object.keys(stats[groupNames[0]]);
+    const { statistic, df } = homogeneityTest(stats, groupNames, teams, iterations);
+    overallStatistic += statistic;
+    overallDf += df;
+  });
+  const overall = {
+    statistic: overallStatistic,
+    df: overallDf,
+    pValue: chiSquarePValue(overallStatistic, overallDf)
+  };
+
+  const failedCount = names.filter(name => !persons[name].passed).length;
+  const minPValue = Math.min(1, ...names.map(name => persons[name].pValue));
+  const correctedAlpha = names.length > 0 ? alpha / names.length : alpha;
+
+  return {
+    alpha,
+    persons,
+    overall,
+    failedCount,
+    isUniform: overall.pValue >= alpha && minPValue >= correctedAlpha
+  };
+}
+
+/**
+ * 저장된 설정을 현재 형식으로 보정 - 없거나 형식이 다른 항목은 defaults 값으로 대체
+ * (예전 버전에서 저장했거나 손상된 localStorage 값도 안전하게 불러오기 위함)
+ */
+export function normalizeSettings(raw, defaults) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const copy = (value) => JSON.parse(JSON.stringify(value));
+
+  const pickStrings = (map) => {
+    const result = {};
+    Object.entries(map).forEach(([key, value]) => {
+      if (typeof value === 'string') result[key] = value;
+    });
+    return result;
+  };
+
+  const pickCapacities = (map) => {
+    const result = {};
+    Object.entries(map).forEach(([team, capacity]) => {
+      if (Number.isInteger(capacity) && capacity > 0) result[team] = capacity;
+    });
+    return result;
+  };
+
+  const pickTags = (map) => {
+    const result = createNameMap();
+    Object.entries(map).forEach(([name, tags]) => {
+      if (Array.isArray(tags)) {
+        const strings = tags.filter(tag => typeof tag === 'string');
+        if (strings.length > 0) result[name] = strings;
+      }
+    });
+    return result;
+  };
+
+  return {
+    teamCount: source.teamCount !== undefined ? clampTeamCount(source.teamCount) : defaults.teamCount,
+    participants: Array.isArray(source.participants)
+      ? source.participants.filter(name => typeof name === 'string')
+      : copy(defaults.participants),
+    participantTags: pickTags(isPlainObject(source.participantTags) ? source.participantTags : defaults.participantTags),
+    leaders: isPlainObject(source.leaders) ? pickStrings(source.leaders) : copy(defaults.leaders),
+    subLeaders: isPlainObject(source.subLeaders) ? pickStrings(source.subLeaders) : copy(defaults.subLeaders),
+    constraints: Array.isArray(source.constraints)
+      ? source.constraints
+        .filter(c => c && typeof c.name === 'string' && Number.isInteger(c.team))
+        .map(({ name, team }) => ({ name, team }))
+      : copy(defaults.constraints),
+    pairConstraints: Array.isArray(source.pairConstraints)
+      ? source.pairConstraints
+        .filter(p => p && typeof p.a === 'string' && typeof p.b === 'string' && (p.type === 'together' || p.type === 'apart'))
+        .map(({ a, b, type }) => ({ a, b, type }))
+      : copy(defaults.pairConstraints),
+    // 정원/역할/출석 기능 이전에 저장한 설정에는 없으므로 기본값이 없으면 비워 둠
+    teamCapacities: isPlainObject(source.teamCapacities)
+      ? pickCapacities(source.teamCapacities)
+      : copy(defaults.teamCapacities || {}),
+    roles: Array.isArray(source.roles)
+      ? source.roles
+        .filter(r => r && typeof r.name === 'string' && (r.mode === 'random' || r.mode === 'named'))
+        .map(({ name, mode, assignees }) => ({ name, mode, assignees: isPlainObject(assignees) ? pickStrings(assignees) : {} }))
+      : copy(defaults.roles || []),
+    absent: Array.isArray(source.absent)
+      ? source.absent.filter(name => typeof name === 'string')
+      : copy(defaults.absent || []),
+    leaderFallback: LEADER_FALLBACKS.includes(source.leaderFallback)
+      ? source.leaderFallback
+      : defaults.leaderFallback || LEADER_FALLBACKS[0]
+  };
+}
+
+/**
+ * 프리셋 이름 변경 (순서 유지) - 빈 이름, 예약된 이름, 이미 있는 이름이면 Error
+ */
+export function renamePreset(presets, from, to, reservedName) {
+  const name = to.trim();
+  if (!name) {
+    throw localizedError('error.presetNameEmpty');
+  }
+  if (name === reservedName) {
+    throw localizedError('error.presetNameReserved', { name });
+  }
+  if (name !== from && Object.hasOwn(presets, name)) {
+    throw localizedError('error.presetNameTaken', { name });
+  }
+
+  const renamed = createNameMap();
+  Object.entries(presets).forEach(([key, settings]) => {
+    renamed[key === from ? name : key] = settings;
+  });
+  return renamed;
+}
+
+// CSV 머리글 별칭 (소문자 기준)
+const IMPORT_COLUMNS = {
+  name: ['name', '이름'],
+  role: ['role', '역할'],
+  team: ['team', '조', '고정 조'],
+  tags: ['tags', '태그']
+};
+
+const IMPORT_ROLES = {
+  leader: ['leader', '조장'],
+  subLeader: ['subleader', 'sub-leader', '부조장'],
+  member: ['', 'member', '참가자']
+};
+
+// 스프레드시트가 수식으로 읽는 첫 글자 - 내보낼 때 앞에 ' 를 붙이고 읽을 때 한 개 뗌
+// 원래 ' 로 시작하는 '=... 같은 이름도 그대로 돌아오도록 앞의 ' 들은 건너뛰고 확인
+const CSV_FORMULA_START = /^'*[=+\-@\t\r]/;
+
+/**
+ * CSV 한 줄을 칸으로 나눔 - 큰따옴표로 감싼 칸 안의 구분자와 "" 이스케이프 지원
+ * escapeCsvCell이 수식 방지로 붙인 ' 는 떼어 내보낸 이름을 그대로 다시 읽음
+ */
+export function splitCsvLine(line, delimiter = ',') {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+  return cells.map(value => value.trim()).map(value => (
+    value.startsWith("'") && CSV_FORMULA_START.test(value.slice(1)) ? value.slice(1) : value
+  ));
+}
+
+/**
+ * 붙여넣은 텍스트나 CSV 파일 내용을 가져오기 항목으로 변환
+ * - 첫 줄에 이름(name) 머리글이 있으면 CSV: 역할(role), 조(team), 태그(tags) 칸은 선택
+ *   태그 칸 안에서는 ; 또는 | 로 구분
+ * - 아니면 줄바꿈, 쉼표, 탭으로 나눈 이름 목록
+ * 반환: [{ name, role, team, tags, error }] - 해석할 수 없는 값은 error에 사유 ({ code, params, message })
+ */
+export function parseRosterText(text) {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+  const firstLine = lines.find(line => line.trim() !== '') || '';
+  const delimiter = firstLine.includes('\t') ? '\t' : ',';
+  const header = splitCsvLine(firstLine, delimiter).map(cell => cell.toLowerCase());
+
+  const columnIndex = {};
+  Object.entries(IMPORT_COLUMNS).forEach(([column, aliases]) => {
+    columnIndex[column] = header.findIndex(cell => aliases.includes(cell));
+  });
+
+  if (columnIndex.name === -1) {
+    return String(text).split(/[\n,\t]/).map(name => ({
+      name: name.trim(),
+      role: 'member',
+      team: null,
+      tags: [],
+      error: null
+    })).filter((entry, index, entries) => entry.name !== '' || index < entries.length - 1);
+  }
+
+  const cellAt = (cells, column) => (columnIndex[column] >= 0 ? cells[columnIndex[column]] || '' : '');
+
+  return lines.slice(lines.indexOf(firstLine) + 1)
+    .filter(line => line.trim() !== '')
+    .map(line => {
+      const cells = splitCsvLine(line, delimiter);
+      const roleText = cellAt(cells, 'role').toLowerCase();
+      const teamText = cellAt(cells, 'team');
+      const role = Object.keys(IMPORT_ROLES).find(key => IMPORT_ROLES[key].includes(roleText));
+      const team = teamText === '' ? null : Number(teamText);
+
+      let error = null;
+      if (!role) {
+        error = localized('importError.unknownRole', { role: cellAt(cells, 'role') });
+      } else if (team !== null && !isValidTeam(team, MAX_TEAM_COUNT)) {
+        error = localized('importError.invalidTeam', { team: teamText });
+      } else if (role !== 'member' && team === null) {
+        error = localized('importError.teamRequired');
+      }
+
+      return {
+        name: cellAt(cells, 'name'),
+        role: role || 'member',
+        team,
+        tags: parseTags(cellAt(cells, 'tags').replace(/[;|]/g, ',')),
+        error
+      };
+    });
+}
+
+/**
+ * 가져오기 미리보기 - 항목마다 상태를 붙임
+ * status: 'ok' | 'blank' | 'duplicate' (기존 명단 또는 앞 줄과 중복) | 'invalid'
+ * 'ok'가 아닌 항목은 가져오지 않음
+ */
+export function buildImportPreview(entries, existingNames) {
+  const seen = new Set(existingNames);
+  return entries.map(entry => {
+    let status = 'ok';
+    if (entry.name === '') {
+      status = 'blank';
+    } else if (entry.error) {
+      status = 'invalid';
+    } else if (seen.has(entry.name)) {
+      status = 'duplicate';
+    }
+    if (entry.name !== '') {
+      seen.add(entry.name);
+    }
+    return { ...entry, status };
+  });
+}
+
+/**
+ * 미리보기의 'ok' 항목을 설정에 합침 (원본은 바꾸지 않음)
+ * - 조장/부조장: 해당 조의 조장/부조장 칸을 덮어씀
+ * - 조가 있는 참가자: 참가자 + 제약조건(조 고정)
+ * - 필요하면 조 개수를 늘림
+ * replace가 true면 기존 참가자/조장/부조장/제약조건/태그를 비우고 가져옴
+ */
+export function mergeImport(settings, previewRows, replace = false) {
+  const merged = JSON.parse(JSON.stringify(settings));
+  merged.participantTags = createNameMap(merged.participantTags);
+  if (replace) {
+    merged.participants = [];
+    merged.participantTags = createNameMap();
+    merged.leaders = {};
+    merged.subLeaders = {};
+    merged.constraints = [];
+    merged.pairConstraints = [];
+  }
+
+  previewRows.filter(row => row.status === 'ok').forEach(({ name, role, team, tags }) => {
+    if (role === 'leader') {
+      merged.leaders[team] = name;
+    } else if (role === 'subLeader') {
+      merged.subLeaders[team] = name;
+    } else {
+      merged.participants.push(name);
+      if (team !== null) {
+        merged.constraints.push({ name, team });
+      }
+    }
+    if (tags.length > 0) {
+      merged.participantTags[name] = tags;
+    }
+    if (team !== null && team > merged.teamCount) {
+      merged.teamCount = team;
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * 조 편성 전 입력 검증
+ * target은 문제가 있는 입력을 가리킴:
+ *   { type: 'participant' | 'constraint' | 'pairConstraint' | 'role', index }
+ *   { type: 'leader' | 'subLeader' | 'capacity', team } | { type: 'teamCount' }
+ * 반환: { errors: [{ target, code, params, message }], warnings: [...] } - errors가 있으면 편성 불가
+ * code/params는 i18n.js 메시지 키와 값 (message는 기본 언어 문구)
+ */
+export function validateSettings(settings) {
+  const { teamCount, participants, leaders, subLeaders, constraints, pairConstraints, teamCapacities = {}, roles = [] } = settings;
+  const { absent = [], leaderFallback = 'subLeader' } = settings;
+  const errors = [];
+  const warnings = [];
+  const isBlank = name => !name || name.trim() === '';
+  const isAbsent = name => !isBlank(name) && absent.includes(name);
+  const issue = (target, code, params) => ({ target, ...localized(code, params) });
+
+  // 1. 참가자 이름 - 빈 이름, 중복
+  const participantIndex = new Map();
+  participants.forEach((name, index) => {
+    const target = { type: 'participant', index };
+    if (isBlank(name)) {
+      errors.push(issue(target, 'issue.blankName'));
+    } else if (participantIndex.has(name)) {
+      errors.push(issue(target, 'issue.duplicateName', { name, position: participantIndex.get(name) + 1 }));
+    } else {
+      participantIndex.set(name, index);
+    }
+  });
+
+  // 2. 조장/부조장 - 한 사람이 여러 자리를 맡으면 오류, 조장이 없거나 결석하면 경고
+  const slotOf = new Map();
+  // 메시지의 자리 이름 ({ type, team }만 넘김)
+  const slotParam = ({ type, team }) => ({ type, team });
+  // applyAttendance와 같은 규칙으로 결석한 조장 대신 누가 맡는지 안내
+  const getLeaderFallback = subLeader => {
+    if (leaderFallback === 'none') return 'none';
+    if (leaderFallback === 'subLeader' && !isBlank(subLeader) && !isAbsent(subLeader)) return 'subLeader';
+    return 'random';
+  };
+  for (let team = 1; team <= teamCount; team++) {
+    [{ type: 'leader', team, name: leaders[team] }, { type: 'subLeader', team, name: subLeaders[team] }].forEach(slot => {
+      if (isBlank(slot.name)) {
+        if (slot.type === 'leader') {
+          warnings.push(issue({ type: 'leader', team }, 'issue.noLeader', { team }));
+        }
+        return;
+      }
+      const target = { type: slot.type, team };
+      if (slotOf.has(slot.name)) {
+        errors.push(issue(target, 'issue.slotTaken', { name: slot.name, slot: slotParam(slotOf.get(slot.name)) }));
+      } else {
+        slotOf.set(slot.name, slot);
+      }
+      if (isAbsent(slot.name)) {
+        warnings.push(slot.type === 'leader'
+          ? issue(target, 'issue.absentLeader', {
+            slot: slotParam(slot), name: slot.name, fallback: getLeaderFallback(subLeaders[team]), subLeader: subLeaders[team]
+          })
+          : issue(target, 'issue.absentSubLeader', { slot: slotParam(slot), name: slot.name }));
+      }
+    });
+  }
+
+  // 조 개수보다 뒤 조의 조장/부조장은 편성에 들어가지 않으므로 오류 (저장해 둔 프리셋, 공유 링크 등)
+  [['leader', leaders], ['subLeader', subLeaders]].forEach(([type, slots]) => {
+    Object.keys(slots).forEach(team => {
+      if (Number(team) > teamCount && !isBlank(slots[team])) {
+        errors.push(issue({ type: 'teamCount' }, 'issue.slotOutsideTeams', { name: slots[team], slot: { type, team: Number(team) }, teamCount }));
+      }
+    });
+  });
+
+  // 3. 제약조건 - 빈 이름, 없는 조, 조장/부조장과 충돌, 같은 사람을 다른 조에 중복 고정
+  const pinnedTeamOf = new Map();
+  constraints.forEach(({ name, team }, index) => {
+    const target = { type: 'constraint', index };
+    if (isBlank(name)) {
+      errors.push(issue(target, 'issue.constraintBlank'));
+      return;
+    }
+    if (!isValidTeam(team, teamCount)) {
+      errors.push(issue(target, 'issue.constraintTeamMissing', { team }));
+      return;
+    }
+
+    const slot = slotOf.get(name);
+    if (slot && slot.team !== team) {
+      errors.push(issue(target, 'issue.constraintSlotConflict', { name, slot: slotParam(slot), team }));
+    } else if (slot) {
+      warnings.push(issue(target, 'issue.slotTaken', { name, slot: slotParam(slot) }));
+    } else if (pinnedTeamOf.has(name) && pinnedTeamOf.get(name) !== team) {
+      errors.push(issue(target, 'issue.alreadyPinned', { name, team: pinnedTeamOf.get(name) }));
+    } else if (pinnedTeamOf.has(name)) {
+      warnings.push(issue(target, 'issue.duplicateConstraint'));
+    } else {
+      pinnedTeamOf.set(name, team);
+      if (!participantIndex.has(name)) {
+        warnings.push(issue(target, 'issue.addedToRoster', { name }));
+      }
+    }
+  });
+
+  // 4. 역할 - 빈 이름, 중복 이름, 이름으로 지정한 담당자는 조 고정과 같은 규칙으로 검사
+  const roleNames = new Set();
+  roles.forEach((role, index) => {
+    const target = { type: 'role', index };
+    if (isBlank(role.name)) {
+      errors.push(issue(target, 'issue.roleBlank'));
+      return;
+    }
+    if (roleNames.has(role.name)) {
+      errors.push(issue(target, 'issue.roleDuplicate', { role: role.name }));
+      return;
+    }
+    roleNames.add(role.name);
+    if (role.mode !== 'named') return;
+
+    for (let team = 1; team <= teamCount; team++) {
+      const name = role.assignees[team];
+      if (isBlank(name)) {
+        warnings.push(issue(target, 'issue.roleUnassigned', { team, role: role.name }));
+        continue;
+      }
+      if (isAbsent(name)) {
+        warnings.push(issue(target, 'issue.roleAssigneeAbsent', { name, team, role: role.name }));
+        continue;
+      }
+      const slot = slotOf.get(name);
+      const pinnedTeam = pinnedTeamOf.get(name);
+      if (slot && slot.team !== team) {
+        errors.push(issue(target, 'issue.roleSlotConflict', { name, slot: slotParam(slot), team, role: role.name }));
+      } else if (pinnedTeam !== undefined && pinnedTeam !== team) {
+        errors.push(issue(target, 'issue.rolePinnedConflict', { name, pinnedTeam, team, role: role.name }));
+      } else if (!slot && pinnedTeam === undefined) {
+        pinnedTeamOf.set(name, team);
+        if (!participantIndex.has(name)) {
+          warnings.push(issue(target, 'issue.addedToRoster', { name }));
+        }
+      }
+    }
+  });
+
+  // 5. 쌍 제약조건 - 빈 이름, 자기 자신, 명단에 없는 이름(무시됨)
+  const rosterNames = new Set([...participantIndex.keys(), ...slotOf.keys(), ...pinnedTeamOf.keys()]);
+  pairConstraints.forEach(({ a, b }, index) => {
+    const target = { type: 'pairConstraint', index };
+    if (isBlank(a) || isBlank(b)) {
+      errors.push(issue(target, 'issue.pairBlank'));
+    } else if (a === b) {
+      errors.push(issue(target, 'issue.pairSame'));
+    } else {
+      [a, b].filter(name => !rosterNames.has(name)).forEach(name => {
+        warnings.push(issue(target, 'issue.pairNotInRoster', { name }));
+      });
+    }
+  });
+
+  // 6. 조 정원 - 1 이상의 정수, 출석한 조장/부조장/고정 인원보다 작으면 오류
+  const fixedCounts = {};
+  for (let team = 1; team <= teamCount; team++) {
+    fixedCounts[team] = 0;
+  }
+  slotOf.forEach(({ team, name }) => {
+    if (!isAbsent(name)) fixedCounts[team]++;
+  });
+  pinnedTeamOf.forEach((team, name) => {
+    if (!isAbsent(name)) fixedCounts[team]++;
+  });
+
+  let totalCapacity = 0;
+  let hasCapacity = false;
+  for (let team = 1; team <= teamCount; team++) {
+    const capacity = teamCapacities[team];
+    if (capacity === undefined) {
+      totalCapacity = Infinity;
+      continue;
+    }
+    hasCapacity = true;
+    const target = { type: 'capacity', team };
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      errors.push(issue(target, 'issue.capacityInvalid'));
+      totalCapacity = Infinity;
+    } else {
+      if (fixedCounts[team] > capacity) {
+        errors.push(issue(target, 'issue.capacityFixed', { team, count: fixedCounts[team], capacity }));
+      }
+      totalCapacity += capacity;
+    }
+  }
+
+  // 7. 출석 인원 - 조 개수나 정원 합과 맞지 않으면 오류, 나누어떨어지지 않으면 경고 (정원을 정했으면 생략)
+  const total = [...rosterNames].filter(name => !isAbsent(name)).length;
+  // 결석자가 있으면 '출석 인원'으로 표시
+  const attendance = absent.length > 0;
+  if (total < teamCount) {
+    errors.push(issue({ type: 'teamCount' }, 'issue.tooFew', { total, teamCount, attendance }));
+  } else if (total > totalCapacity) {
+    errors.push(issue({ type: 'teamCount' }, 'issue.overCapacity', { total, capacity: totalCapacity, attendance }));
+  } else if (!hasCapacity && total % teamCount !== 0) {
+    warnings.push(issue({ type: 'teamCount' }, 'issue.uneven', { total, teamCount }));
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * CSV 칸 값 이스케이프 - 구분자, 큰따옴표, 줄바꿈이 있으면 큰따옴표로 감쌈
+ * =, +, -, @ 등으로 시작하면 스프레드시트에서 수식으로 실행되지 않도록 앞에 ' 를 붙임
+ */
+function escapeCsvCell(value) {
+  const text = typeof value === 'string' && CSV_FORMULA_START.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 추첨 결과를 내보내기용 평면 행으로 변환
+ * 반환: [{ team, name, role, roles, tags }] - roles는 추첨 후 맡은 역할(서기, 발표자 등)
+ */
+function flattenDraw(draw, tags = {}) {
+  const rows = [];
+  for (let i = 1; i <= draw.teamCount; i++) {
+    draw.teams[i].forEach(({ name, role, roles = [] }) => {
+      rows.push({ team: i, name, role, roles, tags: getTags(tags, name) });
+    });
+  }
+  return rows;
+}
+
+/**
+ * 이름 뒤에 붙일 역할 표시 - "조장, 서기" (조원이고 맡은 역할이 없으면 빈 문자열)
+ */
+function formatMemberRoles({ role, roles = [] }, locale) {
+  return [...(role === 'member' ? [] : [translate(locale, `role.${role}`)]), ...roles].join(', ');
+}
+
+/**
+ * CSV 내보내기 - 조, 이름, 역할, 태그(; 구분) 열, 맡은 역할이 있으면 맡은 역할(; 구분) 열 추가
+ * 추첨 후 수동 조정한 결과면 행마다 수동 조정 열을 붙여 다른 형식처럼 표시
+ * 태그 칸은 가져오기(parseRosterText)와 같은 형식이라 다시 읽을 수 있음
+ * 머리글과 역할 이름은 locale 언어로 씀 (내보내기 함수 공통)
+ */
+export function formatDrawCsv(draw, tags = {}, locale = DEFAULT_LOCALE) {
+  return formatCsvRows(flattenDraw(draw, tags), false, locale, Boolean(draw.manuallyAdjusted));
+}
+
+// withRound면 맨 앞에 라운드 열 추가 (라운드 일정용), adjusted면 맨 뒤에 수동 조정 열 추가
+function formatCsvRows(rows, withRound, locale, adjusted = false) {
+  const withRoles = rows.some(row => row.roles.length > 0);
+  const lines = [translate(locale, 'export.csvHeader', { withRound, withRoles, adjusted })];
+  rows.forEach(row => {
+    const cells = [
+      ...(withRound ? [row.round] : []),
+      row.team, row.name, translate(locale, `role.${row.role}`), row.tags.join(';'),
+      ...(withRoles ? [row.roles.join(';')] : []),
+      ...(adjusted ? [translate(locale, 'export.csvAdjusted')] : [])
+    ];
+    lines.push(cells.map(escapeCsvCell).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * JSON 내보내기 - 시드, 커밋 해시와 커밋한 설정, 추첨 시각과 조별 멤버(역할, 태그, 맡은 역할) 포함
+ */
+export function formatDrawJson(draw, tags = {}) {
+  return JSON.stringify({
+    seed: draw.seed,
+    commitHash: draw.commitHash,
+    commitSettings: draw.commitSettings || null,
+    createdAt: draw.createdAt,
+    manuallyAdjusted: Boolean(draw.manuallyAdjusted),
+    teamCount: draw.teamCount,
+    teams: toJsonTeams(draw.teams, draw.teamCount, tags)
+  }, null, 2);
+}
+
+function toJsonTeams(teams, teamCount, tags) {
+  const result = [];
+  for (let i = 1; i <= teamCount; i++) {
+    result.push({
+      team: i,
+      members: teams[i].map(({ name, role, roles }) => ({
+        name,
+        role,
+        tags: getTags(tags, name),
+        ...(roles && roles.length > 0 ? { roles } : {})
+      }))
+    });
+  }
+  return result;
+}
+
+/**
+ * Markdown 표 내보내기 (Slack, Notion 붙여넣기용) - 조마다 한 행
+ */
+export function formatDrawMarkdown(draw, locale = DEFAULT_LOCALE) {
+  const lines = formatMarkdownTable(draw.teams, draw.teamCount, locale);
+  const adjusted = draw.manuallyAdjusted ? translate(locale, 'export.adjusted') : '';
+  lines.push('', `${translate(locale, 'export.seed', { seed: `\`${draw.seed}\`` })}${adjusted}`);
+  return lines.join('\n') + '\n';
+}
+
+function formatMarkdownTable(teams, teamCount, locale) {
+  const escapeCell = text => String(text).replace(/\\/g, '\\\\').replace(/\|/g, '\\|');
+  const lines = [translate(locale, 'export.markdownHeader'), '| --- | --- | --- |'];
+  for (let i = 1; i <= teamCount; i++) {
+    const members = teams[i].map(member => {
+      const label = escapeCell(member.name);
+      const roles = formatMemberRoles(member, locale);
+      return roles ? `${label} (${escapeCell(roles)})` : label;
+    });
+    lines.push(`| ${translate(locale, 'team', { team: i })} | ${translate(locale, 'people', { count: teams[i].length })} | ${members.join(', ')} |`);
+  }
+  return lines;
+}
+
+/**
+ * 일반 텍스트 내보내기 (터미널, 메신저용) - 조마다 제목 한 줄과 멤버 한 줄씩
+ */
+export function formatDrawText(draw, locale = DEFAULT_LOCALE) {
+  const lines = formatTextTeams(draw.teams, draw.teamCount, locale);
+  const adjusted = draw.manuallyAdjusted ? translate(locale, 'export.adjusted') : '';
+  lines.push(`${translate(locale, 'export.seed', { seed: draw.seed })}${adjusted}`);
+  return lines.join('\n') + '\n';
+}
+
+function formatTextTeams(teams, teamCount, locale) {
+  const lines = [];
+  for (let i = 1; i <= teamCount; i++) {
+    lines.push(translate(locale, 'results.teamSize', { team: i, count: teams[i].length }));
+    teams[i].forEach(member => {
+      const roles = formatMemberRoles(member, locale);
+      lines.push(roles ? `  ${member.name} (${roles})` : `  ${member.name}`);
+    });
+    lines.push('');
+  }
+  return lines;
+}
+
+/**
+ * 라운드 일정 내보내기 - schedule: { rounds: [teams], teamCount, seed, createdAt }
+ * 형식별로 조 편성 결과 내보내기와 같은 모양을 라운드마다 반복
+ */
+export function formatScheduleCsv(schedule, tags = {}, locale = DEFAULT_LOCALE) {
+  const rows = schedule.rounds.flatMap((teams, index) => (
+    flattenDraw({ teams, teamCount: schedule.teamCount }, tags).map(row => ({ round: index + 1, ...row }))
+  ));
+  return formatCsvRows(rows, true, locale);
+}
+
+/**
+ * 라운드 일정 JSON 내보내기 - 라운드별 조 편성과 쌍별 만난 횟수 분포(pairMeetings) 포함
+ */
+export function formatScheduleJson(schedule, tags = {}) {
+  const { histogram } = summarizePairMeetings(schedule.rounds, schedule.teamCount);
+  return JSON.stringify({
+    seed: schedule.seed,
+    createdAt: schedule.createdAt,
+    teamCount: schedule.teamCount,
+    rounds: schedule.rounds.map((teams, index) => ({
+      round: index + 1,
+      teams: toJsonTeams(teams, schedule.teamCount, tags)
+    })),
+    pairMeetings: histogram
+  }, null, 2);
+}
+
+/**
+ * 라운드 일정 Markdown 내보내기 - 라운드마다 제목과 표
+ */
+export function formatScheduleMarkdown(schedule, locale = DEFAULT_LOCALE) {
+  const lines = [];
+  schedule.rounds.forEach((teams, index) => {
+    lines.push(`### ${translate(locale, 'round', { round: index + 1 })}`, '', ...formatMarkdownTable(teams, schedule.teamCount, locale), '');
+  });
+  lines.push(translate(locale, 'export.seed', { seed: `\`${schedule.seed}\`` }));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * 라운드 일정 텍스트 내보내기 - 라운드마다 구분 줄과 조별 멤버
+ */
+export function formatScheduleText(schedule, locale = DEFAULT_LOCALE) {
+  const lines = [];
+  schedule.rounds.forEach((teams, index) => {
+    lines.push(`== ${translate(locale, 'round', { round: index + 1 })} ==`, ...formatTextTeams(teams, schedule.teamCount, locale));
+  });
+  lines.push(translate(locale, 'export.seed', { seed: schedule.seed }));
+  return lines.join('\n') + '\n';
+}
+
+// 공유 링크에서 역할을 한 글자로 줄여 URL 길이를 줄임
+const SHARE_ROLE_CODES = {
+  leader: 'l',
+  subLeader: 's',
+  constrained: 'c',
+  member: 'm'
+};
+
+const SHARE_VERSION = 1;
+
+/**
+ * UTF-8 문자열 <-> base64url (URL 조각에 그대로 넣을 수 있는 형태)
+ */
+export function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+}
+
+/**
+ * 설정과 추첨 결과를 공유 링크 조각(#share= 뒤)으로 직렬화
+ * 결과는 조마다 [이름, 역할 코드(, 맡은 역할 목록)] 목록으로 저장해 시드 없이도 같은 결과를 보여줌
+ */
+export function encodeShareData(settings, draw) {
+  const payload = { v: SHARE_VERSION, s: settings };
+  if (draw) {
+    const teams = [];
+    for (let i = 1; i <= draw.teamCount; i++) {
+      teams.push(draw.teams[i].map(({ name, role, roles }) => (
+        roles && roles.length > 0 ? [name, SHARE_ROLE_CODES[role], roles] : [name, SHARE_ROLE_CODES[role]]
+      )));
+    }
+    payload.d = {
+      seed: draw.seed,
+      commitHash: draw.commitHash,
+      createdAt: draw.createdAt,
+      teams
+    };
+    if (draw.commitSettings) {
+      payload.d.cs = draw.commitSettings;
+    }
+    if (draw.manuallyAdjusted) {
+      payload.d.m = 1;
+    }
+  }
+  return toBase64Url(JSON.stringify(payload));
+}
+
+/**
+ * 공유 링크 조각을 { settings, draw } 로 복원 - 형식이 맞지 않으면 Error
+ * settings는 검증 전 원본이므로 normalizeSettings를 거쳐 사용
+ */
+export function decodeShareData(encoded) {
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(encoded));
+  } catch (e) {
+    throw localizedError('error.shareCorrupted');
+  }
+  if (!payload || payload.v !== SHARE_VERSION || !payload.s || typeof payload.s !== 'object') {
+    throw localizedError('error.shareUnsupported');
+  }
+
+  const roleOf = {};
+  Object.entries(SHARE_ROLE_CODES).forEach(([role, code]) => {
+    roleOf[code] = role;
+  });
+
+  let draw = null;
+  if (payload.d) {
+    const { seed, commitHash, createdAt, teams, cs, m } = payload.d;
+    const isValidMember = member => Array.isArray(member) && typeof member[0] === 'string' && Object.hasOwn(roleOf, member[1])
+      && (member[2] === undefined || (Array.isArray(member[2]) && member[2].every(role => typeof role === 'string')));
+    if (!Array.isArray(teams) || !isValidTeam(teams.length, MAX_TEAM_COUNT) || teams.length < MIN_TEAM_COUNT
+      || !teams.every(team => Array.isArray(team) && team.every(isValidMember))) {
+      throw localizedError('error.shareInvalidTeams');
+    }
+
+    draw = {
+      teams: {},
+      teamCount: teams.length,
+      seed: String(seed),
+      commitHash: typeof commitHash === 'string' ? commitHash : null,
+      createdAt: String(createdAt)
+    };
+    if (typeof cs === 'string') {
+      draw.commitSettings = cs;
+    }
+    if (m === 1) {
+      draw.manuallyAdjusted = true;
+    }
+    teams.forEach((members, index) => {
+      draw.teams[index + 1] = members.map(([name, code, roles]) => (
+        roles ? { name, role: roleOf[code], roles } : { name, role: roleOf[code] }
+      ));
+    });
+  }
+
+  return { settings: payload.s, draw };
+}
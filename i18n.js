@@ -0,0 +1,792 @@
+// ============================================
+// 랜덤 조 편성기 - 다국어 메시지
+// 화면(script.js)과 핵심 로직(core.js)이 함께 쓰는 메시지 카탈로그와 번역 함수 (ES 모듈)
+// ============================================
+
+// ============================================
+// 1. 설정
+// ============================================
+// 지원 언어 (첫 값이 기본) - core.js의 오류 message는 기본 언어로 만듦
+export const LOCALES = ['ko', 'en'];
+export const DEFAULT_LOCALE = 'ko';
+// 언어 선택 상자에 표시할 이름 (각 언어로 표기)
+export const LOCALE_NAMES = {
+  ko: '한국어',
+  en: 'English'
+};
+
+// ============================================
+// 2. 메시지 카탈로그
+// ============================================
+// 값의 형태
+// - 문자열: {이름} 자리에 params 값을 넣음 (숫자는 언어별 숫자 표기)
+// - { one, other }: params.count의 복수 규칙(Intl.PluralRules)으로 고른 뒤 위와 같이 채움
+// - 함수 (params, t) => 문자열: 조 이름처럼 다른 메시지를 조합하거나 조건에 따라 문구가 바뀔 때
+
+const ko = {
+  // 공통 표기
+  'team': '{team}조',
+  'teamCount': '{count}개',
+  'people': '{count}명',
+  'round': '{round}라운드',
+  'slot': ({ type, team, role }, t) => {
+    const label = { leader: '조장', subLeader: '부조장', constraint: '고정' }[type] || role;
+    return `${t('team', { team })} ${label}`;
+  },
+  'role.leader': '조장',
+  'role.subLeader': '부조장',
+  'role.constrained': '고정',
+  'role.member': '조원',
+
+  // 조 편성 오류
+  'error.togetherPinnedApart': ({ names, teams }, t) =>
+    `${names.join(', ')}은(는) 같은 조여야 하지만 각각 ${teams.map(team => t('team', { team })).join(', ')}에 고정되어 있습니다.`,
+  'error.apartButTogether': "{a}와(과) {b}은(는) 다른 조여야 하지만 '같은 조' 제약으로 묶여 있습니다.",
+  'error.apartButPinned': ({ a, b, team }, t) => `${a}와(과) ${b}은(는) 다른 조여야 하지만 둘 다 ${t('team', { team })}에 고정되어 있습니다.`,
+  'error.fixedOverCapacity': '{team}조의 고정 인원({count}명)이 정원({capacity}명)보다 많습니다.',
+  'error.totalOverCapacity': '전체 인원({count}명)이 조 정원의 합({capacity}명)보다 많습니다.',
+  'error.noPlacementWithCapacity': '쌍 제약조건과 조 정원을 모두 만족하는 조 편성을 찾지 못했습니다. 제약조건을 줄이거나 정원을 늘려 주세요.',
+  'error.noPlacement': "'다른 조' 제약조건을 모두 만족하는 조 편성을 찾지 못했습니다. 제약조건을 줄이거나 조 개수를 늘려 주세요.",
+  'error.unevenTogether': ({ spread }, t) => `'같은 조' 제약조건으로 묶인 사람이 많아 조별 인원이 ${t('people', { count: spread })} 차이 납니다. 제약조건을 줄이거나 조를 더 적게 나눠 주세요.`,
+  'error.unevenApart': ({ spread }, t) => `'다른 조' 제약조건 때문에 일부 조에 사람이 몰려 조별 인원이 ${t('people', { count: spread })} 차이 납니다. 제약조건을 줄이거나 조 개수를 늘려 주세요.`,
+  'error.presetNameEmpty': '프리셋 이름을 입력해 주세요.',
+  'error.presetNameReserved': "'{name}'은(는) 기본 프리셋 이름이라 사용할 수 없습니다.",
+  'error.presetNameTaken': "'{name}' 프리셋이 이미 있습니다.",
+  'error.shareCorrupted': '공유 링크가 손상되었습니다.',
+  'error.shareUnsupported': '지원하지 않는 공유 링크 형식입니다.',
+  'error.shareInvalidTeams': '공유 링크의 조 편성 결과가 올바르지 않습니다.',
+
+  // 가져오기 행 오류
+  'importError.unknownRole': '알 수 없는 역할: {role}',
+  'importError.invalidTeam': '잘못된 조: {team}',
+  'importError.teamRequired': '조장/부조장은 조가 필요합니다',
+
+  // 조정 후 제약조건 위반
+  'violation.overCapacity': '{team}조 인원({count}명)이 정원({capacity}명)을 넘습니다',
+  'violation.pinned': ({ slot, name, team }, t) => `${t('slot', slot)} '${name}'이(가) ${t('team', { team })}에 있습니다`,
+  'violation.together': "'{a}'와(과) '{b}'는 같은 조여야 합니다",
+  'violation.apart': "'{a}'와(과) '{b}'는 다른 조여야 합니다",
+
+  // 입력 검증
+  'issue.blankName': '이름이 비어 있습니다',
+  'issue.duplicateName': "'{name}' 이름이 {position}번째 참가자와 중복됩니다",
+  'issue.noLeader': '{team}조에 조장이 없습니다',
+  'issue.slotTaken': ({ name, slot }, t) => `'${name}'은(는) 이미 ${t('slot', slot)}입니다`,
+  'issue.absentLeader': ({ slot, name, fallback, subLeader }, t) => {
+    const outcome = {
+      none: '조장 없이 편성합니다',
+      subLeader: `부조장 '${subLeader}'이(가) 조장을 맡습니다`,
+      random: '추첨 후 조원 중 한 명이 조장을 대신합니다'
+    }[fallback];
+    return `${t('slot', slot)} '${name}'이(가) 결석해 ${outcome}`;
+  },
+  'issue.absentSubLeader': ({ slot, name }, t) => `${t('slot', slot)} '${name}'이(가) 결석해 부조장 없이 편성합니다`,
+  'issue.constraintBlank': '고정할 이름을 입력하세요',
+  'issue.slotOutsideTeams': ({ name, slot, teamCount }, t) => `${t('slot', slot)} '${name}'이(가) 있지만 조 개수는 ${teamCount}개입니다`,
+  'issue.constraintTeamMissing': '{team}조는 존재하지 않는 조입니다',
+  'issue.constraintSlotConflict': ({ name, slot, team }, t) => `'${name}'은(는) ${t('slot', slot)}이라 ${t('team', { team })}에 고정할 수 없습니다`,
+  'issue.alreadyPinned': "'{name}'은(는) 이미 {team}조에 고정되어 있습니다",
+  'issue.duplicateConstraint': '중복된 제약조건입니다',
+  'issue.addedToRoster': "'{name}'은(는) 참가자 명단에 없어 추가 인원으로 배치됩니다",
+  'issue.roleBlank': '역할 이름을 입력하세요',
+  'issue.roleDuplicate': "'{role}' 역할이 중복됩니다",
+  'issue.roleUnassigned': '{team}조 {role} 담당자가 없습니다',
+  'issue.roleAssigneeAbsent': "'{name}'이(가) 결석해 {team}조 {role} 담당자가 없습니다",
+  'issue.roleSlotConflict': ({ name, slot, team, role }, t) => `'${name}'은(는) ${t('slot', slot)}이라 ${t('team', { team })} ${role}을(를) 맡을 수 없습니다`,
+  'issue.rolePinnedConflict': "'{name}'은(는) {pinnedTeam}조에 고정되어 있어 {team}조 {role}을(를) 맡을 수 없습니다",
+  'issue.pairBlank': '두 사람의 이름을 모두 입력하세요',
+  'issue.pairSame': '같은 사람끼리는 지정할 수 없습니다',
+  'issue.pairNotInRoster': "'{name}'은(는) 명단에 없어 이 조건은 무시됩니다",
+  'issue.capacityInvalid': '정원은 1 이상의 정수여야 합니다',
+  'issue.capacityFixed': '{team}조 고정 인원({count}명)이 정원({capacity}명)보다 많습니다',
+  'issue.tooFew': ({ total, teamCount, attendance }) => `${attendance ? '출석 인원' : '인원'}(${total}명)이 조 개수(${teamCount}개)보다 적습니다`,
+  'issue.overCapacity': ({ total, capacity, attendance }) => `${attendance ? '출석 인원' : '인원'}(${total}명)이 조 정원의 합(${capacity}명)보다 많습니다`,
+  'issue.uneven': '{total}명을 {teamCount}개 조로 나누면 조별 인원이 1명 차이 납니다',
+
+  // 내보내기
+  'export.csvHeader': ({ withRound, withRoles, adjusted }) =>
+    [...(withRound ? ['라운드'] : []), '조', '이름', '역할', '태그', ...(withRoles ? ['맡은 역할'] : []), ...(adjusted ? ['수동 조정'] : [])].join(','),
+  'export.csvAdjusted': '추첨 후 수동 조정됨',
+  'export.markdownHeader': '| 조 | 인원 | 멤버 |',
+  'export.seed': '시드: {seed}',
+  'export.adjusted': ' (추첨 후 수동 조정됨)',
+
+  // 화면 - 머리글, 공유 링크
+  'app.title': '랜덤 조 편성기',
+  'app.language': '언어',
+  'app.testButton': '신뢰도 테스트',
+  'app.close': '닫기',
+  'shared.banner': '공유 링크로 연 결과입니다. 읽기 전용으로 표시됩니다.',
+  'shared.editCopy': '사본 편집',
+  'shared.backupName': '공유 링크 열기 전 내 명단',
+  'shared.backedUp': "편집하던 명단과 설정은 '{name}' 프리셋으로 저장해 두었습니다.",
+  'common.name': '이름',
+  'common.delete': '삭제',
+  'common.download': '다운로드',
+  'common.copy': '클립보드 복사',
+  'common.exportLabel': '내보내기:',
+  'common.markdown': 'Markdown 표',
+
+  // 프리셋
+  'presets.title': '프리셋',
+  'presets.select': '프리셋 선택',
+  'presets.load': '불러오기',
+  'presets.rename': '이름 변경',
+  'presets.namePlaceholder': '새 프리셋 이름 (예: 스터디 A조)',
+  'presets.nameLabel': '새 프리셋 이름',
+  'presets.save': '현재 설정 저장',
+  'presets.autosave': '편집 내용은 이 브라우저에 자동으로 저장됩니다.',
+  'presets.builtIn': '{name} (기본)',
+  'presets.loaded': "'{name}' 프리셋을 불러왔습니다.",
+  'presets.confirmOverwrite': "'{name}' 프리셋을 현재 설정으로 덮어쓸까요?",
+  'presets.saved': "'{name}' 프리셋을 저장했습니다.",
+  'presets.renamed': "'{from}' 프리셋 이름을 '{to}'(으)로 바꿨습니다.",
+  'presets.confirmDelete': "'{name}' 프리셋을 삭제할까요?",
+  'presets.deleted': "'{name}' 프리셋을 삭제했습니다.",
+
+  // 조 개수, 조장/부조장, 정원
+  'teamCount.title': '조 개수',
+  'teamCount.label': '편성할 조:',
+  'teamCount.range': '개 조 (2~10)',
+  'leaders.title': '조별 고정 멤버와 정원 (조장/부조장/최대 인원)',
+  'leaders.leader': '조장:',
+  'leaders.subLeader': '부조장:',
+  'leaders.capacity': '정원:',
+  'leaders.noLimit': '제한 없음',
+  'leaders.fallbackLabel': '조장이 결석하면:',
+  'leaders.fallback.subLeader': '부조장이 조장을 맡음 (부조장도 없으면 무작위)',
+  'leaders.fallback.random': '조원 중 무작위로 대신',
+  'leaders.fallback.none': '조장 없이 편성',
+
+  // 제약조건, 쌍 제약조건, 역할
+  'constraints.title': '제약조건 (특정 인원 조 고정)',
+  'constraints.add': '+ 제약조건 추가',
+  'constraints.pinned': '고정',
+  'constraints.missingTeam': '{team}조 (없음)',
+  'constraints.nameLabel': '제약조건 {number} 이름',
+  'constraints.teamLabel': '제약조건 {number} 고정할 조',
+  'constraints.remove': '제약조건 {number} 삭제',
+  'pairs.title': '쌍 제약조건 (같은 조 / 다른 조)',
+  'pairs.add': '+ 쌍 제약조건 추가',
+  'pairs.and': '와(과)',
+  'pairs.together': '같은 조',
+  'pairs.apart': '다른 조',
+  'pairs.firstLabel': '쌍 제약조건 {number} 첫 번째 이름',
+  'pairs.secondLabel': '쌍 제약조건 {number} 두 번째 이름',
+  'pairs.typeLabel': '쌍 제약조건 {number} 종류',
+  'pairs.remove': '쌍 제약조건 {number} 삭제',
+  'roles.title': '역할 (서기, 발표자 등)',
+  'roles.add': '+ 역할 추가',
+  'roles.namePlaceholder': '역할 (예: 서기)',
+  'roles.random': '조원 중 무작위',
+  'roles.named': '이름으로 지정',
+  'roles.nameLabel': '역할 {number} 이름',
+  'roles.modeLabel': '역할 {number} 담당자 정하는 방식',
+  'roles.assigneeLabel': ({ number, team }, t) => `역할 ${number} ${t('team', { team })} 담당자`,
+  'roles.remove': '역할 {number} 삭제',
+
+  // 참가자, 출석
+  'participants.title': '일반 참가자',
+  'participants.add': '+ 참가자 추가',
+  'participants.import': '일괄 가져오기',
+  'participants.tags': '태그',
+  'participants.newName': '참가자{number}',
+  'participants.nameLabel': '참가자 {number} 이름',
+  'participants.tagsLabel': '참가자 {number} 태그',
+  'participants.presentLabel': '참가자 {number} 출석',
+  'participants.remove': '참가자 {number} 삭제',
+  'attendance.present': '출석',
+  'attendance.reset': '모두 출석으로',
+  'attendance.absent': '결석 {count}명: {names} - 명단에는 남고 편성에서만 빠집니다',
+  'attendance.allPresent': '모두 출석 - 빠지는 사람은 체크를 해제하세요',
+  'attendance.slotLabel': ({ type, team }, t) => `${t('slot', { type, team })} 출석`,
+
+  // 일괄 가져오기
+  'import.title': '참가자 일괄 가져오기',
+  'import.pasteLabel': '이름 붙여넣기 (줄바꿈, 쉼표, 탭으로 구분)',
+  'import.placeholder': '홍길동, 김철수\n이영희',
+  'import.fileLabel': '또는 CSV 파일:',
+  'import.hint': 'CSV 머리글: 이름(name), 역할(role: 조장/부조장), 조(team), 태그(tags, ; 로 구분) - 이름 외에는 선택',
+  'import.replace': '기존 명단을 비우고 가져오기',
+  'import.confirm': '가져오기',
+  'import.columns': '#,이름,역할,조,태그,상태',
+  'import.blankName': '(빈 이름)',
+  'import.member': '참가자',
+  'import.status.ok': '추가',
+  'import.status.blank': '빈 이름',
+  'import.status.duplicate': '중복',
+  'import.status.invalid': '오류',
+  'import.summary': '추가 {ok}명 · 건너뜀 {skipped}명',
+
+  // 검증 요약
+  'validation.errors': '입력 오류 {count}건 - 고친 뒤 조 편성할 수 있습니다',
+  'validation.warnings': '경고 {count}건 - 조 편성은 가능합니다',
+  'validation.warning': '(경고) {message}',
+  'validation.fixFirst': '입력 오류를 먼저 고쳐 주세요.',
+
+  // 시드, 커밋-공개, 겹침 줄이기, 조 편성
+  'seed.label': '시드:',
+  'seed.placeholder': '비우면 자동 생성',
+  'seed.prefix': '시드: ',
+  'seed.commitHash': '커밋 해시 (SHA-256): ',
+  'seed.commitSettings': '커밋한 명단과 설정 (JSON)',
+  'seed.verify': '공개된 시드, 줄바꿈, 위 설정 JSON을 이어 붙인 SHA-256 값이 추첨 전에 공유한 해시와 같은지 확인하세요.',
+  'seed.verifySeedOnly': '공개된 시드의 SHA-256 값이 추첨 전에 공유한 해시와 같은지 확인하세요.',
+  'seed.reproduceWithHistory': '같은 명단, 설정, 추첨 기록에서 이 시드를 입력하면 같은 결과가 나옵니다.',
+  'seed.reproduce': '같은 명단과 설정에서 이 시드를 입력하면 같은 결과가 나옵니다.',
+  'seed.adjusted': '추첨 후 수동으로 조정된 결과입니다.',
+  'seed.adjustedNote': '시드로는 조정 전 결과만 재현됩니다.',
+  'seed.repeats': '최근 {count}회 추첨과 겹친 조원 쌍: ',
+  'seed.repeatCount': '{count}회',
+  'seed.avoidRepeats': ' (겹침 줄이기 사용)',
+  'commit.toggle': '커밋-공개 모드',
+  'commit.hint': '이 해시를 먼저 공유한 뒤 추첨하세요. 해시에는 시드와 위 명단·설정(겹치는 조원 줄이기를 켰으면 비교한 지난 조원 쌍까지)이 함께 들어가므로 추첨할 때까지 편집과 기록 삭제를 할 수 없습니다. 추첨 후 시드가 공개됩니다.',
+  'commit.settingsChanged': '커밋한 뒤 명단, 설정이나 추첨 기록이 바뀌어 커밋을 취소했습니다. 다시 조 편성하기를 눌러 새로 커밋하세요.',
+  'commit.httpsOnly': '커밋-공개 모드는 HTTPS 환경에서만 사용할 수 있습니다.',
+  'repeat.before': '최근',
+  'repeat.sessions': '비교할 최근 추첨 수',
+  'repeat.after': '회 추첨과 겹치는 조원 줄이기',
+  'shuffle.button': '조 편성하기',
+  'shuffle.reveal': '시드 공개 및 조 편성',
+
+  // 결과, 조정
+  'results.title': '조 편성 결과',
+  'results.teamSize': ({ team, count, capacity }, t) => `${t('team', { team })} (${capacity ? `${count}/${capacity}` : count}명)`,
+  'adjust.sizes': '조별 인원: {sizes} (최대 차이 {spread}명)',
+  'adjust.reset': '조정 전 결과로 되돌리기',
+  'adjust.hint': '이름을 끌어 다른 조에 놓으면 옮기고, 다른 사람 위에 놓으면 맞바꿉니다. 키보드로는 이름에서 ←/→ 키를 눌러 옆 조로 옮깁니다.',
+  'adjust.moved': ({ name, team }, t) => `${name}을(를) ${t('team', { team })}(으)로 옮겼습니다.`,
+  'results.announce': ({ count, seed }, t) => `${t('teamCount', { count })} 조 편성을 마쳤습니다. 시드 ${seed}`,
+
+  // 결과 내보내기, 공유
+  'export.png': 'PNG 이미지',
+  'export.shareLink': '공유 링크 복사',
+  'export.present': '발표 모드',
+  'export.saved': '{fileName} 파일을 저장했습니다.',
+  'export.copied': '클립보드에 복사했습니다.',
+  'export.copyFailed': '클립보드에 복사하지 못했습니다.',
+  'export.noClipboard': '이 브라우저에서는 클립보드 복사를 사용할 수 없습니다. 다운로드를 이용해 주세요.',
+  'export.noImageClipboard': '이 브라우저에서는 이미지 복사를 지원하지 않습니다. 다운로드를 이용해 주세요.',
+  'export.imageFailed': '이미지를 만들지 못했습니다.',
+  'export.imageAdjusted': ' · 추첨 후 수동 조정됨',
+  'share.copied': '공유 링크를 복사했습니다. 링크를 연 사람은 읽기 전용으로 결과를 봅니다.',
+  'share.prompt': '아래 링크를 복사해 공유하세요.',
+
+  // 라운드 일정
+  'schedule.title': '라운드 일정',
+  'schedule.label': '하루 일정:',
+  'schedule.after': '라운드 동안 매번 새 조로',
+  'schedule.button': '라운드 일정 만들기',
+  'schedule.roundCount': '{count}라운드',
+  'schedule.meetings': '같은 조가 된 횟수: {summary}',
+  'schedule.meetingCount': '{count}번 {pairs}쌍',
+  'schedule.pair': '{a}·{b} ({count}번)',
+  'schedule.mostFrequent': '가장 자주 만난 쌍: {pairs}',
+  'schedule.reproduce': '같은 명단과 설정에서 이 시드와 라운드 수를 입력하면 같은 일정이 나옵니다.',
+  'schedule.byPerson': '사람별',
+  'schedule.views': '일정 보기',
+  'schedule.announce': ({ count }, t) => `${t('schedule.roundCount', { count })} 일정을 만들었습니다.`,
+
+  // 추첨 기록
+  'history.title': '추첨 기록',
+  'history.clear': '기록 전체 삭제',
+  'history.confirmClear': '추첨 기록을 모두 삭제할까요?',
+  'history.meta': '{count}개 조 · 시드 ',
+  'history.repeats': ' · 겹친 조원 쌍 {count}회',
+  'history.view': '보기',
+
+  // 발표 모드
+  'presentation.title': '조 편성 발표',
+  'presentation.speed': '속도:',
+  'presentation.slow': '느리게',
+  'presentation.normal': '보통',
+  'presentation.fast': '빠르게',
+  'presentation.next': '다음 (Space)',
+  'presentation.play': '자동 재생 (P)',
+  'presentation.pause': '일시 정지 (P)',
+  'presentation.skip': '끝까지 (S)',
+  'presentation.close': '발표 모드 닫기',
+  'presentation.keys': 'Space: 다음 · P: 자동 재생 · S: 끝까지 · Esc: 닫기',
+  'presentation.landed': ({ name, team }, t) => `${name} → ${t('team', { team })}`,
+  'presentation.done': '조 편성 완료',
+
+  // 신뢰도 테스트
+  'test.title': '랜덤 분포 테스트 결과 ({count}회)',
+  'test.alpha': '유의수준 α:',
+  'test.teams': '조별 배분 (자유 배정 {count}명 기준, 회당 평균)',
+  'test.excluded': '쌍 제약조건 대상 {count}명은 집계에서 제외했습니다. ',
+  'test.observed': '기대 확률은 태그 조합이 같은 참가자들의 관측된 조별 배분으로 추정했습니다.',
+  'test.teamAverage': '{average}명 (기대 {expected}명)',
+  'test.chi': 'χ² = {statistic}, 자유도 {df}, p = {p}',
+  'test.expected': '기대 {percent}%',
+  'test.personBar': '{percent}% ({count}회) / 기대 {expected}%',
+  'test.overall': '전체 동질성 χ² = {statistic}, 자유도 {df}, p = {p}',
+  'test.persons': '개인별 p < α: {failed}/{count}명 (우연히 기대되는 수 약 {expected}명)',
+  'test.passed': '✅ 통과 (α = {alpha}): 기대 분포와 차이 없음',
+  'test.failed': '⚠️ 실패 (α = {alpha}): 기대 분포와 유의한 차이',
+  'test.matrix': '동반 배정 비율 (%, 기대 {expected}%)',
+  'test.pairCell': '{a} · {b}: {count}회',
+
+  // 콘솔, 저장소, 오프라인
+  'console.ready': '앱이 초기화되었습니다.',
+  'console.participants': '총 참가자: {count}명',
+  'console.constraints': '제약조건: {count}개',
+  'console.pairConstraints': '쌍 제약조건: {count}개',
+  'storage.loadFailed': '저장된 데이터를 읽지 못했습니다 ({key}): {message}',
+  'storage.saveFailed': '데이터를 저장하지 못했습니다 ({key}): {message}',
+  'pwa.registerFailed': '오프라인 지원을 켜지 못했습니다: {message}',
+
+  // 명령줄 도구 (cli.js)
+  'cli.usage': `사용법: team-randomizer <명단 파일 | -> [옵션]
+
+명단 파일은 이름 목록(줄바꿈/쉼표/탭 구분) 또는 CSV(name, role, team, tags 열)입니다.
+- 를 주면 표준 입력에서 읽습니다.
+메시지 언어는 LC_ALL, LC_MESSAGES, LANG 환경 변수를 따릅니다 (ko, en).
+
+옵션:
+  -t, --teams <N>            조 개수 (2~10, 기본: {defaultTeams}, 명단에 더 큰 조 번호가 있으면 그 값)
+  -s, --seed <시드>          시드 (같은 명단/옵션/시드면 같은 결과, 기본: 자동 생성)
+  -f, --format <형식>        text | json | csv | markdown (기본: text)
+  -r, --rounds <N>           N라운드 일정 (2~10) - 라운드마다 새 조, 같은 조를 만난 쌍이 고르게 퍼지도록 편성
+      --leader <조=이름>     조장 지정 (여러 번 사용 가능, 예: --leader 1=김가령)
+      --sub-leader <조=이름> 부조장 지정 (여러 번 사용 가능)
+      --pin <이름=조>        특정 인원 조 고정 (여러 번 사용 가능, 예: --pin 김상균=2)
+      --capacity <조=인원>   조 정원(최대 인원) 지정 (여러 번 사용 가능, 예: --capacity 3=6)
+      --together <이름,이름> 두 사람을 같은 조로 (여러 번 사용 가능)
+      --apart <이름,이름>    두 사람을 다른 조로 (여러 번 사용 가능)
+      --role <역할[:조=이름,...]>
+                             조마다 맡을 역할 (여러 번 사용 가능)
+                             이름 없이 주면 조원 중 무작위 (예: --role 서기)
+                             조=이름을 주면 그 사람에게 지정 (예: --role 발표자:1=김가령,2=김상균)
+      --absent <이름>        결석자 - 명단에서 빼지 않고 편성에서만 제외 (여러 번 사용 가능)
+      --leader-fallback <방식>
+                             조장이 결석하면: subLeader(부조장 승격, 기본) | random(조원 중 무작위) | none
+  -h, --help                 도움말
+`,
+  'cli.error': '오류: {message}',
+  'cli.warning': '경고: {message}',
+  'cli.skipped': '건너뜀: {name} - {reason}',
+  'cli.assignmentFormat': "--{option} 값은 '앞=뒤' 형식이어야 합니다: {value}",
+  'cli.pairFormat': "--{option} 값은 '이름,이름' 형식이어야 합니다: {value}",
+  'cli.invalidTeamNumber': '--{option}의 조 번호가 올바르지 않습니다: {value}',
+  'cli.invalidCapacity': '--capacity의 인원은 1 이상의 정수여야 합니다: {value}',
+  'cli.invalidLeaderFallback': '--leader-fallback는 {choices} 중 하나여야 합니다: {value}',
+  'cli.invalidTeamCount': '조 개수는 {min}~{max} 사이 정수여야 합니다: {value}',
+  'cli.invalidRounds': '라운드 수는 {min}~{max} 사이 정수여야 합니다: {value}',
+  'cli.unknownFormat': '지원하지 않는 형식입니다: {format} ({formats})',
+  'cli.capacityOutsideTeams': ({ team, teamCount }, t) => `${t('team', { team })} 정원을 지정했지만 조 개수는 ${teamCount}개입니다`
+};
+
+const en = {
+  // 공통 표기
+  'team': 'Team {team}',
+  'teamCount': { one: '{count} team', other: '{count} teams' },
+  'people': { one: '{count} person', other: '{count} people' },
+  'round': 'Round {round}',
+  'slot': ({ type, team, role }, t) => {
+    const label = { leader: 'leader', subLeader: 'sub-leader', constraint: 'pin' }[type] || role;
+    return `${t('team', { team })} ${label}`;
+  },
+  'role.leader': 'Leader',
+  'role.subLeader': 'Sub-leader',
+  'role.constrained': 'Pinned',
+  'role.member': 'Member',
+
+  // 조 편성 오류
+  'error.togetherPinnedApart': ({ names, teams }, t) =>
+    `${names.join(', ')} must be in the same team but are pinned to ${teams.map(team => t('team', { team })).join(', ')}.`,
+  'error.apartButTogether': "{a} and {b} must be in different teams but are linked by a 'same team' constraint.",
+  'error.apartButPinned': ({ a, b, team }, t) => `${a} and ${b} must be in different teams but are both pinned to ${t('team', { team })}.`,
+  'error.fixedOverCapacity': ({ team, count, capacity }, t) =>
+    `${t('team', { team })} has more fixed members (${t('people', { count })}) than its capacity (${t('people', { count: capacity })}).`,
+  'error.totalOverCapacity': ({ count, capacity }, t) =>
+    `The total number of people (${t('people', { count })}) exceeds the combined team capacity (${t('people', { count: capacity })}).`,
+  'error.noPlacementWithCapacity': 'Could not find teams that satisfy both the pair constraints and the capacities. Remove some constraints or raise the capacities.',
+  'error.noPlacement': "Could not find teams that satisfy every 'different teams' constraint. Remove some constraints or add more teams.",
+  'error.unevenTogether': ({ spread }, t) => `Too many people are linked by 'same team' constraints, so team sizes would differ by ${t('people', { count: spread })}. Remove some constraints or use fewer teams.`,
+  'error.unevenApart': ({ spread }, t) => `'Different teams' constraints crowd people into the same teams, so team sizes would differ by ${t('people', { count: spread })}. Remove some constraints or add more teams.`,
+  'error.presetNameEmpty': 'Please enter a preset name.',
+  'error.presetNameReserved': "'{name}' is the built-in preset name and cannot be used.",
+  'error.presetNameTaken': "A preset named '{name}' already exists.",
+  'error.shareCorrupted': 'The share link is damaged.',
+  'error.shareUnsupported': 'This share link format is not supported.',
+  'error.shareInvalidTeams': 'The teams in the share link are invalid.',
+
+  // 가져오기 행 오류
+  'importError.unknownRole': 'Unknown role: {role}',
+  'importError.invalidTeam': 'Invalid team: {team}',
+  'importError.teamRequired': 'Leaders and sub-leaders need a team',
+
+  // 조정 후 제약조건 위반
+  'violation.overCapacity': ({ team, count, capacity }, t) =>
+    `${t('team', { team })} has ${t('people', { count })}, over its capacity of ${capacity}`,
+  'violation.pinned': ({ slot, name, team }, t) => `${t('slot', slot)} '${name}' is in ${t('team', { team })}`,
+  'violation.together': "'{a}' and '{b}' must be in the same team",
+  'violation.apart': "'{a}' and '{b}' must be in different teams",
+
+  // 입력 검증
+  'issue.blankName': 'The name is empty',
+  'issue.duplicateName': "'{name}' duplicates participant #{position}",
+  'issue.noLeader': ({ team }, t) => `${t('team', { team })} has no leader`,
+  'issue.slotTaken': ({ name, slot }, t) => `'${name}' is already ${t('slot', slot)}`,
+  'issue.absentLeader': ({ slot, name, fallback, subLeader }, t) => {
+    const outcome = {
+      none: 'the team is drawn without a leader',
+      subLeader: `sub-leader '${subLeader}' takes over`,
+      random: 'a member drawn after the draw stands in'
+    }[fallback];
+    return `${t('slot', slot)} '${name}' is absent, so ${outcome}`;
+  },
+  'issue.absentSubLeader': ({ slot, name }, t) => `${t('slot', slot)} '${name}' is absent, so the team is drawn without a sub-leader`,
+  'issue.constraintBlank': 'Enter a name to pin',
+  'issue.slotOutsideTeams': ({ name, slot, teamCount }, t) => `'${name}' is ${t('slot', slot)}, but there are only ${teamCount} teams`,
+  'issue.constraintTeamMissing': ({ team }, t) => `${t('team', { team })} does not exist`,
+  'issue.constraintSlotConflict': ({ name, slot, team }, t) => `'${name}' is ${t('slot', slot)} and cannot be pinned to ${t('team', { team })}`,
+  'issue.alreadyPinned': ({ name, team }, t) => `'${name}' is already pinned to ${t('team', { team })}`,
+  'issue.duplicateConstraint': 'Duplicate constraint',
+  'issue.addedToRoster': "'{name}' is not on the roster and will be added",
+  'issue.roleBlank': 'Enter a role name',
+  'issue.roleDuplicate': "The role '{role}' is listed twice",
+  'issue.roleUnassigned': ({ team, role }, t) => `${t('team', { team })} has no ${role}`,
+  'issue.roleAssigneeAbsent': ({ name, team, role }, t) => `'${name}' is absent, so ${t('team', { team })} has no ${role}`,
+  'issue.roleSlotConflict': ({ name, slot, team, role }, t) => `'${name}' is ${t('slot', slot)} and cannot be ${t('team', { team })} ${role}`,
+  'issue.rolePinnedConflict': ({ name, pinnedTeam, team, role }, t) =>
+    `'${name}' is pinned to ${t('team', { team: pinnedTeam })} and cannot be ${t('team', { team })} ${role}`,
+  'issue.pairBlank': 'Enter both names',
+  'issue.pairSame': 'A person cannot be paired with themselves',
+  'issue.pairNotInRoster': "'{name}' is not on the roster, so this constraint is ignored",
+  'issue.capacityInvalid': 'Capacity must be a whole number of at least 1',
+  'issue.capacityFixed': ({ team, count, capacity }, t) =>
+    `${t('team', { team })} has more fixed members (${t('people', { count })}) than its capacity (${t('people', { count: capacity })})`,
+  'issue.tooFew': ({ total, teamCount, attendance }, t) =>
+    `Only ${t('people', { count: total })}${attendance ? ' present' : ''}, fewer than ${t('teamCount', { count: teamCount })}`,
+  'issue.overCapacity': ({ total, capacity, attendance }, t) =>
+    `${t('people', { count: total })}${attendance ? ' present' : ''} ${total === 1 ? 'exceeds' : 'exceed'} the combined capacity (${t('people', { count: capacity })})`,
+  'issue.uneven': ({ total, teamCount }, t) =>
+    `Splitting ${t('people', { count: total })} into ${t('teamCount', { count: teamCount })} leaves team sizes differing by 1`,
+
+  // 내보내기
+  'export.csvHeader': ({ withRound, withRoles, adjusted }) =>
+    [...(withRound ? ['round'] : []), 'team', 'name', 'role', 'tags', ...(withRoles ? ['assigned roles'] : []), ...(adjusted ? ['manual adjustment'] : [])].join(','),
+  'export.csvAdjusted': 'adjusted by hand after the draw',
+  'export.markdownHeader': '| Team | Size | Members |',
+  'export.seed': 'Seed: {seed}',
+  'export.adjusted': ' (adjusted by hand after the draw)',
+
+  // 화면 - 머리글, 공유 링크
+  'app.title': 'Random Team Maker',
+  'app.language': 'Language',
+  'app.testButton': 'Fairness test',
+  'app.close': 'Close',
+  'shared.banner': 'Opened from a share link. The result is shown read-only.',
+  'shared.editCopy': 'Edit a copy',
+  'shared.backupName': 'My roster before the share link',
+  'shared.backedUp': "Your previous roster and settings were saved as the preset '{name}'.",
+  'common.name': 'Name',
+  'common.delete': 'Delete',
+  'common.download': 'Download',
+  'common.copy': 'Copy to clipboard',
+  'common.exportLabel': 'Export:',
+  'common.markdown': 'Markdown table',
+
+  // 프리셋
+  'presets.title': 'Presets',
+  'presets.select': 'Choose a preset',
+  'presets.load': 'Load',
+  'presets.rename': 'Rename',
+  'presets.namePlaceholder': 'New preset name (e.g. Study group A)',
+  'presets.nameLabel': 'New preset name',
+  'presets.save': 'Save current settings',
+  'presets.autosave': 'Your edits are saved automatically in this browser.',
+  'presets.builtIn': '{name} (built-in)',
+  'presets.loaded': "Loaded the preset '{name}'.",
+  'presets.confirmOverwrite': "Overwrite the preset '{name}' with the current settings?",
+  'presets.saved': "Saved the preset '{name}'.",
+  'presets.renamed': "Renamed the preset '{from}' to '{to}'.",
+  'presets.confirmDelete': "Delete the preset '{name}'?",
+  'presets.deleted': "Deleted the preset '{name}'.",
+
+  // 조 개수, 조장/부조장, 정원
+  'teamCount.title': 'Number of teams',
+  'teamCount.label': 'Teams:',
+  'teamCount.range': 'teams (2–10)',
+  'leaders.title': 'Fixed members and capacity per team (leader / sub-leader / max size)',
+  'leaders.leader': 'Leader:',
+  'leaders.subLeader': 'Sub-leader:',
+  'leaders.capacity': 'Capacity:',
+  'leaders.noLimit': 'No limit',
+  'leaders.fallbackLabel': 'If a leader is absent:',
+  'leaders.fallback.subLeader': 'The sub-leader takes over (random if there is none)',
+  'leaders.fallback.random': 'A random member stands in',
+  'leaders.fallback.none': 'Draw without a leader',
+
+  // 제약조건, 쌍 제약조건, 역할
+  'constraints.title': 'Constraints (pin a person to a team)',
+  'constraints.add': '+ Add constraint',
+  'constraints.pinned': 'pinned',
+  'constraints.missingTeam': 'Team {team} (missing)',
+  'constraints.nameLabel': 'Constraint {number} name',
+  'constraints.teamLabel': 'Constraint {number} team',
+  'constraints.remove': 'Remove constraint {number}',
+  'pairs.title': 'Pair constraints (same team / different teams)',
+  'pairs.add': '+ Add pair constraint',
+  'pairs.and': 'and',
+  'pairs.together': 'Same team',
+  'pairs.apart': 'Different teams',
+  'pairs.firstLabel': 'Pair constraint {number} first name',
+  'pairs.secondLabel': 'Pair constraint {number} second name',
+  'pairs.typeLabel': 'Pair constraint {number} type',
+  'pairs.remove': 'Remove pair constraint {number}',
+  'roles.title': 'Roles (note-taker, presenter, ...)',
+  'roles.add': '+ Add role',
+  'roles.namePlaceholder': 'Role (e.g. note-taker)',
+  'roles.random': 'Random member',
+  'roles.named': 'Assign by name',
+  'roles.nameLabel': 'Role {number} name',
+  'roles.modeLabel': 'How role {number} is assigned',
+  'roles.assigneeLabel': ({ number, team }, t) => `Role ${number} assignee in ${t('team', { team })}`,
+  'roles.remove': 'Remove role {number}',
+
+  // 참가자, 출석
+  'participants.title': 'Participants',
+  'participants.add': '+ Add participant',
+  'participants.import': 'Bulk import',
+  'participants.tags': 'Tags',
+  'participants.newName': 'Participant {number}',
+  'participants.nameLabel': 'Participant {number} name',
+  'participants.tagsLabel': 'Participant {number} tags',
+  'participants.presentLabel': 'Participant {number} is present',
+  'participants.remove': 'Remove participant {number}',
+  'attendance.present': 'Present',
+  'attendance.reset': 'Mark everyone present',
+  'attendance.absent': ({ count, names }, t) => `Absent (${t('people', { count })}): ${names} - kept on the roster but left out of the draw`,
+  'attendance.allPresent': 'Everyone is present - uncheck anyone who is absent',
+  'attendance.slotLabel': ({ type, team }, t) => `${t('slot', { type, team })} is present`,
+
+  // 일괄 가져오기
+  'import.title': 'Bulk import participants',
+  'import.pasteLabel': 'Paste names (separated by new lines, commas or tabs)',
+  'import.placeholder': 'Alex Kim, Jordan Lee\nSam Park',
+  'import.fileLabel': 'Or a CSV file:',
+  'import.hint': 'CSV headers: name, role (leader / sub-leader), team, tags (separated by ;) - only name is required',
+  'import.replace': 'Replace the current roster',
+  'import.confirm': 'Import',
+  'import.columns': '#,Name,Role,Team,Tags,Status',
+  'import.blankName': '(blank name)',
+  'import.member': 'Participant',
+  'import.status.ok': 'Add',
+  'import.status.blank': 'Blank name',
+  'import.status.duplicate': 'Duplicate',
+  'import.status.invalid': 'Error',
+  'import.summary': ({ ok, skipped }, t) => `Adding ${t('people', { count: ok })} · skipping ${skipped}`,
+
+  // 검증 요약
+  'validation.errors': { one: '{count} input error - fix it to make teams', other: '{count} input errors - fix them to make teams' },
+  'validation.warnings': { one: '{count} warning - you can still make teams', other: '{count} warnings - you can still make teams' },
+  'validation.warning': '(Warning) {message}',
+  'validation.fixFirst': 'Please fix the input errors first.',
+
+  // 시드, 커밋-공개, 겹침 줄이기, 조 편성
+  'seed.label': 'Seed:',
+  'seed.placeholder': 'Generated if left blank',
+  'seed.prefix': 'Seed: ',
+  'seed.commitHash': 'Commit hash (SHA-256): ',
+  'seed.commitSettings': 'Committed roster and settings (JSON)',
+  'seed.verify': 'Check that the SHA-256 of the revealed seed, a line break and the settings JSON above matches the hash shared before the draw.',
+  'seed.verifySeedOnly': 'Check that the SHA-256 of the revealed seed matches the hash shared before the draw.',
+  'seed.reproduceWithHistory': 'Entering this seed with the same roster, settings and draw history gives the same result.',
+  'seed.reproduce': 'Entering this seed with the same roster and settings gives the same result.',
+  'seed.adjusted': 'This result was adjusted by hand after the draw.',
+  'seed.adjustedNote': 'The seed only reproduces the result before the adjustment.',
+  'seed.repeats': { one: 'Teammate pairs repeated from the last draw: ', other: 'Teammate pairs repeated from the last {count} draws: ' },
+  'seed.repeatCount': '{count}',
+  'seed.avoidRepeats': ' (repeat reduction on)',
+  'commit.toggle': 'Commit-reveal mode',
+  'commit.hint': 'Share this hash first, then draw. The hash covers the seed and the roster and settings above (when reducing repeated teammates, also the past teammate pairs it compares against), so editing and deleting history are locked until the draw. The seed is revealed after the draw.',
+  'commit.settingsChanged': 'The roster, settings or draw history changed after the commit, so the commit was cancelled. Press Make teams again to make a new commit.',
+  'commit.httpsOnly': 'Commit-reveal mode is only available over HTTPS.',
+  'repeat.before': 'Reduce repeated teammates from the last',
+  'repeat.sessions': 'Number of recent draws to compare',
+  'repeat.after': 'draws',
+  'shuffle.button': 'Make teams',
+  'shuffle.reveal': 'Reveal seed and make teams',
+
+  // 결과, 조정
+  'results.title': 'Teams',
+  'results.teamSize': ({ team, count, capacity }, t) =>
+    `${t('team', { team })} (${capacity ? `${count}/${t('people', { count: capacity })}` : t('people', { count })})`,
+  'adjust.sizes': 'Team sizes: {sizes} (largest difference {spread})',
+  'adjust.reset': 'Undo manual adjustments',
+  'adjust.hint': 'Drop a name on another team to move it, or on another person to swap them. With the keyboard, press ←/→ on a name to move it to the next team.',
+  'adjust.moved': ({ name, team }, t) => `Moved ${name} to ${t('team', { team })}.`,
+  'results.announce': ({ count, seed }, t) => `Made ${t('teamCount', { count })}. Seed ${seed}`,
+
+  // 결과 내보내기, 공유
+  'export.png': 'PNG image',
+  'export.shareLink': 'Copy share link',
+  'export.present': 'Presentation mode',
+  'export.saved': 'Saved {fileName}.',
+  'export.copied': 'Copied to the clipboard.',
+  'export.copyFailed': 'Could not copy to the clipboard.',
+  'export.noClipboard': 'This browser cannot copy to the clipboard. Please use Download instead.',
+  'export.noImageClipboard': 'This browser cannot copy images. Please use Download instead.',
+  'export.imageFailed': 'Could not create the image.',
+  'export.imageAdjusted': ' · adjusted by hand after the draw',
+  'share.copied': 'Copied the share link. Anyone who opens it sees the result read-only.',
+  'share.prompt': 'Copy this link to share it.',
+
+  // 라운드 일정
+  'schedule.title': 'Round schedule',
+  'schedule.label': 'Day schedule:',
+  'schedule.after': 'rounds with new teams each time',
+  'schedule.button': 'Build round schedule',
+  'schedule.roundCount': { one: '{count} round', other: '{count} rounds' },
+  'schedule.meetings': 'Times in the same team: {summary}',
+  'schedule.meetingCount': ({ count, pairs }) => `${count}× ${pairs === 1 ? '1 pair' : `${pairs} pairs`}`,
+  'schedule.pair': '{a}·{b} ({count}×)',
+  'schedule.mostFrequent': 'Most frequent pairs: {pairs}',
+  'schedule.reproduce': 'Entering this seed and round count with the same roster and settings gives the same schedule.',
+  'schedule.byPerson': 'By person',
+  'schedule.views': 'Schedule view',
+  'schedule.announce': ({ count }, t) => `Made a schedule of ${t('schedule.roundCount', { count })}.`,
+
+  // 추첨 기록
+  'history.title': 'Draw history',
+  'history.clear': 'Clear history',
+  'history.confirmClear': 'Delete the whole draw history?',
+  'history.meta': ({ count }, t) => `${t('teamCount', { count })} · seed `,
+  'history.repeats': { one: ' · {count} repeated pair', other: ' · {count} repeated pairs' },
+  'history.view': 'View',
+
+  // 발표 모드
+  'presentation.title': 'Team reveal',
+  'presentation.speed': 'Speed:',
+  'presentation.slow': 'Slow',
+  'presentation.normal': 'Normal',
+  'presentation.fast': 'Fast',
+  'presentation.next': 'Next (Space)',
+  'presentation.play': 'Autoplay (P)',
+  'presentation.pause': 'Pause (P)',
+  'presentation.skip': 'Reveal all (S)',
+  'presentation.close': 'Close presentation mode',
+  'presentation.keys': 'Space: next · P: autoplay · S: reveal all · Esc: close',
+  'presentation.landed': ({ name, team }, t) => `${name} → ${t('team', { team })}`,
+  'presentation.done': 'All teams revealed',
+
+  // 신뢰도 테스트
+  'test.title': 'Randomness test results ({count} runs)',
+  'test.alpha': 'Significance level α:',
+  'test.teams': ({ count }, t) => `Per-team allocation (average per run, ${t('people', { count })} placed freely)`,
+  'test.excluded': { one: '{count} person in pair constraints is left out. ', other: '{count} people in pair constraints are left out. ' },
+  'test.observed': 'Expected probabilities are estimated from the observed allocation of participants with the same tag combination.',
+  'test.teamAverage': '{average} people (expected {expected})',
+  'test.chi': 'χ² = {statistic}, df {df}, p = {p}',
+  'test.expected': 'expected {percent}%',
+  'test.personBar': '{percent}% ({count} runs) / expected {expected}%',
+  'test.overall': 'Overall homogeneity χ² = {statistic}, df {df}, p = {p}',
+  'test.persons': 'Individual p < α: {failed}/{count} people (about {expected} expected by chance)',
+  'test.passed': '✅ Pass (α = {alpha}): no difference from the expected distribution',
+  'test.failed': '⚠️ Fail (α = {alpha}): significantly different from the expected distribution',
+  'test.matrix': 'Share of runs in the same team (%, expected {expected}%)',
+  'test.pairCell': '{a} · {b}: {count} runs',
+
+  // 콘솔, 저장소, 오프라인
+  'console.ready': 'App initialized.',
+  'console.participants': 'Participants: {count}',
+  'console.constraints': 'Constraints: {count}',
+  'console.pairConstraints': 'Pair constraints: {count}',
+  'storage.loadFailed': 'Could not read saved data ({key}): {message}',
+  'storage.saveFailed': 'Could not save data ({key}): {message}',
+  'pwa.registerFailed': 'Could not enable offline support: {message}',
+
+  // Command line tool (cli.js)
+  'cli.usage': `Usage: team-randomizer <roster file | -> [options]
+
+The roster file is a list of names (separated by line breaks, commas or tabs) or a CSV (name, role, team, tags columns).
+Pass - to read from standard input.
+Messages follow the LC_ALL, LC_MESSAGES and LANG environment variables (ko, en).
+
+Options:
+  -t, --teams <N>            Number of teams (2-10, default: {defaultTeams}, or the largest team number in the roster)
+  -s, --seed <seed>          Seed (same roster, options and seed give the same result; default: generated)
+  -f, --format <format>      text | json | csv | markdown (default: text)
+  -r, --rounds <N>           Schedule of N rounds (2-10) - new teams every round, spreading out who meets whom
+      --leader <team=name>   Team leader (repeatable, e.g. --leader 1=Alex)
+      --sub-leader <team=name>
+                             Sub-leader (repeatable)
+      --pin <name=team>      Pin a person to a team (repeatable, e.g. --pin Sam=2)
+      --capacity <team=size> Team capacity (maximum size) (repeatable, e.g. --capacity 3=6)
+      --together <name,name> Put two people in the same team (repeatable)
+      --apart <name,name>    Put two people in different teams (repeatable)
+      --role <role[:team=name,...]>
+                             Role each team fills (repeatable)
+                             Without names a random member takes it (e.g. --role Notes)
+                             With team=name that person takes it (e.g. --role Speaker:1=Alex,2=Sam)
+      --absent <name>        Absent person - kept in the roster but left out of the draw (repeatable)
+      --leader-fallback <mode>
+                             When a leader is absent: subLeader (promote the sub-leader, default) | random (random member) | none
+  -h, --help                 Show this help
+`,
+  'cli.error': 'Error: {message}',
+  'cli.warning': 'Warning: {message}',
+  'cli.skipped': 'Skipped: {name} - {reason}',
+  'cli.assignmentFormat': "--{option} must look like 'key=value': {value}",
+  'cli.pairFormat': "--{option} must look like 'name,name': {value}",
+  'cli.invalidTeamNumber': 'Invalid team number for --{option}: {value}',
+  'cli.invalidCapacity': 'The --capacity size must be a whole number of at least 1: {value}',
+  'cli.invalidLeaderFallback': '--leader-fallback must be one of {choices}: {value}',
+  'cli.invalidTeamCount': 'The number of teams must be a whole number from {min} to {max}: {value}',
+  'cli.invalidRounds': 'The number of rounds must be a whole number from {min} to {max}: {value}',
+  'cli.unknownFormat': 'Unsupported format: {format} ({formats})',
+  'cli.capacityOutsideTeams': ({ team, teamCount }, t) => `A capacity is set for ${t('team', { team })}, but there are only ${teamCount} teams`
+};
+
+export const MESSAGES = { ko, en };
+
+// ============================================
+// 3. 번역 함수
+// ============================================
+
+/**
+ * 메시지 키를 지정한 언어의 문구로 변환
+ * 그 언어에 없는 키는 기본 언어, 기본 언어에도 없으면 키를 그대로 반환
+ */
+export function translate(locale, key, params = {}) {
+  const catalog = MESSAGES[locale] ? locale : DEFAULT_LOCALE;
+  let message = MESSAGES[catalog][key] ?? MESSAGES[DEFAULT_LOCALE][key];
+  if (message === undefined) return key;
+
+  if (typeof message === 'function') {
+    return message(params, (innerKey, innerParams) => translate(catalog, innerKey, innerParams));
+  }
+  if (typeof message === 'object') {
+    message = message[new Intl.PluralRules(catalog).select(params.count)] ?? message.other;
+  }
+  const numberFormat = new Intl.NumberFormat(catalog);
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in params)) return placeholder;
+    const value = params[name];
+    return typeof value === 'number' ? numberFormat.format(value) : String(value);
+  });
+}
+
+/**
+ * 지원 언어 고르기 - 후보(저장된 선택, 브라우저 언어 순) 중 처음 지원하는 언어
+ * 'en-US'처럼 지역이 붙은 값은 언어 부분으로 비교, 맞는 것이 없으면 기본 언어
+ */
+export function resolveLocale(candidates) {
+  for (const candidate of candidates) {
+    if (typeof candidate !== 'string') continue;
+    const language = candidate.toLowerCase().split('-')[0];
+    if (LOCALES.includes(language)) return language;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * 기본 언어 문구와 함께 코드와 값을 담은 메시지 { code, params, message }
+ * core.js의 검증 결과와 오류에 붙여 화면에서 선택한 언어로 다시 만들 수 있게 함
+ */
+export function localized(code, params = {}) {
+  return { code, params, message: translate(DEFAULT_LOCALE, code, params) };
+}
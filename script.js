@@ -1,301 +1,71 @@
 // ============================================
-// 랜덤 조 편성기 - 3개 조 + 조장/부조장 + 제약조건
+// 랜덤 조 편성기 - N개 조 + 조장/부조장 + 제약조건
+// 조 편성/검정 등 순수 로직은 core.js, 이 파일은 화면과 상태 관리
 // ============================================
 
-// ============================================
-// 1. 설정
-// ============================================
-const TEAM_COUNT = 3;
-
-// ============================================
-// 2. 핵심 로직 (순수 함수)
-// ============================================
-
-/**
- * Fisher-Yates Shuffle 알고리즘
- */
-function shuffle(array) {
-  const arr = [...array];
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
-  }
-  return arr;
-}
-
-/**
- * 조장/부조장 + 제약조건 + 나머지 참가자 배분
- */
-function assignTeams(leaders, subLeaders, participants, constraints, teamCount = TEAM_COUNT) {
-  const teams = {};
-
-  // 1. 조장/부조장 먼저 배치
-  for (let i = 1; i <= teamCount; i++) {
-    teams[i] = [];
-    if (leaders[i]) {
-      teams[i].push({ name: leaders[i], role: 'leader' });
-    }
-    if (subLeaders[i]) {
-      teams[i].push({ name: subLeaders[i], role: 'subLeader' });
-    }
-  }
-
-  // 2. 제약조건 멤버 배치
-  constraints.forEach(({ name, team }) => {
-    if (team >= 1 && team <= teamCount) {
-      teams[team].push({ name, role: 'constrained' });
-    }
-  });
-
-  // 3. 나머지 참가자에서 조장/부조장/제약조건 멤버 제외
-  const excludeNames = new Set([
-    ...Object.values(leaders),
-    ...Object.values(subLeaders),
-    ...constraints.map(c => c.name)
-  ].filter(Boolean));
-
-  const remainingParticipants = participants.filter(name => !excludeNames.has(name));
-
-  // 4. 남은 참가자 셔플 후 균등 배분 (인원 적은 조에 먼저 배치, 동점 시 랜덤)
-  const shuffled = shuffle(remainingParticipants);
-  shuffled.forEach((name) => {
-    // 현재 인원이 가장 적은 조들 찾기
-    let minCount = teams[1].length;
-    for (let i = 2; i <= teamCount; i++) {
-      if (teams[i].length < minCount) {
-        minCount = teams[i].length;
-      }
-    }
-    // 최소 인원인 조들 모두 수집
-    const minTeams = [];
-    for (let i = 1; i <= teamCount; i++) {
-      if (teams[i].length === minCount) {
-        minTeams.push(i);
-      }
-    }
-    // 동점인 조들 중 랜덤 선택
-    const selectedTeam = minTeams[Math.floor(Math.random() * minTeams.length)];
-    teams[selectedTeam].push({ name, role: 'member' });
-  });
-
-  return teams;
-}
-
-/**
- * 신뢰도 테스트 - N회 시뮬레이션 (제약조건 제외 멤버만)
- */
-function runDistributionTest(participants, constraints, teamCount, iterations) {
-  // 제약조건 멤버 제외
-  const constraintNames = new Set(constraints.map(c => c.name));
-  const testParticipants = participants.filter(name => !constraintNames.has(name));
-
-  const stats = {};
-  testParticipants.forEach(name => {
-    stats[name] = {};
-    for (let i = 1; i <= teamCount; i++) {
-      stats[name][i] = 0;
-    }
-  });
-
-  for (let i = 0; i < iterations; i++) {
-    const shuffled = shuffle(testParticipants);
-    shuffled.forEach((name, index) => {
-      const teamNum = (index % teamCount) + 1;
-      stats[name][teamNum]++;
-    });
-  }
-
-  return stats;
-}
-
-/**
- * 분포 균등성 검사
- */
-function checkUniformity(stats, iterations, teamCount) {
-  const expected = iterations / teamCount;
-  let maxDeviation = 0;
-
-  Object.values(stats).forEach(personStats => {
-    Object.values(personStats).forEach(count => {
-      const deviation = Math.abs((count - expected) / expected * 100);
-      if (deviation > maxDeviation) {
-        maxDeviation = deviation;
-      }
-    });
-  });
-
-  return {
-    isUniform: maxDeviation < 5,
-    maxDeviation: Math.round(maxDeviation * 100) / 100
-  };
-}
+import {
+  DEFAULT_TEAM_COUNT,
+  createRng,
+  generateSeed,
+  canonicalJson,
+  createNameMap,
+  createCommit,
+  clampTeamCount,
+  clampRoundCount,
+  isValidTeam,
+  parseTags,
+  getTags,
+  countTeamTags,
+  getTeamSpread,
+  assignTeams,
+  countPastPairs,
+  listPastPairs,
+  countRepeatPairs,
+  assignTeamsAvoidingRepeats,
+  buildRotationSchedule,
+  summarizePairMeetings,
+  applyAttendance,
+  assignStandIns,
+  getDrawConstraints,
+  assignRoles,
+  moveMember,
+  findDrawViolations,
+  buildRevealOrder,
+  runDistributionTest,
+  checkUniformity,
+  normalizeSettings,
+  renamePreset,
+  parseRosterText,
+  buildImportPreview,
+  mergeImport,
+  validateSettings,
+  formatDrawCsv,
+  formatDrawJson,
+  formatDrawMarkdown,
+  formatScheduleCsv,
+  formatScheduleJson,
+  formatScheduleMarkdown,
+  encodeShareData,
+  decodeShareData
+} from './core.js';
+import { LOCALES, LOCALE_NAMES, translate, resolveLocale } from './i18n.js';
 
 // ============================================
-// 3. 테스트 프레임워크
+// 1. 설정
 // ============================================
-
-const TestRunner = {
-  tests: [],
-  results: { passed: 0, failed: 0, errors: [] },
-
-  test(name, fn) {
-    this.tests.push({ name, fn });
-  },
-
-  assertEqual(actual, expected, message) {
-    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
-      throw new Error(`${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
-    }
-  },
-
-  assertTrue(condition, message) {
-    if (!condition) {
-      throw new Error(message);
-    }
-  },
-
-  run() {
-    this.results = { passed: 0, failed: 0, errors: [] };
-    this.tests.forEach(({ name, fn }) => {
-      try {
-        fn();
-        this.results.passed++;
-        console.log(`✅ ${name}`);
-      } catch (e) {
-        this.results.failed++;
-        this.results.errors.push({ name, error: e.message });
-        console.error(`❌ ${name}: ${e.message}`);
-      }
-    });
-    console.log(`\n테스트 결과: ${this.results.passed} passed, ${this.results.failed} failed`);
-    return this.results;
-  }
+// 추첨 기록 최대 보관 개수
+const MAX_HISTORY_ENTRIES = 50;
+// '조원 겹침 줄이기'에서 비교할 최근 추첨 수 기본값
+const DEFAULT_REPEAT_SESSIONS = 4;
+// 발표 모드 속도 (ms) - spin: 이름이 돌아가는 시간, pause: 자동 재생 시 다음 공개까지 대기
+const PRESENTATION_SPEEDS = {
+  slow: { spin: 1800, pause: 1400 },
+  normal: { spin: 1000, pause: 800 },
+  fast: { spin: 400, pause: 300 }
 };
 
 // ============================================
-// 4. 단위 테스트
-// ============================================
-
-TestRunner.test('shuffle은 배열을 반환해야 한다', () => {
-  const arr = [1, 2, 3, 4, 5];
-  const result = shuffle(arr);
-  TestRunner.assertTrue(Array.isArray(result), 'shuffle 결과가 배열이 아님');
-});
-
-TestRunner.test('shuffle은 원본 배열을 변경하지 않아야 한다', () => {
-  const arr = [1, 2, 3, 4, 5];
-  const original = [...arr];
-  shuffle(arr);
-  TestRunner.assertEqual(arr, original, '원본 배열이 변경됨');
-});
-
-TestRunner.test('assignTeams는 조장을 각 팀에 포함해야 한다', () => {
-  const leaders = { 1: '김조장', 2: '이조장', 3: '박조장' };
-  const subLeaders = { 1: '김부', 2: '이부', 3: '박부' };
-  const result = assignTeams(leaders, subLeaders, [], [], 3);
-
-  TestRunner.assertTrue(result[1][0].name === '김조장', '1조 조장 누락');
-  TestRunner.assertTrue(result[2][0].name === '이조장', '2조 조장 누락');
-  TestRunner.assertTrue(result[3][0].name === '박조장', '3조 조장 누락');
-});
-
-TestRunner.test('assignTeams는 제약조건 멤버를 지정된 조에 배치해야 한다', () => {
-  const leaders = { 1: '김조장', 2: '이조장', 3: '박조장' };
-  const subLeaders = { 1: '김부', 2: '이부', 3: '박부' };
-  const constraints = [{ name: '홍길동', team: 2 }];
-  const result = assignTeams(leaders, subLeaders, ['홍길동', 'A', 'B'], constraints, 3);
-
-  const team2Names = result[2].map(m => m.name);
-  TestRunner.assertTrue(team2Names.includes('홍길동'), '제약조건 멤버가 2조에 없음');
-});
-
-TestRunner.test('assignTeams는 모든 참가자를 배분해야 한다', () => {
-  const leaders = { 1: 'L1', 2: 'L2', 3: 'L3' };
-  const subLeaders = { 1: 'S1', 2: 'S2', 3: 'S3' };
-  const participants = ['A', 'B', 'C', 'D', 'E', 'F'];
-  const result = assignTeams(leaders, subLeaders, participants, [], 3);
-
-  const total = result[1].length + result[2].length + result[3].length;
-  // 조장3 + 부조장3 + 참가자6 = 12
-  TestRunner.assertEqual(total, 12, '참가자 수가 맞지 않음');
-});
-
-TestRunner.test('제약조건이 있어도 조별 인원이 균등해야 한다', () => {
-  const leaders = { 1: 'L1', 2: 'L2', 3: 'L3' };
-  const subLeaders = { 1: 'S1', 2: 'S2', 3: 'S3' };
-  // 12명의 일반 참가자
-  const participants = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L'];
-  // 2조에 2명 고정
-  const constraints = [
-    { name: 'A', team: 2 },
-    { name: 'B', team: 2 }
-  ];
-  const result = assignTeams(leaders, subLeaders, participants, constraints, 3);
-
-  // 총 18명 = 조장3 + 부조장3 + 참가자12
-  // 균등 배분 시 각 조 6명
-  const team1Count = result[1].length;
-  const team2Count = result[2].length;
-  const team3Count = result[3].length;
-
-  // 각 조의 인원 차이가 1명 이하여야 함
-  const maxDiff = Math.max(team1Count, team2Count, team3Count) - Math.min(team1Count, team2Count, team3Count);
-  TestRunner.assertTrue(maxDiff <= 1, `조별 인원 차이가 1명 초과: 1조(${team1Count}), 2조(${team2Count}), 3조(${team3Count})`);
-});
-
-TestRunner.test('한 조에 많은 제약조건이 있어도 균등 배분되어야 한다', () => {
-  const leaders = { 1: 'L1', 2: 'L2', 3: 'L3' };
-  const subLeaders = { 1: 'S1', 2: 'S2', 3: 'S3' };
-  // 9명의 일반 참가자
-  const participants = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I'];
-  // 1조에 3명 고정 (극단적 케이스)
-  const constraints = [
-    { name: 'A', team: 1 },
-    { name: 'B', team: 1 },
-    { name: 'C', team: 1 }
-  ];
-  const result = assignTeams(leaders, subLeaders, participants, constraints, 3);
-
-  // 1조: 조장 + 부조장 + 제약3 = 5명
-  // 나머지 6명은 2조, 3조에 배분되어야 함
-  // 2조: 조장 + 부조장 + 3명 = 5명
-  // 3조: 조장 + 부조장 + 3명 = 5명
-  const team1Count = result[1].length;
-  const team2Count = result[2].length;
-  const team3Count = result[3].length;
-
-  TestRunner.assertEqual(team1Count, 5, `1조 인원 오류: ${team1Count}`);
-  TestRunner.assertTrue(team2Count >= 4 && team2Count <= 5, `2조 인원 오류: ${team2Count}`);
-  TestRunner.assertTrue(team3Count >= 4 && team3Count <= 5, `3조 인원 오류: ${team3Count}`);
-});
-
-TestRunner.test('여러 조에 제약조건이 분산되어도 균등 배분되어야 한다', () => {
-  const leaders = { 1: 'L1', 2: 'L2', 3: 'L3' };
-  const subLeaders = { 1: 'S1', 2: 'S2', 3: 'S3' };
-  const participants = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I'];
-  // 각 조에 1명씩 고정
-  const constraints = [
-    { name: 'A', team: 1 },
-    { name: 'B', team: 2 },
-    { name: 'C', team: 3 }
-  ];
-  const result = assignTeams(leaders, subLeaders, participants, constraints, 3);
-
-  const team1Count = result[1].length;
-  const team2Count = result[2].length;
-  const team3Count = result[3].length;
-
-  // 총 15명 / 3조 = 각 5명
-  TestRunner.assertEqual(team1Count, 5, `1조 인원 오류: ${team1Count}`);
-  TestRunner.assertEqual(team2Count, 5, `2조 인원 오류: ${team2Count}`);
-  TestRunner.assertEqual(team3Count, 5, `3조 인원 오류: ${team3Count}`);
-});
-
-console.log('=== 단위 테스트 실행 ===\n');
-TestRunner.run();
-
-// ============================================
-// 5. 디폴트 데이터
+// 2. 디폴트 데이터
 // ============================================
 
 // 전체 29명 명단
@@ -329,104 +99,478 @@ const LEADER_NAMES = new Set([
 
 const DEFAULT_PARTICIPANTS = ALL_MEMBERS.filter(name => !LEADER_NAMES.has(name));
 
+// 기본 태그 (이름에 기수를 적어 두던 참가자)
+const DEFAULT_PARTICIPANT_TAGS = {
+  '하은지(9기)': ['9기'],
+  '우혜빈(9기)': ['9기']
+};
+
 // 기본 제약조건
 const DEFAULT_CONSTRAINTS = [
   { name: '김상균', team: 2 },
   { name: '이동수', team: 2 }
 ];
 
+// 위 기본값을 묶은 내장 프리셋 (삭제/이름 변경 불가)
+const BUILT_IN_PRESET_NAME = '기본 명단';
+
+const DEFAULT_SETTINGS = {
+  teamCount: DEFAULT_TEAM_COUNT,
+  participants: DEFAULT_PARTICIPANTS,
+  participantTags: DEFAULT_PARTICIPANT_TAGS,
+  leaders: DEFAULT_LEADERS,
+  subLeaders: DEFAULT_SUB_LEADERS,
+  constraints: DEFAULT_CONSTRAINTS,
+  pairConstraints: [],
+  teamCapacities: {},
+  roles: [],
+  absent: [],
+  leaderFallback: 'subLeader'
+};
+
+// localStorage 키
+const STORAGE_KEYS = {
+  state: 'teamRandomizer.state',
+  presets: 'teamRandomizer.presets',
+  history: 'teamRandomizer.history',
+  avoidRepeats: 'teamRandomizer.avoidRepeats',
+  locale: 'teamRandomizer.locale'
+};
+
 // ============================================
-// 6. 앱 상태
+// 3. 앱 상태
 // ============================================
 
+// 저장 대상 설정(teamCount ~ leaderFallback)은 initApp에서 localStorage 또는 기본값으로 채움
 const appState = {
-  participants: [...DEFAULT_PARTICIPANTS],
-  leaders: { ...DEFAULT_LEADERS },
-  subLeaders: { ...DEFAULT_SUB_LEADERS },
-  constraints: [...DEFAULT_CONSTRAINTS]
+  ...normalizeSettings(null, DEFAULT_SETTINGS),
+  // 이름별 태그는 participantTags { 이름: ['9기', ...] } - 조마다 고르게 분산
+  // 쌍 제약조건은 pairConstraints [{ a, b, type: 'together' | 'apart' }]
+  // 조별 정원(최대 인원)은 teamCapacities { 조: 인원 } - 비어 있으면 제한 없음
+  // 추가 역할은 roles [{ name, mode: 'random' | 'named', assignees: { 조: 이름 } }]
+  // 결석자는 absent [이름] - 명단에는 남기고 편성에서만 뺌, 조장 결석 시 대처는 leaderFallback
+  // 사용자가 저장한 프리셋 { 이름: 설정 }
+  presets: {},
+  // 일괄 가져오기 미리보기 (buildImportPreview 결과)
+  importPreview: [],
+  // 지난 추첨 기록 (최신순) - lastDraw와 같은 형태
+  history: [],
+  // 결과를 끌고 있는 멤버 { team, index }
+  dragSource: null,
+  // 발표 모드 진행 상태 { order, revealed, autoPlay, spinning, timer, spinTimer } - 닫혀 있으면 null
+  presentation: null,
+  // 공유 링크로 열었을 때 '사본 편집' 전까지 true (저장/편집 안 함)
+  readOnly: false,
+  // 커밋-공개 모드에서 해시만 공개하고 아직 추첨하지 않은 시드 ({ seed, hash })
+  pendingCommit: null,
+  // 마지막 조 편성 결과 ({ teams, teamCount, seed, commitHash, commitSettings, createdAt })
+  lastDraw: null,
+  // 마지막 신뢰도 테스트 결과 (유의수준을 바꾸면 다시 판정)
+  lastTest: null,
+  // 라운드 일정 ({ rounds: [teams], teamCount, seed, createdAt }) - 추첨 기록에는 남기지 않음
+  schedule: null,
+  // 라운드 일정에서 보고 있는 화면 - 라운드 번호(0부터) 또는 'people'
+  scheduleView: 0,
+  // 대화상자를 닫을 때 포커스를 돌려줄 요소 (대화상자를 연 버튼 등)
+  dialogReturnFocus: null,
+  // 화면 언어 (i18n.js LOCALES) - initApp에서 저장된 선택 또는 브라우저 언어로 정함
+  locale: 'ko'
 };
 
 // ============================================
-// 7. DOM 요소
+// 4. DOM 요소
 // ============================================
 
 const elements = {
+  presetSelect: document.getElementById('presetSelect'),
+  presetNameInput: document.getElementById('presetNameInput'),
+  loadPresetBtn: document.getElementById('loadPresetBtn'),
+  savePresetBtn: document.getElementById('savePresetBtn'),
+  renamePresetBtn: document.getElementById('renamePresetBtn'),
+  deletePresetBtn: document.getElementById('deletePresetBtn'),
+  presetMessage: document.getElementById('presetMessage'),
+  teamCountInput: document.getElementById('teamCountInput'),
+  leadersGrid: document.getElementById('leadersGrid'),
+  leaderFallbackSelect: document.getElementById('leaderFallbackSelect'),
+  attendanceSummary: document.getElementById('attendanceSummary'),
+  resetAttendanceBtn: document.getElementById('resetAttendanceBtn'),
   participantsList: document.getElementById('participantsList'),
   constraintsList: document.getElementById('constraintsList'),
   addParticipantBtn: document.getElementById('addParticipantBtn'),
+  openImportBtn: document.getElementById('openImportBtn'),
+  importModal: document.getElementById('importModal'),
+  closeImportBtn: document.getElementById('closeImportBtn'),
+  importText: document.getElementById('importText'),
+  importFile: document.getElementById('importFile'),
+  importPreview: document.getElementById('importPreview'),
+  importReplace: document.getElementById('importReplace'),
+  importSummary: document.getElementById('importSummary'),
+  confirmImportBtn: document.getElementById('confirmImportBtn'),
   addConstraintBtn: document.getElementById('addConstraintBtn'),
+  pairConstraintsList: document.getElementById('pairConstraintsList'),
+  addPairConstraintBtn: document.getElementById('addPairConstraintBtn'),
+  rolesList: document.getElementById('rolesList'),
+  addRoleBtn: document.getElementById('addRoleBtn'),
+  shuffleError: document.getElementById('shuffleError'),
+  avoidRepeatToggle: document.getElementById('avoidRepeatToggle'),
+  repeatSessionsInput: document.getElementById('repeatSessionsInput'),
+  historySection: document.getElementById('historySection'),
+  historyList: document.getElementById('historyList'),
+  clearHistoryBtn: document.getElementById('clearHistoryBtn'),
+  validationSummary: document.getElementById('validationSummary'),
   shuffleBtn: document.getElementById('shuffleBtn'),
+  seedInput: document.getElementById('seedInput'),
+  commitRevealToggle: document.getElementById('commitRevealToggle'),
+  commitPanel: document.getElementById('commitPanel'),
+  seedInfo: document.getElementById('seedInfo'),
+  adjustStatus: document.getElementById('adjustStatus'),
+  presentBtn: document.getElementById('presentBtn'),
+  presentation: document.getElementById('presentation'),
+  presentationProgress: document.getElementById('presentationProgress'),
+  presentationSpeed: document.getElementById('presentationSpeed'),
+  presentNextBtn: document.getElementById('presentNextBtn'),
+  presentAutoBtn: document.getElementById('presentAutoBtn'),
+  presentSkipBtn: document.getElementById('presentSkipBtn'),
+  closePresentationBtn: document.getElementById('closePresentationBtn'),
+  presentationSlot: document.getElementById('presentationSlot'),
+  presentationGrid: document.getElementById('presentationGrid'),
+  exportFormat: document.getElementById('exportFormat'),
+  downloadExportBtn: document.getElementById('downloadExportBtn'),
+  copyExportBtn: document.getElementById('copyExportBtn'),
+  exportMessage: document.getElementById('exportMessage'),
+  roundCountInput: document.getElementById('roundCountInput'),
+  scheduleBtn: document.getElementById('scheduleBtn'),
+  scheduleSection: document.getElementById('scheduleSection'),
+  scheduleInfo: document.getElementById('scheduleInfo'),
+  scheduleTabs: document.getElementById('scheduleTabs'),
+  scheduleView: document.getElementById('scheduleView'),
+  scheduleExportFormat: document.getElementById('scheduleExportFormat'),
+  downloadScheduleBtn: document.getElementById('downloadScheduleBtn'),
+  copyScheduleBtn: document.getElementById('copyScheduleBtn'),
+  scheduleMessage: document.getElementById('scheduleMessage'),
+  shareLinkBtn: document.getElementById('shareLinkBtn'),
+  sharedBanner: document.getElementById('sharedBanner'),
+  editCopyBtn: document.getElementById('editCopyBtn'),
+  editorFieldset: document.getElementById('editorFieldset'),
+  drawFieldset: document.getElementById('drawFieldset'),
   testBtn: document.getElementById('testBtn'),
+  languageSelect: document.getElementById('languageSelect'),
+  liveRegion: document.getElementById('liveRegion'),
+  testTitle: document.getElementById('testTitle'),
   resultsSection: document.getElementById('resultsSection'),
   teamsGrid: document.getElementById('teamsGrid'),
   testModal: document.getElementById('testModal'),
   closeModalBtn: document.getElementById('closeModalBtn'),
   testResults: document.getElementById('testResults'),
   testSummary: document.getElementById('testSummary'),
-  leaderInputs: {
-    1: document.getElementById('leader1'),
-    2: document.getElementById('leader2'),
-    3: document.getElementById('leader3')
-  },
-  subLeaderInputs: {
-    1: document.getElementById('subLeader1'),
-    2: document.getElementById('subLeader2'),
-    3: document.getElementById('subLeader3')
-  }
+  alphaSelect: document.getElementById('alphaSelect'),
+  // renderLeaders()가 조 개수에 맞춰 채움
+  leaderInputs: {},
+  subLeaderInputs: {}
 };
 
 // ============================================
-// 8. 렌더링 함수
+// 5. 렌더링 함수
 // ============================================
 
+/**
+ * 요소 생성 - 이름, 태그, 시드 같은 사용자 입력을 innerHTML 없이 넣기 위해 사용
+ * - props: 요소 프로퍼티 (className, value, checked 등), dataset과 style은 객체로 받음
+ *   요소에 없는 이름(aria-* 등)은 속성으로 설정하고, 값이 null/undefined면 건너뜀
+ * - children: 문자열과 숫자는 텍스트 노드가 되며, 배열은 펼치고 null/undefined/false는 건너뜀
+ */
+function h(tag, props = {}, ...children) {
+  const element = document.createElement(tag);
+  Object.entries(props).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    if (key === 'dataset' || key === 'style') {
+      Object.assign(element[key], value);
+    } else if (key in element) {
+      element[key] = value;
+    } else {
+      element.setAttribute(key, value);
+    }
+  });
+  element.append(...children.flat(Infinity).filter(child => child !== null && child !== undefined && child !== false));
+  return element;
+}
+
+/**
+ * 현재 언어의 문구 (i18n.js 메시지 키)
+ */
+function t(key, params) {
+  return translate(appState.locale, key, params);
+}
+
+/**
+ * core.js의 검증 결과나 오류를 현재 언어로 - code가 없으면(브라우저 오류 등) message 그대로
+ */
+function localize({ code, params, message }) {
+  return code ? t(code, params) : message;
+}
+
+/**
+ * index.html의 고정 문구를 현재 언어로 바꿈
+ * data-i18n은 글자, data-i18n-placeholder/-title/-aria-label은 같은 이름의 속성
+ */
+function applyTranslations() {
+  document.documentElement.lang = appState.locale;
+  document.title = t('app.title');
+  document.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  ['placeholder', 'title', 'aria-label'].forEach(attribute => {
+    document.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+      el.setAttribute(attribute, t(el.getAttribute(`data-i18n-${attribute}`)));
+    });
+  });
+  elements.languageSelect.value = appState.locale;
+}
+
+function renderLanguageOptions() {
+  elements.languageSelect.replaceChildren(...LOCALES.map(locale => h('option', { value: locale }, LOCALE_NAMES[locale])));
+}
+
+/**
+ * 목록 항목의 삭제 버튼 - 화면에는 ×만 보이므로 무엇을 지우는지 aria-label로 알림
+ */
+function removeButton(label, index) {
+  return h('button', { className: 'remove-btn', 'aria-label': label, title: label, dataset: { index } }, '×');
+}
+
+/**
+ * 화면 낭독기에 알림 (role="status" 영역)
+ */
+function announce(message) {
+  elements.liveRegion.textContent = message;
+}
+
+function getPresetLabel(name) {
+  return name === BUILT_IN_PRESET_NAME ? t('presets.builtIn', { name }) : name;
+}
+
+function renderPresets(selectedName = elements.presetSelect.value) {
+  const names = [BUILT_IN_PRESET_NAME, ...Object.keys(appState.presets)];
+  elements.presetSelect.replaceChildren(...names.map(name => h('option', { value: name }, getPresetLabel(name))));
+  elements.presetSelect.value = names.includes(selectedName) ? selectedName : BUILT_IN_PRESET_NAME;
+  updatePresetButtons();
+}
+
+function updatePresetButtons() {
+  const isBuiltIn = elements.presetSelect.value === BUILT_IN_PRESET_NAME;
+  elements.renamePresetBtn.disabled = isBuiltIn;
+  elements.deletePresetBtn.disabled = isBuiltIn;
+}
+
+function renderPresetMessage(message, isError = false) {
+  elements.presetMessage.textContent = message || '';
+  elements.presetMessage.className = isError ? 'preset-message error' : 'preset-message';
+}
+
+function renderLeaders() {
+  elements.leadersGrid.replaceChildren();
+  elements.leaderInputs = {};
+  elements.subLeaderInputs = {};
+  elements.capacityInputs = {};
+
+  const presentToggle = (slot, team) => h('label', { className: 'attendance-toggle' },
+    h('input', { type: 'checkbox', className: 'present-input', 'aria-label': t('attendance.slotLabel', { type: slot, team }), dataset: { slot, team } }),
+    t('attendance.present')
+  );
+
+  for (let i = 1; i <= appState.teamCount; i++) {
+    elements.leaderInputs[i] = h('input', { type: 'text', id: `leader${i}`, value: appState.leaders[i] || '' });
+    elements.subLeaderInputs[i] = h('input', { type: 'text', id: `subLeader${i}`, value: appState.subLeaders[i] || '' });
+    elements.capacityInputs[i] = h('input', {
+      type: 'number', id: `capacity${i}`, min: '1', placeholder: t('leaders.noLimit'), value: appState.teamCapacities[i] || ''
+    });
+
+    elements.leadersGrid.appendChild(h('div', { className: 'team-leaders' },
+      h('h3', {}, t('team', { team: i })),
+      h('div', { className: 'leader-input' },
+        h('label', { htmlFor: `leader${i}` }, t('leaders.leader')),
+        elements.leaderInputs[i],
+        presentToggle('leader', i)
+      ),
+      h('div', { className: 'leader-input' },
+        h('label', { htmlFor: `subLeader${i}` }, t('leaders.subLeader')),
+        elements.subLeaderInputs[i],
+        presentToggle('subLeader', i)
+      ),
+      h('div', { className: 'leader-input' },
+        h('label', { htmlFor: `capacity${i}` }, t('leaders.capacity')),
+        elements.capacityInputs[i]
+      )
+    ));
+  }
+
+  // 이벤트 바인딩 (조 개수 변경 시에도 입력값 유지)
+  Object.entries(elements.leaderInputs).forEach(([team, input]) => {
+    input.addEventListener('change', (e) => {
+      const oldName = appState.leaders[team];
+      appState.leaders[team] = e.target.value;
+      renameAbsent(oldName, e.target.value);
+      saveState();
+      renderAttendance();
+    });
+  });
+
+  Object.entries(elements.subLeaderInputs).forEach(([team, input]) => {
+    input.addEventListener('change', (e) => {
+      const oldName = appState.subLeaders[team];
+      appState.subLeaders[team] = e.target.value;
+      renameAbsent(oldName, e.target.value);
+      saveState();
+      renderAttendance();
+    });
+  });
+
+  // 출석 여부는 이름에 붙음 - 같은 사람이 참가자 명단에도 있으면 함께 바뀜
+  elements.leadersGrid.querySelectorAll('.present-input').forEach(checkbox => {
+    checkbox.addEventListener('change', (e) => {
+      const { slot, team } = e.target.dataset;
+      const slots = slot === 'leader' ? appState.leaders : appState.subLeaders;
+      setAbsent(slots[team], !e.target.checked);
+    });
+  });
+
+  // 빈 값이면 정원 제한 없음 (잘못된 값은 renderValidation이 오류로 표시)
+  Object.entries(elements.capacityInputs).forEach(([team, input]) => {
+    input.addEventListener('change', (e) => {
+      if (e.target.value.trim() === '') {
+        delete appState.teamCapacities[team];
+      } else {
+        appState.teamCapacities[team] = Number(e.target.value);
+      }
+      saveState();
+    });
+  });
+
+  renderAttendance();
+  renderValidation();
+}
+
 function renderParticipants() {
-  elements.participantsList.innerHTML = '';
+  elements.participantsList.replaceChildren();
 
   appState.participants.forEach((name, index) => {
-    const tag = document.createElement('div');
-    tag.className = 'participant-tag';
-    tag.innerHTML = `
-      <input type="text" value="${name}" data-index="${index}">
-      <button class="remove-btn" data-index="${index}">&times;</button>
-    `;
-    elements.participantsList.appendChild(tag);
+    const tags = getTags(appState.participantTags, name).join(', ');
+    elements.participantsList.appendChild(h('div', { className: 'participant-tag' },
+      h('input', { type: 'checkbox', className: 'present-input', title: t('attendance.present'), 'aria-label': t('participants.presentLabel', { number: index + 1 }), dataset: { index } }),
+      h('input', { type: 'text', className: 'name-input', value: name, 'aria-label': t('participants.nameLabel', { number: index + 1 }), dataset: { index } }),
+      h('input', { type: 'text', className: 'tags-input', value: tags, placeholder: t('participants.tags'), 'aria-label': t('participants.tagsLabel', { number: index + 1 }), dataset: { index } }),
+      removeButton(t('participants.remove', { number: index + 1 }), index)
+    ));
   });
 
   // 이벤트 바인딩
-  elements.participantsList.querySelectorAll('input').forEach(input => {
+  elements.participantsList.querySelectorAll('.name-input').forEach(input => {
     input.addEventListener('change', (e) => {
       const index = parseInt(e.target.dataset.index);
-      appState.participants[index] = e.target.value;
+      const oldName = appState.participants[index];
+      const newName = e.target.value;
+      appState.participants[index] = newName;
+
+      // 태그와 출석 여부는 이름을 따라감
+      if (Object.hasOwn(appState.participantTags, oldName)) {
+        appState.participantTags[newName] = appState.participantTags[oldName];
+        delete appState.participantTags[oldName];
+      }
+      renameAbsent(oldName, newName);
+      saveState();
+      renderAttendance();
+    });
+  });
+
+  elements.participantsList.querySelectorAll('.present-input').forEach(checkbox => {
+    checkbox.addEventListener('change', (e) => {
+      const index = parseInt(e.target.dataset.index);
+      setAbsent(appState.participants[index], !e.target.checked);
+    });
+  });
+
+  elements.participantsList.querySelectorAll('.tags-input').forEach(input => {
+    input.addEventListener('change', (e) => {
+      const index = parseInt(e.target.dataset.index);
+      const name = appState.participants[index];
+      const tags = parseTags(e.target.value);
+      if (tags.length > 0) {
+        appState.participantTags[name] = tags;
+      } else {
+        delete appState.participantTags[name];
+      }
+      e.target.value = tags.join(', ');
+      saveState();
     });
   });
 
   elements.participantsList.querySelectorAll('.remove-btn').forEach(btn => {
     btn.addEventListener('click', (e) => {
       const index = parseInt(e.target.dataset.index);
-      appState.participants.splice(index, 1);
+      const [removed] = appState.participants.splice(index, 1);
+      if (!appState.participants.includes(removed)) {
+        delete appState.participantTags[removed];
+        appState.absent = appState.absent.filter(name => name !== removed);
+      }
+      saveState();
       renderParticipants();
     });
   });
+
+  renderAttendance();
+  renderValidation();
+}
+
+/**
+ * 출석 체크박스, 결석 표시, 출석 요약을 appState.absent에 맞춤 (입력은 다시 그리지 않음)
+ */
+function renderAttendance() {
+  const isAbsent = name => Boolean(name) && appState.absent.includes(name);
+
+  elements.participantsList.querySelectorAll('.present-input').forEach(checkbox => {
+    const absent = isAbsent(appState.participants[parseInt(checkbox.dataset.index)]);
+    checkbox.checked = !absent;
+    checkbox.closest('.participant-tag').classList.toggle('absent', absent);
+  });
+
+  elements.leadersGrid.querySelectorAll('.present-input').forEach(checkbox => {
+    const { slot, team } = checkbox.dataset;
+    const name = (slot === 'leader' ? appState.leaders : appState.subLeaders)[team];
+    checkbox.checked = !isAbsent(name);
+    checkbox.disabled = !name || name.trim() === '';
+    checkbox.closest('.leader-input').classList.toggle('absent', isAbsent(name));
+  });
+
+  const absentNames = appState.absent.filter(name => name.trim() !== '');
+  elements.attendanceSummary.textContent = absentNames.length > 0
+    ? t('attendance.absent', { count: absentNames.length, names: absentNames.join(', ') })
+    : t('attendance.allPresent');
+  elements.resetAttendanceBtn.style.display = absentNames.length > 0 ? '' : 'none';
 }
 
 function renderConstraints() {
-  elements.constraintsList.innerHTML = '';
+  elements.constraintsList.replaceChildren();
 
   appState.constraints.forEach((constraint, index) => {
-    const item = document.createElement('div');
-    item.className = 'constraint-item';
-    item.innerHTML = `
-      <input type="text" value="${constraint.name}" data-index="${index}" placeholder="이름">
-      <span>→</span>
-      <select data-index="${index}">
-        <option value="1" ${constraint.team === 1 ? 'selected' : ''}>1조</option>
-        <option value="2" ${constraint.team === 2 ? 'selected' : ''}>2조</option>
-        <option value="3" ${constraint.team === 3 ? 'selected' : ''}>3조</option>
-      </select>
-      <span>고정</span>
-      <button class="remove-btn" data-index="${index}">&times;</button>
-    `;
-    elements.constraintsList.appendChild(item);
+    // 잘못된 조는 renderValidation이 오류로 표시
+    const isInvalid = !isValidTeam(constraint.team, appState.teamCount);
+
+    const options = [];
+    for (let i = 1; i <= appState.teamCount; i++) {
+      options.push(h('option', { value: i, selected: constraint.team === i }, t('team', { team: i })));
+    }
+    // 조 개수를 줄여 사라진 조는 선택 불가 항목으로 남겨 표시
+    if (isInvalid) {
+      options.push(h('option', { value: constraint.team, selected: true, disabled: true }, t('constraints.missingTeam', { team: constraint.team })));
+    }
+
+    elements.constraintsList.appendChild(h('div', { className: 'constraint-item' },
+      h('input', { type: 'text', value: constraint.name, placeholder: t('common.name'), 'aria-label': t('constraints.nameLabel', { number: index + 1 }), dataset: { index } }),
+      h('span', { 'aria-hidden': 'true' }, '→'),
+      h('select', { 'aria-label': t('constraints.teamLabel', { number: index + 1 }), dataset: { index } }, options),
+      h('span', {}, t('constraints.pinned')),
+      removeButton(t('constraints.remove', { number: index + 1 }), index)
+    ));
   });
 
   // 이벤트 바인딩
@@ -434,6 +578,7 @@ function renderConstraints() {
     input.addEventListener('change', (e) => {
       const index = parseInt(e.target.dataset.index);
       appState.constraints[index].name = e.target.value;
+      saveState();
     });
   });
 
@@ -441,6 +586,8 @@ function renderConstraints() {
     select.addEventListener('change', (e) => {
       const index = parseInt(e.target.dataset.index);
       appState.constraints[index].team = parseInt(e.target.value);
+      saveState();
+      renderConstraints();
     });
   });
 
@@ -448,154 +595,1837 @@ function renderConstraints() {
     btn.addEventListener('click', (e) => {
       const index = parseInt(e.target.dataset.index);
       appState.constraints.splice(index, 1);
+      saveState();
       renderConstraints();
     });
   });
+
+  renderValidation();
 }
 
-function renderResults(teams) {
-  elements.teamsGrid.innerHTML = '';
+function renderPairConstraints() {
+  elements.pairConstraintsList.replaceChildren();
+
+  appState.pairConstraints.forEach((pair, index) => {
+    elements.pairConstraintsList.appendChild(h('div', { className: 'constraint-item pair-constraint-item' },
+      h('input', { type: 'text', value: pair.a, placeholder: t('common.name'), 'aria-label': t('pairs.firstLabel', { number: index + 1 }), dataset: { index, field: 'a' } }),
+      h('span', {}, t('pairs.and')),
+      h('input', { type: 'text', value: pair.b, placeholder: t('common.name'), 'aria-label': t('pairs.secondLabel', { number: index + 1 }), dataset: { index, field: 'b' } }),
+      h('span', { 'aria-hidden': 'true' }, '→'),
+      h('select', { 'aria-label': t('pairs.typeLabel', { number: index + 1 }), dataset: { index } },
+        h('option', { value: 'together', selected: pair.type === 'together' }, t('pairs.together')),
+        h('option', { value: 'apart', selected: pair.type === 'apart' }, t('pairs.apart'))
+      ),
+      removeButton(t('pairs.remove', { number: index + 1 }), index)
+    ));
+  });
 
-  for (let i = 1; i <= TEAM_COUNT; i++) {
-    const card = document.createElement('div');
-    card.className = 'team-card';
+  // 이벤트 바인딩
+  elements.pairConstraintsList.querySelectorAll('input').forEach(input => {
+    input.addEventListener('change', (e) => {
+      const index = parseInt(e.target.dataset.index);
+      appState.pairConstraints[index][e.target.dataset.field] = e.target.value;
+      saveState();
+    });
+  });
 
-    const members = teams[i].map(member => {
-      let className = '';
-      if (member.role === 'leader') className = 'leader';
-      else if (member.role === 'subLeader') className = 'sub-leader';
-      else if (member.role === 'constrained') className = 'constrained';
-      return `<li class="${className}">${member.name}</li>`;
-    }).join('');
+  elements.pairConstraintsList.querySelectorAll('select').forEach(select => {
+    select.addEventListener('change', (e) => {
+      const index = parseInt(e.target.dataset.index);
+      appState.pairConstraints[index].type = e.target.value;
+      saveState();
+    });
+  });
 
-    card.innerHTML = `
-      <h3>${i}조 (${teams[i].length}명)</h3>
-      <ul>${members}</ul>
-    `;
-    elements.teamsGrid.appendChild(card);
-  }
+  elements.pairConstraintsList.querySelectorAll('.remove-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const index = parseInt(e.target.dataset.index);
+      appState.pairConstraints.splice(index, 1);
+      saveState();
+      renderPairConstraints();
+    });
+  });
 
-  elements.resultsSection.style.display = 'block';
+  renderValidation();
 }
 
-function renderTestResults(stats, iterations, uniformity) {
-  elements.testResults.innerHTML = '';
+function renderRoles() {
+  elements.rolesList.replaceChildren();
+
+  appState.roles.forEach((role, index) => {
+    // 이름으로 지정하는 역할은 조마다 담당자 입력
+    const assignees = [];
+    if (role.mode === 'named') {
+      for (let i = 1; i <= appState.teamCount; i++) {
+        assignees.push(h('label', { className: 'role-assignee' },
+          t('team', { team: i }),
+          h('input', {
+            type: 'text', value: role.assignees[i] || '', placeholder: t('common.name'),
+            'aria-label': t('roles.assigneeLabel', { number: index + 1, team: i }), dataset: { index, team: i }
+          })
+        ));
+      }
+    }
 
-  Object.entries(stats).forEach(([name, teamStats]) => {
-    const personDiv = document.createElement('div');
-    personDiv.className = 'test-person';
+    elements.rolesList.appendChild(h('div', { className: 'constraint-item role-item' },
+      h('input', { type: 'text', className: 'role-name', value: role.name, placeholder: t('roles.namePlaceholder'), 'aria-label': t('roles.nameLabel', { number: index + 1 }), dataset: { index } }),
+      h('select', { 'aria-label': t('roles.modeLabel', { number: index + 1 }), dataset: { index } },
+        h('option', { value: 'random', selected: role.mode === 'random' }, t('roles.random')),
+        h('option', { value: 'named', selected: role.mode === 'named' }, t('roles.named'))
+      ),
+      removeButton(t('roles.remove', { number: index + 1 }), index),
+      assignees.length > 0 && h('div', { className: 'role-assignees' }, assignees)
+    ));
+  });
 
-    let barsHTML = `<h4>${name}</h4>`;
+  // 이벤트 바인딩
+  elements.rolesList.querySelectorAll('.role-name').forEach(input => {
+    input.addEventListener('change', (e) => {
+      const index = parseInt(e.target.dataset.index);
+      appState.roles[index].name = e.target.value;
+      saveState();
+    });
+  });
 
-    for (let i = 1; i <= TEAM_COUNT; i++) {
-      const count = teamStats[i];
-      const percentage = (count / iterations * 100).toFixed(1);
-      const width = (percentage / 100 * TEAM_COUNT * 100).toFixed(1); // 스케일 조정
-
-      barsHTML += `
-        <div class="bar-container">
-          <span class="bar-label">${i}조</span>
-          <div class="bar-track">
-            <div class="bar-fill" style="width: ${Math.min(width, 100)}%"></div>
-          </div>
-          <span class="bar-value">${percentage}% (${count}회)</span>
-        </div>
-      `;
-    }
+  elements.rolesList.querySelectorAll('.role-assignee input').forEach(input => {
+    input.addEventListener('change', (e) => {
+      const index = parseInt(e.target.dataset.index);
+      const team = e.target.dataset.team;
+      if (e.target.value.trim() === '') {
+        delete appState.roles[index].assignees[team];
+      } else {
+        appState.roles[index].assignees[team] = e.target.value;
+      }
+      saveState();
+    });
+  });
 
-    personDiv.innerHTML = barsHTML;
-    elements.testResults.appendChild(personDiv);
+  elements.rolesList.querySelectorAll('select').forEach(select => {
+    select.addEventListener('change', (e) => {
+      const index = parseInt(e.target.dataset.index);
+      appState.roles[index].mode = e.target.value;
+      saveState();
+      renderRoles();
+    });
   });
 
-  const summaryClass = uniformity.isUniform ? 'success' : 'warning';
-  const summaryText = uniformity.isUniform
-    ? `✅ 균등 분포 확인됨 (최대 편차: ${uniformity.maxDeviation}%)`
-    : `⚠️ 분포 편차 존재 (최대 편차: ${uniformity.maxDeviation}%)`;
+  elements.rolesList.querySelectorAll('.remove-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const index = parseInt(e.target.dataset.index);
+      appState.roles.splice(index, 1);
+      saveState();
+      renderRoles();
+    });
+  });
 
-  elements.testSummary.className = `test-summary ${summaryClass}`;
-  elements.testSummary.textContent = summaryText;
+  renderValidation();
 }
 
-// ============================================
-// 9. 이벤트 핸들러
-// ============================================
+function renderImportPreview() {
+  const rows = appState.importPreview;
+  if (rows.length === 0) {
+    elements.importPreview.replaceChildren();
+    elements.importSummary.textContent = '';
+    elements.confirmImportBtn.disabled = true;
+    return;
+  }
 
-function getLeaders() {
-  return {
-    1: elements.leaderInputs[1].value,
-    2: elements.leaderInputs[2].value,
-    3: elements.leaderInputs[3].value
-  };
+  const header = t('import.columns').split(',').map(label => h('th', {}, label));
+  const body = rows.map((row, index) => h('tr', { className: `import-row ${row.status}` },
+    h('td', {}, index + 1),
+    h('td', {}, row.name || t('import.blankName')),
+    h('td', {}, row.role === 'member' ? t('import.member') : t(`role.${row.role}`)),
+    h('td', {}, row.team !== null ? t('team', { team: row.team }) : ''),
+    h('td', {}, row.tags.join(', ')),
+    h('td', {}, `${t(`import.status.${row.status}`)}${row.error ? ` (${localize(row.error)})` : ''}`)
+  ));
+
+  elements.importPreview.replaceChildren(h('table', { className: 'import-table' },
+    h('thead', {}, h('tr', {}, header)),
+    h('tbody', {}, body)
+  ));
+
+  const okCount = rows.filter(row => row.status === 'ok').length;
+  elements.importSummary.textContent = t('import.summary', { ok: okCount, skipped: rows.length - okCount });
+  elements.confirmImportBtn.disabled = okCount === 0;
 }
 
-function getSubLeaders() {
-  return {
-    1: elements.subLeaderInputs[1].value,
-    2: elements.subLeaderInputs[2].value,
-    3: elements.subLeaderInputs[3].value
-  };
+function getIssueElement(target) {
+  switch (target.type) {
+    case 'participant':
+      return elements.participantsList.children[target.index];
+    case 'constraint':
+      return elements.constraintsList.children[target.index];
+    case 'pairConstraint':
+      return elements.pairConstraintsList.children[target.index];
+    case 'role':
+      return elements.rolesList.children[target.index];
+    case 'leader':
+      return elements.leaderInputs[target.team] && elements.leaderInputs[target.team].parentElement;
+    case 'subLeader':
+      return elements.subLeaderInputs[target.team] && elements.subLeaderInputs[target.team].parentElement;
+    case 'capacity':
+      return elements.capacityInputs[target.team] && elements.capacityInputs[target.team].parentElement;
+    case 'teamCount':
+      return elements.teamCountInput.parentElement;
+    default:
+      return null;
+  }
 }
 
-function addParticipant() {
-  const newName = `참가자${appState.participants.length + 1}`;
-  appState.participants.push(newName);
-  renderParticipants();
+/**
+ * 현재 입력을 검증해 문제 있는 입력 옆과 조 편성 버튼 위에 표시
+ * 반환: validateSettings 결과
+ */
+function renderValidation() {
+  const validation = validateSettings(getSettings());
 
-  const inputs = elements.participantsList.querySelectorAll('input');
-  const lastInput = inputs[inputs.length - 1];
-  lastInput.focus();
-  lastInput.select();
-}
+  elements.editorFieldset.querySelectorAll('.field-issue').forEach(note => note.remove());
+  elements.editorFieldset.querySelectorAll('.has-error, .has-warning').forEach(el => {
+    el.classList.remove('has-error', 'has-warning');
+  });
 
-function addConstraint() {
-  appState.constraints.push({ name: '', team: 1 });
-  renderConstraints();
+  const issues = [
+    ...validation.errors.map(issue => ({ ...issue, level: 'error' })),
+    ...validation.warnings.map(issue => ({ ...issue, level: 'warning' }))
+  ];
 
-  const inputs = elements.constraintsList.querySelectorAll('input');
-  const lastInput = inputs[inputs.length - 1];
-  lastInput.focus();
+  issues.forEach(issue => {
+    const el = getIssueElement(issue.target);
+    if (!el) return;
+    el.classList.add(issue.level === 'error' ? 'has-error' : 'has-warning');
+    const note = document.createElement('span');
+    note.className = `field-issue ${issue.level}`;
+    note.textContent = localize(issue);
+    el.appendChild(note);
+  });
+
+  elements.validationSummary.replaceChildren();
+  if (issues.length > 0) {
+    const title = document.createElement('strong');
+    title.textContent = validation.errors.length > 0
+      ? t('validation.errors', { count: validation.errors.length })
+      : t('validation.warnings', { count: validation.warnings.length });
+    const list = document.createElement('ul');
+    issues.forEach(issue => {
+      const item = document.createElement('li');
+      item.textContent = issue.level === 'error' ? localize(issue) : t('validation.warning', { message: localize(issue) });
+      list.appendChild(item);
+    });
+    elements.validationSummary.append(title, list);
+  }
+  elements.validationSummary.className = validation.errors.length > 0 ? 'validation-summary has-errors' : 'validation-summary';
+  elements.validationSummary.style.display = issues.length > 0 ? 'block' : 'none';
+
+  return validation;
 }
 
-function handleShuffle() {
-  const leaders = getLeaders();
-  const subLeaders = getSubLeaders();
-  const teams = assignTeams(leaders, subLeaders, appState.participants, appState.constraints, TEAM_COUNT);
-  renderResults(teams);
+function renderShuffleError(message) {
+  elements.shuffleError.textContent = message || '';
+  elements.shuffleError.style.display = message ? 'block' : 'none';
 }
 
-function handleTest() {
-  const iterations = 2000;
-  const leaders = getLeaders();
-  const subLeaders = getSubLeaders();
+function renderResults(teams, teamCount, tags = {}) {
+  elements.teamsGrid.replaceChildren();
+  const tagCounts = countTeamTags(teams, teamCount, tags);
 
-  // 조장/부조장 제외
-  const excludeNames = new Set([
-    ...Object.values(leaders),
-    ...Object.values(subLeaders)
-  ].filter(Boolean));
+  // 공유 링크 보기(읽기 전용)에서는 끌어서 조정할 수 없음
+  const draggable = !appState.readOnly;
 
-  const testParticipants = appState.participants.filter(name => !excludeNames.has(name));
-  const stats = runDistributionTest(testParticipants, appState.constraints, TEAM_COUNT, iterations);
-  const uniformity = checkUniformity(stats, iterations, TEAM_COUNT);
+  for (let i = 1; i <= teamCount; i++) {
+    elements.teamsGrid.appendChild(createTeamCard(teams, i, tagCounts[i], draggable));
+  }
 
-  renderTestResults(stats, iterations, uniformity);
-  elements.testModal.style.display = 'flex';
+  elements.resultsSection.style.display = 'block';
 }
 
-function closeModal() {
-  elements.testModal.style.display = 'none';
-}
+// 조장/부조장/고정 인원의 표시 (결과 카드, 발표 모드 공용) - 조원은 표시 없음
+const ROLE_INDICATORS = {
+  leader: { className: 'leader', icon: '⭐' },
+  subLeader: { className: 'sub-leader', icon: '✨' },
+  constrained: { className: 'constrained', icon: '📌' }
+};
 
-// ============================================
-// 10. 초기화
-// ============================================
+/**
+ * 조원 한 명의 표시 - 역할 아이콘과 글자, 이름, 맡은 역할
+ * 색만으로 구분하지 않도록 조장/부조장/고정은 글자로도 표시 (아이콘은 낭독에서 제외)
+ */
+function renderMemberContent(member) {
+  const indicator = ROLE_INDICATORS[member.role];
+  return [
+    indicator && h('span', { className: 'role-icon', 'aria-hidden': 'true' }, indicator.icon),
+    h('span', { className: 'member-name' }, member.name),
+    indicator && h('span', { className: 'role-label' }, t(`role.${member.role}`)),
+    (member.roles || []).map(role => h('span', { className: 'role-badge' }, role))
+  ];
+}
+
+/**
+ * 조 카드 - 조 편성 결과와 라운드 일정에서 함께 사용
+ */
+function createTeamCard(teams, i, tagCounts, draggable) {
+  // 끌 수 있는 결과는 키보드로도 옮길 수 있도록 포커스를 받음 (handleMemberKey)
+  const members = teams[i].map((member, index) => h('li', {
+    className: ROLE_INDICATORS[member.role] ? ROLE_INDICATORS[member.role].className : '',
+    draggable,
+    tabIndex: draggable ? 0 : null,
+    'aria-describedby': draggable ? 'adjustHint' : null,
+    dataset: { team: i, index }
+  }, renderMemberContent(member)));
+
+  const tagSummary = Object.entries(tagCounts).map(([tag, count]) => h('span', { className: 'tag-count' }, `${tag} ${count}`));
+
+  const capacity = appState.teamCapacities[i];
+  return h('div', { className: 'team-card', dataset: { team: i } },
+    h('h3', {}, t('results.teamSize', { team: i, count: teams[i].length, capacity })),
+    h('ul', {}, members),
+    tagSummary.length > 0 && h('div', { className: 'tag-counts' }, tagSummary)
+  );
+}
+
+function renderAdjustStatus(draw) {
+  elements.adjustStatus.replaceChildren();
+
+  const sizes = [];
+  for (let i = 1; i <= draw.teamCount; i++) {
+    sizes.push(draw.teams[i].length);
+  }
+  const spread = getTeamSpread(draw.teams, draw.teamCount);
+  // 정원을 정했으면 크기가 다른 것이 의도이므로 정원 초과만 위반으로 표시
+  const hasCapacities = Object.keys(appState.teamCapacities).some(team => Number(team) <= draw.teamCount);
+  const sizeLine = document.createElement('div');
+  sizeLine.className = spread > 1 && !hasCapacities ? 'adjust-sizes uneven' : 'adjust-sizes';
+  sizeLine.textContent = t('adjust.sizes', { sizes: sizes.join(' · '), spread });
+  elements.adjustStatus.appendChild(sizeLine);
+
+  const violations = findDrawViolations(draw.teams, draw.teamCount, applyAttendance(getSettings()).settings);
+  if (violations.length > 0) {
+    const list = document.createElement('ul');
+    list.className = 'adjust-violations';
+    violations.forEach(violation => {
+      const item = document.createElement('li');
+      item.textContent = localize(violation);
+      list.appendChild(item);
+    });
+    elements.adjustStatus.appendChild(list);
+  }
+
+  if (appState.readOnly) return;
+
+  if (draw.manuallyAdjusted) {
+    const resetBtn = document.createElement('button');
+    resetBtn.className = 'btn-small';
+    resetBtn.textContent = t('adjust.reset');
+    resetBtn.addEventListener('click', resetAdjustments);
+    elements.adjustStatus.appendChild(resetBtn);
+  }
+  // 끌 수 있는 조원마다 aria-describedby로 가리키므로 조정한 뒤에도 남겨 둠
+  const hint = document.createElement('small');
+  hint.id = 'adjustHint';
+  hint.textContent = t('adjust.hint');
+  elements.adjustStatus.appendChild(hint);
+}
+
+/**
+ * 추첨 결과 전체(시드 정보, 조 카드, 인원/위반 현황) 표시
+ */
+function renderDraw(draw) {
+  renderSeedInfo(draw);
+  renderResults(draw.teams, draw.teamCount, appState.participantTags);
+  renderAdjustStatus(draw);
+}
+
+function renderSchedule() {
+  const schedule = appState.schedule;
+  const { histogram, pairs } = summarizePairMeetings(schedule.rounds, schedule.teamCount);
+
+  const summary = Object.entries(histogram)
+    .map(([count, total]) => t('schedule.meetingCount', { count: Number(count), pairs: total }))
+    .join(' · ');
+  const repeated = pairs.filter(({ count }) => count >= 2).slice(0, 5)
+    .map(({ a, b, count }) => t('schedule.pair', { a, b, count }))
+    .join(', ');
+  elements.scheduleInfo.replaceChildren(
+    t('seed.prefix'), h('code', {}, schedule.seed), ` · ${t('schedule.roundCount', { count: schedule.rounds.length })}`,
+    h('div', { className: 'schedule-meetings' }, t('schedule.meetings', { summary })),
+    ...(repeated ? [h('small', {}, t('schedule.mostFrequent', { pairs: repeated })), h('br')] : []),
+    h('small', {}, t('schedule.reproduce'))
+  );
+
+  elements.scheduleTabs.replaceChildren();
+  const views = [...schedule.rounds.map((_, index) => [index, t('round', { round: index + 1 })]), ['people', t('schedule.byPerson')]];
+  views.forEach(([view, label]) => {
+    const tab = document.createElement('button');
+    tab.className = view === appState.scheduleView ? 'btn-small active' : 'btn-small';
+    tab.setAttribute('aria-pressed', String(view === appState.scheduleView));
+    tab.textContent = label;
+    tab.addEventListener('click', () => {
+      appState.scheduleView = view;
+      renderSchedule();
+    });
+    elements.scheduleTabs.appendChild(tab);
+  });
+
+  elements.scheduleView.replaceChildren();
+  if (appState.scheduleView === 'people') {
+    elements.scheduleView.appendChild(createScheduleTable(schedule));
+  } else {
+    const teams = schedule.rounds[appState.scheduleView];
+    const tagCounts = countTeamTags(teams, schedule.teamCount, appState.participantTags);
+    const grid = document.createElement('div');
+    grid.className = 'teams-grid-3';
+    for (let i = 1; i <= schedule.teamCount; i++) {
+      grid.appendChild(createTeamCard(teams, i, tagCounts[i], false));
+    }
+    elements.scheduleView.appendChild(grid);
+  }
+
+  elements.scheduleSection.style.display = 'block';
+}
+
+/**
+ * 사람별 보기 - 이름마다 라운드별 조 번호 (가나다순)
+ */
+function createScheduleTable(schedule) {
+  const teamsOf = new Map();
+  schedule.rounds.forEach((teams, round) => {
+    for (let i = 1; i <= schedule.teamCount; i++) {
+      teams[i].forEach(({ name }) => {
+        if (!teamsOf.has(name)) teamsOf.set(name, []);
+        teamsOf.get(name)[round] = i;
+      });
+    }
+  });
+
+  const header = schedule.rounds.map((_, round) => h('th', {}, t('round', { round: round + 1 })));
+  const rows = [...teamsOf.keys()].sort((a, b) => a.localeCompare(b, appState.locale)).map(name => {
+    const cells = schedule.rounds.map((_, round) => h('td', {}, t('team', { team: teamsOf.get(name)[round] })));
+    return h('tr', {}, h('td', {}, name), cells);
+  });
+  return h('table', { className: 'schedule-table' },
+    h('thead', {}, h('tr', {}, h('th', {}, t('common.name')), header)),
+    h('tbody', {}, rows)
+  );
+}
+
+function renderScheduleMessage(message, isError = false) {
+  elements.scheduleMessage.textContent = message || '';
+  elements.scheduleMessage.className = isError ? 'preset-message error' : 'preset-message';
+}
+
+function renderSeedInfo(draw) {
+  // 줄마다 노드 배열 - 사이에 <br>을 넣어 표시
+  const lines = [[t('seed.prefix'), h('code', {}, draw.seed)]];
+  if (draw.commitHash && draw.commitSettings) {
+    lines.push([t('seed.commitHash'), h('code', {}, draw.commitHash)]);
+    lines.push([createCommitSettings(draw.commitSettings), h('small', {}, t('seed.verify'))]);
+  } else if (draw.commitHash) {
+    // 설정을 함께 묶기 전의 기록과 공유 링크는 시드만 해시함
+    lines.push([t('seed.commitHash'), h('code', {}, draw.commitHash)]);
+    lines.push([h('small', {}, t('seed.verifySeedOnly'))]);
+  } else if (draw.avoidRepeats) {
+    lines.push([h('small', {}, t('seed.reproduceWithHistory'))]);
+  } else {
+    lines.push([h('small', {}, t('seed.reproduce'))]);
+  }
+  if (draw.manuallyAdjusted) {
+    lines.push([h('strong', {}, t('seed.adjusted')), ' ', h('small', {}, t('seed.adjustedNote'))]);
+  }
+  if (draw.repeatPairs !== undefined && draw.repeatSessions > 0) {
+    const line = [t('seed.repeats', { count: draw.repeatSessions }), h('strong', {}, t('seed.repeatCount', { count: draw.repeatPairs }))];
+    if (draw.avoidRepeats) line.push(t('seed.avoidRepeats'));
+    lines.push(line);
+  }
+  elements.seedInfo.replaceChildren(...lines.flatMap((line, index) => (index > 0 ? [h('br'), ...line] : line)));
+}
+
+function renderHistory() {
+  elements.historyList.replaceChildren();
+  elements.historySection.style.display = appState.history.length > 0 ? 'block' : 'none';
+
+  appState.history.forEach((entry, index) => {
+    const item = document.createElement('div');
+    item.className = entry === appState.lastDraw ? 'history-item active' : 'history-item';
+
+    const date = document.createElement('strong');
+    date.textContent = new Date(entry.createdAt).toLocaleString(appState.locale);
+
+    const meta = document.createElement('span');
+    meta.className = 'history-meta';
+    const seed = document.createElement('code');
+    seed.textContent = entry.seed;
+    meta.append(t('history.meta', { count: entry.teamCount }), seed);
+    if (entry.repeatPairs !== undefined && entry.repeatSessions > 0) {
+      meta.append(t('history.repeats', { count: entry.repeatPairs }));
+    }
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'btn-small';
+    restoreBtn.textContent = t('history.view');
+    restoreBtn.addEventListener('click', () => restoreHistoryEntry(index));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn-small btn-danger';
+    deleteBtn.textContent = t('common.delete');
+    // 커밋한 지난 조원 쌍이 바뀌지 않도록 공개할 때까지 삭제 잠금
+    deleteBtn.disabled = Boolean(appState.pendingCommit);
+    deleteBtn.addEventListener('click', () => deleteHistoryEntry(index));
+
+    item.append(date, meta, restoreBtn, deleteBtn);
+    elements.historyList.appendChild(item);
+  });
+}
+
+/**
+ * 발표 모드 카드 - 자리마다 빈 칸을 먼저 그리고 공개될 때 채움
+ */
+function renderPresentationGrid(draw) {
+  elements.presentationGrid.replaceChildren();
+  for (let i = 1; i <= draw.teamCount; i++) {
+    const card = document.createElement('div');
+    card.className = 'team-card';
+
+    const title = document.createElement('h3');
+    title.textContent = t('team', { team: i });
+    const list = document.createElement('ul');
+    draw.teams[i].forEach((member, index) => {
+      const item = document.createElement('li');
+      item.className = 'placeholder';
+      item.dataset.slot = `${i}:${index}`;
+      item.textContent = '?';
+      list.appendChild(item);
+    });
+
+    card.append(title, list);
+    elements.presentationGrid.appendChild(card);
+  }
+}
+
+function renderRevealedMember({ team, index, member }) {
+  const item = elements.presentationGrid.querySelector(`[data-slot="${team}:${index}"]`);
+  item.className = `${ROLE_INDICATORS[member.role] ? ROLE_INDICATORS[member.role].className : ''} revealed`;
+  item.replaceChildren(...renderMemberContent(member).flat().filter(Boolean));
+}
+
+function renderPresentationStatus() {
+  const state = appState.presentation;
+  elements.presentationProgress.textContent = `${state.revealed} / ${state.order.length}`;
+  elements.presentAutoBtn.textContent = state.autoPlay ? t('presentation.pause') : t('presentation.play');
+  const done = state.revealed >= state.order.length && !state.spinning;
+  elements.presentNextBtn.disabled = done;
+  elements.presentAutoBtn.disabled = done;
+  elements.presentSkipBtn.disabled = done;
+}
+
+function renderExportMessage(message, isError = false) {
+  elements.exportMessage.textContent = message || '';
+  elements.exportMessage.className = isError ? 'preset-message error' : 'preset-message';
+}
+
+// PNG 내보내기 - 결과 카드와 같은 배색으로 캔버스에 직접 그림
+const IMAGE_ROLE_STYLES = {
+  leader: { prefix: '\u2B50 ', color: '#7c3aed', weight: 600 },
+  subLeader: { prefix: '\u2728 ', color: '#6366f1', weight: 600 },
+  constrained: { prefix: '\u{1F4CC} ', color: '#d97706', weight: 500 },
+  member: { prefix: '', color: '#374151', weight: 400 }
+};
+
+/**
+ * 추첨 결과를 팀 카드 이미지로 그린 캔버스 반환
+ */
+function renderDrawImage(draw) {
+  const fontFamily = getComputedStyle(document.body).fontFamily || 'sans-serif';
+  const columns = Math.min(draw.teamCount, 3);
+  const rows = Math.ceil(draw.teamCount / columns);
+  const cardWidth = 240;
+  const lineHeight = 28;
+  const gap = 20;
+  const padding = 24;
+  const headerHeight = 56;
+  const maxMembers = Math.max(...Object.values(draw.teams).map(members => members.length));
+  const cardHeight = 56 + maxMembers * lineHeight + 12;
+  const scale = window.devicePixelRatio || 1;
+
+  const canvas = document.createElement('canvas');
+  const width = padding * 2 + columns * cardWidth + (columns - 1) * gap;
+  const height = padding * 2 + headerHeight + rows * cardHeight + (rows - 1) * gap;
+  canvas.width = width * scale;
+  canvas.height = height * scale;
+
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, width, height);
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  ctx.fillStyle = '#374151';
+  ctx.font = `700 20px ${fontFamily}`;
+  ctx.fillText(t('results.title'), width / 2, padding + 14);
+  ctx.fillStyle = '#6b7280';
+  ctx.font = `400 12px ${fontFamily}`;
+  const adjustedLabel = draw.manuallyAdjusted ? t('export.imageAdjusted') : '';
+  ctx.fillText(`${t('seed.prefix')}${draw.seed} · ${new Date(draw.createdAt).toLocaleString(appState.locale)}${adjustedLabel}`, width / 2, padding + 38);
+
+  for (let i = 1; i <= draw.teamCount; i++) {
+    const x = padding + ((i - 1) % columns) * (cardWidth + gap);
+    const y = padding + headerHeight + Math.floor((i - 1) / columns) * (cardHeight + gap);
+
+    ctx.fillStyle = '#f9fafb';
+    ctx.beginPath();
+    ctx.roundRect(x, y, cardWidth, cardHeight, 12);
+    ctx.fill();
+
+    ctx.fillStyle = '#4f46e5';
+    ctx.font = `700 16px ${fontFamily}`;
+    ctx.fillText(t('results.teamSize', { team: i, count: draw.teams[i].length }), x + cardWidth / 2, y + 24);
+    ctx.fillStyle = '#e5e7eb';
+    ctx.fillRect(x + 16, y + 42, cardWidth - 32, 2);
+
+    draw.teams[i].forEach((member, index) => {
+      const style = IMAGE_ROLE_STYLES[member.role] || IMAGE_ROLE_STYLES.member;
+      ctx.fillStyle = style.color;
+      ctx.font = `${style.weight} 15px ${fontFamily}`;
+      const roles = member.roles && member.roles.length > 0 ? ` · ${member.roles.join(', ')}` : '';
+      ctx.fillText(`${style.prefix}${member.name}${roles}`, x + cardWidth / 2, y + 56 + index * lineHeight + lineHeight / 2, cardWidth - 16);
+    });
+  }
+
+  return canvas;
+}
+
+function renderReadOnly() {
+  elements.editorFieldset.disabled = appState.readOnly || Boolean(appState.pendingCommit);
+  elements.drawFieldset.disabled = appState.readOnly;
+  elements.sharedBanner.style.display = appState.readOnly ? 'flex' : 'none';
+}
+
+/**
+ * 커밋한 설정 JSON을 접었다 펼 수 있게 표시
+ */
+function createCommitSettings(settingsJson) {
+  return h('details', { className: 'commit-settings' },
+    h('summary', {}, t('seed.commitSettings')),
+    h('pre', {}, h('code', {}, settingsJson))
+  );
+}
+
+function renderCommitPanel() {
+  const commit = appState.pendingCommit;
+  // 커밋한 뒤 공개할 때까지 결과를 바꿀 수 있는 입력은 모두 잠금
+  elements.editorFieldset.disabled = appState.readOnly || Boolean(commit);
+  [elements.seedInput, elements.avoidRepeatToggle, elements.repeatSessionsInput, elements.clearHistoryBtn].forEach(input => {
+    input.disabled = Boolean(commit);
+  });
+  renderHistory();
+  if (!commit) {
+    elements.commitPanel.style.display = 'none';
+    elements.commitPanel.replaceChildren();
+    elements.shuffleBtn.textContent = t('shuffle.button');
+    return;
+  }
+
+  elements.commitPanel.replaceChildren(
+    t('seed.commitHash'), h('code', {}, commit.hash),
+    createCommitSettings(commit.settings),
+    h('small', {}, t('commit.hint'))
+  );
+  elements.commitPanel.style.display = 'block';
+  elements.shuffleBtn.textContent = t('shuffle.reveal');
+}
+
+function formatPValue(pValue) {
+  return pValue < 0.001 ? '< 0.001' : pValue.toFixed(3);
+}
+
+function renderTestResults(result, uniformity, teamCount) {
+  const { iterations, stats, teamTotals, expectedByName, freeCount } = result;
+  elements.testResults.replaceChildren();
+
+  // 가장 큰 기대 확률이 트랙의 80%가 되도록 스케일 조정
+  const maxExpected = Math.max(...Object.values(expectedByName).flatMap(Object.values), 1 / teamCount);
+  const scale = 80 / maxExpected;
+
+  const teamBars = [];
+  for (let i = 1; i <= teamCount; i++) {
+    const average = (teamTotals[i] / iterations).toFixed(2);
+    const expectedAverage = Object.values(expectedByName).reduce((sum, expected) => sum + expected[i], 0).toFixed(2);
+    teamBars.push(h('div', { className: 'bar-container' },
+      h('span', { className: 'bar-label' }, t('team', { team: i })),
+      h('span', { className: 'bar-value' }, t('test.teamAverage', { average, expected: expectedAverage }))
+    ));
+  }
+  const excludedNote = result.excludedCount > 0 ? t('test.excluded', { count: result.excludedCount }) : '';
+  elements.testResults.appendChild(h('div', { className: 'test-person test-teams' },
+    h('h4', {}, t('test.teams', { count: freeCount })),
+    result.expectedSource === 'observed' &&
+      h('p', { className: 'test-note' }, `${excludedNote}${t('test.observed')}`),
+    teamBars
+  ));
+
+  Object.entries(stats).forEach(([name, teamStats]) => {
+    const chi = uniformity.persons[name];
+    const expected = expectedByName[name];
+
+    const bars = [];
+    for (let i = 1; i <= teamCount; i++) {
+      const count = teamStats[i];
+      const probability = count / iterations;
+      const percentage = (probability * 100).toFixed(1);
+      const expectedPercentage = (expected[i] * 100).toFixed(1);
+      const width = Math.min(probability * scale, 100).toFixed(1);
+      const marker = Math.min(expected[i] * scale, 100).toFixed(1);
+
+      bars.push(h('div', { className: 'bar-container' },
+        h('span', { className: 'bar-label' }, t('team', { team: i })),
+        h('div', { className: 'bar-track' },
+          h('div', { className: 'bar-fill', style: { width: `${width}%` } }),
+          h('div', { className: 'bar-expected', style: { left: `${marker}%` }, title: t('test.expected', { percent: expectedPercentage }) })
+        ),
+        h('span', { className: 'bar-value' }, t('test.personBar', { percent: percentage, count, expected: expectedPercentage }))
+      ));
+    }
+
+    elements.testResults.appendChild(h('div', { className: 'test-person' },
+      h('h4', {}, name, result.classOf[name] && [' ', h('span', { className: 'tag-label' }, result.classOf[name])]),
+      h('div', { className: `test-stat ${chi.passed ? 'passed' : 'failed'}` },
+        `${t('test.chi', { statistic: chi.statistic.toFixed(2), df: chi.df, p: formatPValue(chi.pValue) })} ${chi.passed ? '✅' : '⚠️'}`
+      ),
+      bars
+    ));
+  });
+
+  elements.testResults.appendChild(renderCooccurrenceMatrix(result));
+
+  const { overall, alpha, failedCount } = uniformity;
+  const personCount = Object.keys(stats).length;
+  const overallText = t('test.overall', { statistic: overall.statistic.toFixed(2), df: overall.df, p: formatPValue(overall.pValue) });
+  const personText = t('test.persons', { failed: failedCount, count: personCount, expected: (alpha * personCount).toFixed(1) });
+
+  const summaryClass = uniformity.isUniform ? 'success' : 'warning';
+  const summaryText = t(uniformity.isUniform ? 'test.passed' : 'test.failed', { alpha });
+
+  elements.testSummary.className = `test-summary ${summaryClass}`;
+  elements.testSummary.replaceChildren(summaryText, h('br'), h('small', {}, `${overallText} · ${personText}`));
+}
+
+/**
+ * 동반 배정 행렬 - 두 사람이 같은 조에 배정된 비율
+ * 기대 비율보다 높으면 진하게, 낮으면 연하게 표시
+ */
+function renderCooccurrenceMatrix(result) {
+  const { iterations, pairCounts, expectedPair } = result;
+  const names = Object.keys(pairCounts);
+
+  const rows = names.map(rowName => {
+    const cells = names.map(colName => {
+      if (rowName === colName) return h('td', { className: 'diagonal' });
+      const count = pairCounts[rowName][colName];
+      const ratio = count / iterations;
+      const intensity = expectedPair > 0 ? Math.min(ratio / expectedPair / 2, 1) : 0;
+      return h('td', {
+        style: { background: `rgba(79, 70, 229, ${intensity.toFixed(2)})` },
+        title: t('test.pairCell', { a: rowName, b: colName, count })
+      }, Math.round(ratio * 100));
+    });
+    return h('tr', {}, h('th', {}, rowName), cells);
+  });
+
+  const header = names.map(name => h('th', {}, h('span', {}, name)));
+
+  return h('div', { className: 'test-person test-cooccurrence' },
+    h('h4', {}, t('test.matrix', { expected: (expectedPair * 100).toFixed(1) })),
+    h('div', { className: 'matrix-scroll' },
+      h('table', { className: 'cooccurrence-matrix' },
+        h('thead', {}, h('tr', {}, h('th'), header)),
+        h('tbody', {}, rows)
+      )
+    )
+  );
+}
+
+// ============================================
+// 6. 이벤트 핸들러
+// ============================================
+
+function loadFromStorage(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (e) {
+    console.warn(t('storage.loadFailed', { key, message: e.message }));
+    return fallback;
+  }
+}
+
+function saveToStorage(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    // 사생활 보호 모드, 용량 초과 등 - 저장만 건너뛰고 앱은 계속 동작
+    console.warn(t('storage.saveFailed', { key, message: e.message }));
+  }
+}
+
+function getSettings() {
+  return JSON.parse(JSON.stringify({
+    teamCount: appState.teamCount,
+    participants: appState.participants,
+    participantTags: appState.participantTags,
+    leaders: appState.leaders,
+    subLeaders: appState.subLeaders,
+    constraints: appState.constraints,
+    pairConstraints: appState.pairConstraints,
+    teamCapacities: appState.teamCapacities,
+    roles: appState.roles,
+    absent: appState.absent,
+    leaderFallback: appState.leaderFallback
+  }));
+}
+
+function saveState() {
+  // 공유 링크 보기 중에는 내 저장 상태를 덮어쓰지 않음
+  if (appState.readOnly) return;
+  saveToStorage(STORAGE_KEYS.state, getSettings());
+}
+
+function applySettings(settings) {
+  Object.assign(appState, normalizeSettings(settings, DEFAULT_SETTINGS));
+  elements.teamCountInput.value = appState.teamCount;
+  elements.leaderFallbackSelect.value = appState.leaderFallback;
+
+  renderLeaders();
+  renderParticipants();
+  renderConstraints();
+  renderPairConstraints();
+  renderRoles();
+  saveState();
+
+  // 명단이 바뀌었으므로 이전 결과는 숨김
+  appState.lastDraw = null;
+  elements.resultsSection.style.display = 'none';
+  appState.schedule = null;
+  elements.scheduleSection.style.display = 'none';
+}
+
+function getPresetSettings(name) {
+  return name === BUILT_IN_PRESET_NAME ? DEFAULT_SETTINGS : appState.presets[name];
+}
+
+function loadPreset() {
+  const name = elements.presetSelect.value;
+  applySettings(getPresetSettings(name));
+  renderPresetMessage(t('presets.loaded', { name }));
+}
+
+function savePreset() {
+  const name = elements.presetNameInput.value.trim();
+  if (!name) {
+    renderPresetMessage(t('error.presetNameEmpty'), true);
+    return;
+  }
+  if (name === BUILT_IN_PRESET_NAME) {
+    renderPresetMessage(t('error.presetNameReserved', { name }), true);
+    return;
+  }
+  if (Object.hasOwn(appState.presets, name) && !confirm(t('presets.confirmOverwrite', { name }))) {
+    return;
+  }
+
+  appState.presets[name] = getSettings();
+  saveToStorage(STORAGE_KEYS.presets, appState.presets);
+  elements.presetNameInput.value = '';
+  renderPresets(name);
+  renderPresetMessage(t('presets.saved', { name }));
+}
+
+function renameSelectedPreset() {
+  const from = elements.presetSelect.value;
+  const to = elements.presetNameInput.value;
+  try {
+    appState.presets = renamePreset(appState.presets, from, to, BUILT_IN_PRESET_NAME);
+  } catch (e) {
+    renderPresetMessage(localize(e), true);
+    return;
+  }
+
+  saveToStorage(STORAGE_KEYS.presets, appState.presets);
+  elements.presetNameInput.value = '';
+  renderPresets(to.trim());
+  renderPresetMessage(t('presets.renamed', { from, to: to.trim() }));
+}
+
+function deleteSelectedPreset() {
+  const name = elements.presetSelect.value;
+  if (!confirm(t('presets.confirmDelete', { name }))) return;
+
+  delete appState.presets[name];
+  saveToStorage(STORAGE_KEYS.presets, appState.presets);
+  renderPresets(BUILT_IN_PRESET_NAME);
+  renderPresetMessage(t('presets.deleted', { name }));
+}
+
+function getRosterNames() {
+  return [
+    ...appState.participants,
+    ...Object.values(appState.leaders),
+    ...Object.values(appState.subLeaders)
+  ].filter(Boolean);
+}
+
+function openImportModal() {
+  elements.importText.value = '';
+  elements.importFile.value = '';
+  elements.importReplace.checked = false;
+  appState.importPreview = [];
+  renderImportPreview();
+  openDialog(elements.importModal, elements.importText);
+}
+
+function closeImportModal() {
+  closeDialog(elements.importModal);
+}
+
+function updateImportPreview(text) {
+  // 교체 모드에서는 기존 명단과의 중복을 따지지 않음
+  const existingNames = elements.importReplace.checked ? [] : getRosterNames();
+  appState.importPreview = buildImportPreview(parseRosterText(text), existingNames);
+  renderImportPreview();
+}
+
+async function handleImportFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  const text = await file.text();
+  elements.importText.value = text;
+  updateImportPreview(text);
+}
+
+function confirmImport() {
+  const merged = mergeImport(getSettings(), appState.importPreview, elements.importReplace.checked);
+  applySettings(merged);
+  closeImportModal();
+}
+
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', type: 'text/csv;charset=utf-8' },
+  json: { extension: 'json', type: 'application/json' },
+  markdown: { extension: 'md', type: 'text/markdown;charset=utf-8' },
+  png: { extension: 'png', type: 'image/png' }
+};
+
+function getExportText(format) {
+  const draw = appState.lastDraw;
+  if (format === 'csv') return formatDrawCsv(draw, appState.participantTags, appState.locale);
+  if (format === 'json') return formatDrawJson(draw, appState.participantTags);
+  return formatDrawMarkdown(draw, appState.locale);
+}
+
+/**
+ * 내보낼 텍스트를 형식에 맞는 Blob으로 - 추첨 결과와 라운드 일정에서 함께 사용
+ * CSV는 엑셀에서 한글이 깨지지 않도록 BOM을 붙임
+ */
+function createExportBlob(text, format) {
+  const parts = format === 'csv' ? ['\uFEFF', text] : [text];
+  return new Blob(parts, { type: EXPORT_FORMATS[format].type });
+}
+
+function createDrawBlob(format) {
+  if (format === 'png') {
+    return new Promise((resolve, reject) => {
+      renderDrawImage(appState.lastDraw).toBlob(blob => (blob ? resolve(blob) : reject(new Error(t('export.imageFailed')))), 'image/png');
+    });
+  }
+  return Promise.resolve(createExportBlob(getExportText(format), format));
+}
+
+function saveFile(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// 사용자가 입력한 시드에는 파일 이름에 쓸 수 없는 문자가 있을 수 있음
+function toFileNamePart(seed) {
+  return seed.replace(/[^\w-]/g, '_');
+}
+
+async function downloadExport() {
+  const format = elements.exportFormat.value;
+  try {
+    const blob = await createDrawBlob(format);
+    const suffix = appState.lastDraw.manuallyAdjusted ? '-adjusted' : '';
+    const fileName = `teams-${toFileNamePart(appState.lastDraw.seed)}${suffix}.${EXPORT_FORMATS[format].extension}`;
+    saveFile(blob, fileName);
+    renderExportMessage(t('export.saved', { fileName }));
+  } catch (e) {
+    renderExportMessage(e.message, true);
+  }
+}
+
+async function copyExport() {
+  const format = elements.exportFormat.value;
+  if (!navigator.clipboard) {
+    renderExportMessage(t('export.noClipboard'), true);
+    return;
+  }
+
+  try {
+    if (format === 'png') {
+      // 이미지 복사는 ClipboardItem을 지원하는 브라우저에서만 가능
+      if (typeof ClipboardItem === 'undefined') {
+        throw new Error(t('export.noImageClipboard'));
+      }
+      await navigator.clipboard.write([new ClipboardItem({ 'image/png': createDrawBlob('png') })]);
+    } else {
+      await navigator.clipboard.writeText(getExportText(format));
+    }
+    renderExportMessage(t('export.copied'));
+  } catch (e) {
+    renderExportMessage(e.message || t('export.copyFailed'), true);
+  }
+}
+
+const SCHEDULE_FORMATTERS = {
+  csv: (schedule, tags) => formatScheduleCsv(schedule, tags, appState.locale),
+  json: formatScheduleJson,
+  markdown: schedule => formatScheduleMarkdown(schedule, appState.locale)
+};
+
+function getScheduleExportText(format) {
+  return SCHEDULE_FORMATTERS[format](appState.schedule, appState.participantTags);
+}
+
+function downloadSchedule() {
+  const format = elements.scheduleExportFormat.value;
+  const blob = createExportBlob(getScheduleExportText(format), format);
+  const fileName = `schedule-${toFileNamePart(appState.schedule.seed)}.${EXPORT_FORMATS[format].extension}`;
+  saveFile(blob, fileName);
+  renderScheduleMessage(t('export.saved', { fileName }));
+}
+
+async function copySchedule() {
+  if (!navigator.clipboard) {
+    renderScheduleMessage(t('export.noClipboard'), true);
+    return;
+  }
+  try {
+    await navigator.clipboard.writeText(getScheduleExportText(elements.scheduleExportFormat.value));
+    renderScheduleMessage(t('export.copied'));
+  } catch (e) {
+    renderScheduleMessage(e.message || t('export.copyFailed'), true);
+  }
+}
+
+const SHARE_HASH_PREFIX = '#share=';
+
+function getShareUrl() {
+  const encoded = encodeShareData(getSettings(), appState.lastDraw);
+  return `${location.origin}${location.pathname}${SHARE_HASH_PREFIX}${encoded}`;
+}
+
+async function copyShareLink() {
+  const url = getShareUrl();
+  try {
+    await navigator.clipboard.writeText(url);
+    renderExportMessage(t('share.copied'));
+  } catch (e) {
+    // 클립보드를 쓸 수 없으면 직접 복사할 수 있게 링크를 보여줌
+    prompt(t('share.prompt'), url);
+  }
+}
+
+/**
+ * URL 조각의 공유 데이터를 읽어 읽기 전용으로 표시
+ * 공유 링크가 아니면 false, 손상된 링크면 알림 후 false
+ */
+function loadSharedLink() {
+  if (!location.hash.startsWith(SHARE_HASH_PREFIX)) return false;
+
+  let shared;
+  try {
+    shared = decodeShareData(location.hash.slice(SHARE_HASH_PREFIX.length));
+  } catch (e) {
+    alert(localize(e));
+    return false;
+  }
+
+  appState.readOnly = true;
+  applySettings(shared.settings);
+  renderReadOnly();
+
+  if (shared.draw) {
+    appState.lastDraw = shared.draw;
+    renderDraw(shared.draw);
+  }
+  return true;
+}
+
+/**
+ * 자동 저장된 내 편집 상태를 프리셋으로 남김 - 비었거나 기본 명단이거나 공유된 설정과 같으면 남기지 않음
+ * 반환: 저장한 프리셋 이름 (남기지 않았으면 null)
+ */
+function backupSavedState() {
+  const saved = loadFromStorage(STORAGE_KEYS.state, null);
+  if (!saved) return null;
+  const savedJson = canonicalJson(normalizeSettings(saved, DEFAULT_SETTINGS));
+  if (savedJson === canonicalJson(normalizeSettings(DEFAULT_SETTINGS, DEFAULT_SETTINGS))
+    || savedJson === canonicalJson(normalizeSettings(getSettings(), DEFAULT_SETTINGS))) {
+    return null;
+  }
+
+  const baseName = t('shared.backupName');
+  let name = baseName;
+  for (let n = 2; Object.hasOwn(appState.presets, name); n++) {
+    name = `${baseName} (${n})`;
+  }
+  appState.presets[name] = normalizeSettings(saved, DEFAULT_SETTINGS);
+  saveToStorage(STORAGE_KEYS.presets, appState.presets);
+  return name;
+}
+
+/**
+ * 공유된 설정을 내 편집 상태로 가져옴 - 표시 중인 결과는 유지
+ * 덮어쓰는 내 자동 저장 상태는 프리셋으로 먼저 남겨 둠
+ */
+function editSharedCopy() {
+  const backupName = backupSavedState();
+  appState.readOnly = false;
+  history.replaceState(null, '', location.pathname + location.search);
+  saveState();
+  renderReadOnly();
+  if (backupName) {
+    renderPresets(backupName);
+    renderPresetMessage(t('shared.backedUp', { name: backupName }));
+  }
+}
+
+function handleHashChange() {
+  if (location.hash.startsWith(SHARE_HASH_PREFIX)) {
+    loadSharedLink();
+  }
+}
+
+function saveHistory() {
+  saveToStorage(STORAGE_KEYS.history, appState.history);
+}
+
+function saveAvoidRepeats() {
+  saveToStorage(STORAGE_KEYS.avoidRepeats, {
+    enabled: elements.avoidRepeatToggle.checked,
+    sessions: getRepeatSessions()
+  });
+}
+
+function getRepeatSessions() {
+  const sessions = parseInt(elements.repeatSessionsInput.value, 10);
+  return Number.isInteger(sessions) ? Math.min(Math.max(sessions, 1), 20) : DEFAULT_REPEAT_SESSIONS;
+}
+
+function addHistoryEntry(draw) {
+  appState.history.unshift(draw);
+  appState.history.length = Math.min(appState.history.length, MAX_HISTORY_ENTRIES);
+  saveHistory();
+  renderHistory();
+}
+
+function restoreHistoryEntry(index) {
+  const entry = appState.history[index];
+  appState.lastDraw = entry;
+  renderExportMessage(null);
+  renderDraw(entry);
+  renderHistory();
+  elements.resultsSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+function deleteHistoryEntry(index) {
+  appState.history.splice(index, 1);
+  saveHistory();
+  renderHistory();
+}
+
+function clearHistory() {
+  if (!confirm(t('history.confirmClear'))) return;
+  appState.history = [];
+  saveHistory();
+  renderHistory();
+}
+
+/**
+ * 결과를 끌어서 조정 - lastDraw(추첨 기록의 같은 항목)를 바꾸고 수동 조정 표시를 남김
+ */
+function adjustDraw(from, to) {
+  const draw = appState.lastDraw;
+  if (!draw.originalTeams) {
+    draw.originalTeams = draw.teams;
+  }
+  draw.teams = moveMember(draw.teams, from, to);
+  draw.manuallyAdjusted = true;
+  updateDrawRepeats(draw);
+  saveHistory();
+  renderHistory();
+  renderExportMessage(null);
+  renderDraw(draw);
+}
+
+function resetAdjustments() {
+  const draw = appState.lastDraw;
+  draw.teams = draw.originalTeams;
+  delete draw.originalTeams;
+  delete draw.manuallyAdjusted;
+  updateDrawRepeats(draw);
+  saveHistory();
+  renderHistory();
+  renderDraw(draw);
+}
+
+/**
+ * 조정 후 겹친 조원 쌍 수를 그 추첨 이전 기록 기준으로 다시 계산
+ */
+function updateDrawRepeats(draw) {
+  const index = appState.history.indexOf(draw);
+  if (index < 0 || !draw.repeatSessions) return;
+  const pastPairs = countPastPairs(appState.history.slice(index + 1, index + 1 + draw.repeatSessions));
+  draw.repeatPairs = countRepeatPairs(draw.teams, draw.teamCount, pastPairs);
+}
+
+function handleDragStart(e) {
+  const item = e.target.closest && e.target.closest('li[draggable="true"]');
+  if (!item) return;
+  appState.dragSource = { team: Number(item.dataset.team), index: Number(item.dataset.index) };
+  e.dataTransfer.effectAllowed = 'move';
+  // Firefox는 데이터가 없으면 끌기를 시작하지 않음
+  e.dataTransfer.setData('text/plain', item.querySelector('.member-name').textContent);
+  item.classList.add('dragging');
+}
+
+function handleDragOver(e) {
+  const card = e.target.closest && e.target.closest('.team-card');
+  if (!card || !appState.dragSource) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'move';
+  elements.teamsGrid.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+  (e.target.closest('li') || card).classList.add('drag-over');
+}
+
+function handleDrop(e) {
+  const card = e.target.closest && e.target.closest('.team-card');
+  const from = appState.dragSource;
+  if (!card || !from) return;
+  e.preventDefault();
+
+  const item = e.target.closest('li');
+  const to = item
+    ? { team: Number(item.dataset.team), index: Number(item.dataset.index) }
+    : { team: Number(card.dataset.team) };
+  appState.dragSource = null;
+
+  if (to.team === from.team && (to.index === undefined || to.index === from.index)) {
+    elements.teamsGrid.querySelectorAll('.drag-over, .dragging').forEach(el => el.classList.remove('drag-over', 'dragging'));
+    return;
+  }
+  adjustDraw(from, to);
+}
+
+/**
+ * 결과 카드의 이름에서 ←/→ 키로 앞/뒤 조로 옮김 - 끌어 놓기의 키보드 대안
+ * 옮긴 뒤에도 같은 사람에 포커스를 두어 이어서 옮길 수 있게 함
+ */
+function handleMemberKey(e) {
+  if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+  const item = e.target.closest && e.target.closest('li[draggable="true"]');
+  if (!item) return;
+  e.preventDefault();
+
+  const draw = appState.lastDraw;
+  const from = { team: Number(item.dataset.team), index: Number(item.dataset.index) };
+  const step = e.key === 'ArrowRight' ? 1 : -1;
+  const team = ((from.team - 1 + step + draw.teamCount) % draw.teamCount) + 1;
+  const { name } = draw.teams[from.team][from.index];
+  adjustDraw(from, { team });
+
+  elements.teamsGrid.querySelector(`li[data-team="${team}"][data-index="${draw.teams[team].length - 1}"]`).focus();
+  announce(t('adjust.moved', { name, team }));
+}
+
+function handleDragEnd() {
+  appState.dragSource = null;
+  elements.teamsGrid.querySelectorAll('.drag-over, .dragging').forEach(el => el.classList.remove('drag-over', 'dragging'));
+}
+
+function getPresentationSpeed() {
+  const speed = PRESENTATION_SPEEDS[elements.presentationSpeed.value] || PRESENTATION_SPEEDS.normal;
+  // 움직임 줄이기 설정이면 돌아가는 연출 없이 바로 공개
+  const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  return reduceMotion ? { ...speed, spin: 0 } : speed;
+}
+
+function clearPresentationTimers() {
+  const state = appState.presentation;
+  clearTimeout(state.timer);
+  clearInterval(state.spinTimer);
+  state.timer = null;
+  state.spinTimer = null;
+}
+
+function openPresentation() {
+  const draw = appState.lastDraw;
+  const order = buildRevealOrder(draw.teams, draw.teamCount);
+  appState.presentation = { order, revealed: 0, autoPlay: false, spinning: false, timer: null, spinTimer: null };
+
+  renderPresentationGrid(draw);
+  // 고정 인원은 이미 알려진 사람이므로 처음부터 공개
+  while (appState.presentation.revealed < order.length && order[appState.presentation.revealed].member.role !== 'member') {
+    renderRevealedMember(order[appState.presentation.revealed]);
+    appState.presentation.revealed++;
+  }
+  elements.presentationSlot.textContent = t('presentation.keys');
+  renderPresentationStatus();
+
+  // 결과 화면의 '발표 모드' 버튼에 포커스가 남아 있으면 Space가 발표를 다시 시작하므로 옮김
+  openDialog(elements.presentation, elements.presentation);
+  if (elements.presentation.requestFullscreen) {
+    elements.presentation.requestFullscreen().catch(() => {});
+  }
+}
+
+function closePresentation() {
+  if (!appState.presentation) return;
+  clearPresentationTimers();
+  appState.presentation = null;
+  closeDialog(elements.presentation);
+  if (document.fullscreenElement && document.exitFullscreen) {
+    document.exitFullscreen().catch(() => {});
+  }
+}
+
+/**
+ * 다음 사람 공개 - 이름이 돌아가는 중이면 바로 멈춰 공개
+ */
+function presentNext() {
+  const state = appState.presentation;
+  if (state.spinning) {
+    landReveal();
+    return;
+  }
+  if (state.revealed >= state.order.length) return;
+
+  clearPresentationTimers();
+  const { spin } = getPresentationSpeed();
+  const pool = state.order.slice(state.revealed).map(step => step.member.name);
+  state.spinning = true;
+  elements.presentationSlot.classList.add('spinning');
+  state.spinTimer = setInterval(() => {
+    // 연출용 - 실제 결과는 이미 정해져 있으므로 Math.random 사용
+    elements.presentationSlot.textContent = pool[Math.floor(Math.random() * pool.length)];
+  }, 60);
+  state.timer = setTimeout(landReveal, spin);
+  renderPresentationStatus();
+}
+
+function landReveal() {
+  const state = appState.presentation;
+  clearPresentationTimers();
+  const step = state.order[state.revealed];
+  state.spinning = false;
+  state.revealed++;
+
+  elements.presentationSlot.classList.remove('spinning');
+  elements.presentationSlot.textContent = t('presentation.landed', { name: step.member.name, team: step.team });
+  renderRevealedMember(step);
+  renderPresentationStatus();
+
+  if (state.autoPlay && state.revealed < state.order.length) {
+    state.timer = setTimeout(presentNext, getPresentationSpeed().pause);
+  } else if (state.revealed >= state.order.length) {
+    state.autoPlay = false;
+    renderPresentationStatus();
+  }
+}
+
+function togglePresentationAutoPlay() {
+  const state = appState.presentation;
+  if (state.revealed >= state.order.length) return;
+  state.autoPlay = !state.autoPlay;
+  if (state.autoPlay && !state.spinning) {
+    presentNext();
+  } else if (!state.autoPlay && !state.spinning) {
+    clearPresentationTimers();
+  }
+  renderPresentationStatus();
+}
+
+function skipPresentation() {
+  const state = appState.presentation;
+  clearPresentationTimers();
+  state.spinning = false;
+  state.autoPlay = false;
+  while (state.revealed < state.order.length) {
+    renderRevealedMember(state.order[state.revealed]);
+    state.revealed++;
+  }
+  elements.presentationSlot.classList.remove('spinning');
+  elements.presentationSlot.textContent = t('presentation.done');
+  renderPresentationStatus();
+}
+
+function handlePresentationKey(e) {
+  if (e.key === 'Escape') {
+    closePresentation();
+    return;
+  }
+  // 발표 화면의 버튼/선택 상자에 포커스가 있으면 그 컨트롤이 키를 처리
+  const onControl = ['BUTTON', 'SELECT'].includes(e.target.tagName) && elements.presentation.contains(e.target);
+  if (onControl) return;
+
+  if (e.key === ' ' || e.key === 'ArrowRight' || e.key === 'Enter') {
+    e.preventDefault();
+    presentNext();
+  } else if (e.key === 'p' || e.key === 'P') {
+    togglePresentationAutoPlay();
+  } else if (e.key === 's' || e.key === 'S' || e.key === 'End') {
+    skipPresentation();
+  }
+}
+
+function setTeamCount(value) {
+  appState.teamCount = clampTeamCount(value);
+  elements.teamCountInput.value = appState.teamCount;
+
+  // 없어진 조의 조장/부조장은 입력이 사라져 편성에서 빠지므로 명단으로 돌려보냄
+  [appState.leaders, appState.subLeaders].forEach(slots => {
+    Object.keys(slots).filter(team => Number(team) > appState.teamCount).forEach(team => {
+      const name = slots[team];
+      if (name && name.trim() && !appState.participants.includes(name)) {
+        appState.participants.push(name);
+      }
+      delete slots[team];
+    });
+  });
+  renderParticipants();
+
+  renderLeaders();
+  renderConstraints();
+  renderRoles();
+  saveState();
+
+  // 조 개수가 바뀌면 이전 결과는 더 이상 유효하지 않음
+  appState.lastDraw = null;
+  elements.resultsSection.style.display = 'none';
+  appState.schedule = null;
+  elements.scheduleSection.style.display = 'none';
+}
+
+function addParticipant() {
+  const newName = t('participants.newName', { number: appState.participants.length + 1 });
+  appState.participants.push(newName);
+  saveState();
+  renderParticipants();
+
+  const inputs = elements.participantsList.querySelectorAll('.name-input');
+  const lastInput = inputs[inputs.length - 1];
+  lastInput.focus();
+  lastInput.select();
+}
+
+function addConstraint() {
+  appState.constraints.push({ name: '', team: 1 });
+  saveState();
+  renderConstraints();
+
+  const inputs = elements.constraintsList.querySelectorAll('input');
+  const lastInput = inputs[inputs.length - 1];
+  lastInput.focus();
+}
+
+function addPairConstraint() {
+  appState.pairConstraints.push({ a: '', b: '', type: 'apart' });
+  saveState();
+  renderPairConstraints();
+
+  const inputs = elements.pairConstraintsList.querySelectorAll('input');
+  inputs[inputs.length - 2].focus();
+}
+
+function addRole() {
+  appState.roles.push({ name: '', mode: 'random', assignees: {} });
+  saveState();
+  renderRoles();
+
+  const inputs = elements.rolesList.querySelectorAll('.role-name');
+  inputs[inputs.length - 1].focus();
+}
+
+/**
+ * 이름의 출석 여부 변경 - 조장/부조장과 참가자 명단의 같은 이름에 함께 반영
+ */
+function setAbsent(name, absent) {
+  if (!name || name.trim() === '') return;
+  appState.absent = appState.absent.filter(other => other !== name);
+  if (absent) {
+    appState.absent.push(name);
+  }
+  saveState();
+  renderAttendance();
+}
+
+/**
+ * 명단, 조장, 부조장 칸 중 어디에든 있는 이름인지
+ */
+function isInRoster(name) {
+  if (appState.participants.includes(name)) return true;
+  for (let i = 1; i <= appState.teamCount; i++) {
+    if (appState.leaders[i] === name || appState.subLeaders[i] === name) return true;
+  }
+  return false;
+}
+
+/**
+ * 이름을 고치면 결석 체크도 새 이름으로 옮김 (새 이름이 비면 지움)
+ * 조장 칸과 명단의 같은 이름은 출석 여부를 함께 쓰므로 옛 이름이 아직 남아 있으면 그대로 둠
+ */
+function renameAbsent(oldName, newName) {
+  if (!oldName || !appState.absent.includes(oldName) || isInRoster(oldName)) return;
+  appState.absent = [...new Set(appState.absent.map(name => (name === oldName ? newName : name)))]
+    .filter(name => name.trim() !== '');
+}
+
+function resetAttendance() {
+  appState.absent = [];
+  saveState();
+  renderAttendance();
+  renderValidation();
+}
+
+function setLeaderFallback(value) {
+  appState.leaderFallback = value;
+  saveState();
+}
+
+function getSeed() {
+  return elements.seedInput.value.trim() || generateSeed();
+}
+
+/**
+ * 커밋할 내용 - 명단과 설정, 겹치는 조원 줄이기를 켰으면 비교할 지난 조원 쌍까지
+ * 지난 기록에 따라서도 결과가 달라지므로 기록을 빼면 공개된 시드로 결과를 확인할 수 없음
+ */
+function getCommitSettings() {
+  const settings = getSettings();
+  if (!elements.avoidRepeatToggle.checked) return settings;
+  const sessions = getRepeatSessions();
+  return {
+    ...settings,
+    avoidRepeats: { sessions, pastPairs: listPastPairs(countPastPairs(appState.history.slice(0, sessions))) }
+  };
+}
+
+/**
+ * 커밋-공개 1단계: 시드를 정하고 해시만 먼저 공개
+ */
+async function commitSeed() {
+  // crypto.subtle은 보안 컨텍스트(HTTPS, localhost)에서만 제공됨
+  if (!crypto.subtle) {
+    alert(t('commit.httpsOnly'));
+    elements.commitRevealToggle.checked = false;
+    return;
+  }
+
+  appState.pendingCommit = await createCommit(getSeed(), getCommitSettings());
+  renderCommitPanel();
+}
+
+function toggleCommitReveal() {
+  // 모드를 끄면 공개 전 커밋은 폐기
+  if (!elements.commitRevealToggle.checked) {
+    appState.pendingCommit = null;
+    renderCommitPanel();
+  }
+}
+
+/**
+ * 조 편성/신뢰도 테스트 전 검증 - 오류가 있으면 false (경고는 통과)
+ */
+function checkValidation() {
+  if (renderValidation().errors.length > 0) {
+    renderShuffleError(t('validation.fixFirst'));
+    return false;
+  }
+  return true;
+}
+
+async function handleShuffle() {
+  if (!checkValidation()) return;
+
+  if (elements.commitRevealToggle.checked && !appState.pendingCommit) {
+    await commitSeed();
+    return;
+  }
+
+  const commit = appState.pendingCommit;
+  // 입력은 잠겨 있지만 공유 링크 열기 등으로 설정이나 기록이 바뀌었으면 그 커밋으로 공개하지 않음
+  if (commit && canonicalJson(getCommitSettings()) !== commit.settings) {
+    appState.pendingCommit = null;
+    renderCommitPanel();
+    renderShuffleError(t('commit.settingsChanged'));
+    return;
+  }
+  const seed = commit ? commit.seed : getSeed();
+  // 결석자는 빼고, 결석한 조장 자리는 부조장 승격 또는 추첨 후 대신 뽑기로 채움
+  const { settings, standInTeams } = applyAttendance(getSettings());
+  const { leaders, subLeaders, participants, teamCount } = settings;
+  // 이름으로 지정한 역할 담당자는 그 조에 고정
+  const constraints = getDrawConstraints(settings);
+  const avoidRepeats = elements.avoidRepeatToggle.checked;
+  const pastDraws = appState.history.slice(0, getRepeatSessions());
+  const pastPairs = countPastPairs(pastDraws);
+  const options = {
+    pairs: settings.pairConstraints,
+    tags: settings.participantTags,
+    capacities: settings.teamCapacities,
+    pastPairs
+  };
+
+  // 대신할 조장과 역할 추첨도 같은 난수 흐름을 이어 써서 시드만으로 재현되게 함
+  const random = createRng(seed);
+  let teams;
+  let repeatPairs;
+  try {
+    if (avoidRepeats) {
+      ({ teams, repeatPairs } = assignTeamsAvoidingRepeats(leaders, subLeaders, participants, constraints, teamCount, random, options));
+    } else {
+      teams = assignTeams(leaders, subLeaders, participants, constraints, teamCount, random, options);
+      repeatPairs = countRepeatPairs(teams, teamCount, pastPairs);
+    }
+    teams = assignStandIns(teams, teamCount, standInTeams, random);
+    teams = assignRoles(teams, teamCount, settings.roles, random);
+  } catch (e) {
+    renderShuffleError(localize(e));
+    return;
+  }
+  renderShuffleError(null);
+
+  appState.lastDraw = {
+    teams,
+    teamCount: appState.teamCount,
+    seed,
+    commitHash: commit ? commit.hash : null,
+    commitSettings: commit ? commit.settings : null,
+    createdAt: new Date().toISOString(),
+    avoidRepeats,
+    repeatSessions: pastDraws.length,
+    repeatPairs
+  };
+  appState.pendingCommit = null;
+  addHistoryEntry(appState.lastDraw);
+
+  renderCommitPanel();
+  renderExportMessage(null);
+  renderDraw(appState.lastDraw);
+  announce(t('results.announce', { count: appState.lastDraw.teamCount, seed }));
+}
+
+/**
+ * 라운드 일정 만들기 - 조 편성과 같은 설정(출석, 역할 포함)으로 라운드마다 새 조 편성
+ */
+function handleSchedule() {
+  if (!checkValidation()) return;
+
+  const roundCount = clampRoundCount(elements.roundCountInput.value);
+  elements.roundCountInput.value = roundCount;
+  const seed = getSeed();
+  const { settings, standInTeams } = applyAttendance(getSettings());
+  const { teamCount } = settings;
+
+  const random = createRng(seed);
+  let rounds;
+  try {
+    rounds = buildRotationSchedule(settings.leaders, settings.subLeaders, settings.participants, getDrawConstraints(settings), teamCount, roundCount, random, {
+      pairs: settings.pairConstraints,
+      tags: settings.participantTags,
+      capacities: settings.teamCapacities
+    }).map(({ teams }) => assignRoles(assignStandIns(teams, teamCount, standInTeams, random), teamCount, settings.roles, random));
+  } catch (e) {
+    renderShuffleError(localize(e));
+    return;
+  }
+  renderShuffleError(null);
+
+  appState.schedule = { rounds, teamCount, seed, createdAt: new Date().toISOString() };
+  appState.scheduleView = 0;
+  renderScheduleMessage(null);
+  renderSchedule();
+  announce(t('schedule.announce', { count: rounds.length }));
+  elements.scheduleSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+function handleTest() {
+  if (!checkValidation()) return;
+
+  const iterations = 2000;
+  // 대신할 조장은 조 배정 뒤에 정하므로 배정 확률에는 영향 없음
+  const { settings } = applyAttendance(getSettings());
+
+  let result;
+  try {
+    result = runDistributionTest(settings.leaders, settings.subLeaders, settings.participants, getDrawConstraints(settings), settings.teamCount, iterations, Math.random, {
+      pairs: settings.pairConstraints,
+      tags: settings.participantTags,
+      capacities: settings.teamCapacities
+    });
+  } catch (e) {
+    renderShuffleError(localize(e));
+    return;
+  }
+  renderShuffleError(null);
+
+  appState.lastTest = { result, teamCount: appState.teamCount };
+
+  renderLastTest();
+  openDialog(elements.testModal, elements.closeModalBtn);
+}
+
+function renderLastTest() {
+  const { result, teamCount } = appState.lastTest;
+  const alpha = parseFloat(elements.alphaSelect.value);
+  const uniformity = checkUniformity(result.stats, result.iterations, result.expectedByName, alpha, result.classOf);
+  elements.testTitle.textContent = t('test.title', { count: result.iterations });
+  renderTestResults(result, uniformity, teamCount);
+}
+
+function closeModal() {
+  closeDialog(elements.testModal);
+}
+
+// 대화상자 안에서 Tab으로 오갈 수 있는 요소
+const FOCUSABLE_SELECTOR = 'button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * 대화상자 열기 - 지금 포커스를 기억해 두고 대화상자 안으로 옮김
+ */
+function openDialog(dialog, focusTarget) {
+  appState.dialogReturnFocus = document.activeElement;
+  dialog.style.display = 'flex';
+  focusTarget.focus();
+}
+
+/**
+ * 대화상자 닫기 - 열기 전에 포커스가 있던 요소(대화상자를 연 버튼 등)로 돌려줌
+ */
+function closeDialog(dialog) {
+  if (dialog.style.display === 'none') return;
+  dialog.style.display = 'none';
+  const returnFocus = appState.dialogReturnFocus;
+  appState.dialogReturnFocus = null;
+  if (returnFocus && returnFocus.isConnected) returnFocus.focus();
+}
+
+function getOpenDialog() {
+  return [elements.presentation, elements.testModal, elements.importModal].find(dialog => dialog.style.display !== 'none');
+}
+
+/**
+ * 열린 대화상자 안에서만 Tab 포커스가 돌도록 처음/끝에서 반대쪽 끝으로 넘김
+ */
+function trapFocus(e, dialog) {
+  const focusable = [...dialog.querySelectorAll(FOCUSABLE_SELECTOR)];
+  if (focusable.length === 0) return;
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const active = document.activeElement;
+
+  if (!dialog.contains(active)) {
+    e.preventDefault();
+    first.focus();
+  } else if (e.shiftKey && (active === first || active === dialog)) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && active === last) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+/**
+ * 화면 언어 변경 - 선택을 저장하고 고정 문구와 그려진 화면을 모두 다시 그림
+ * 입력값과 추첨 결과는 그대로 두고 표시만 바꿈
+ */
+function setLocale(locale) {
+  appState.locale = resolveLocale([locale]);
+  saveToStorage(STORAGE_KEYS.locale, appState.locale);
+  applyTranslations();
+
+  renderPresets();
+  renderLeaders();
+  renderParticipants();
+  renderConstraints();
+  renderPairConstraints();
+  renderRoles();
+  renderImportPreview();
+  renderCommitPanel();
+  renderHistory();
+  if (appState.lastDraw) renderDraw(appState.lastDraw);
+  if (appState.schedule) renderSchedule();
+  if (appState.lastTest) renderLastTest();
+  if (appState.presentation) renderPresentationStatus();
+}
+
+// ============================================
+// 7. 초기화
+// ============================================
 
 function initEventListeners() {
+  elements.presetSelect.addEventListener('change', updatePresetButtons);
+  elements.loadPresetBtn.addEventListener('click', loadPreset);
+  elements.savePresetBtn.addEventListener('click', savePreset);
+  elements.renamePresetBtn.addEventListener('click', renameSelectedPreset);
+  elements.deletePresetBtn.addEventListener('click', deleteSelectedPreset);
+  elements.teamCountInput.addEventListener('change', (e) => setTeamCount(e.target.value));
   elements.addParticipantBtn.addEventListener('click', addParticipant);
+  elements.openImportBtn.addEventListener('click', openImportModal);
+  elements.closeImportBtn.addEventListener('click', closeImportModal);
+  elements.importText.addEventListener('input', (e) => updateImportPreview(e.target.value));
+  elements.importFile.addEventListener('change', handleImportFile);
+  elements.importReplace.addEventListener('change', () => updateImportPreview(elements.importText.value));
+  elements.confirmImportBtn.addEventListener('click', confirmImport);
+  elements.downloadExportBtn.addEventListener('click', downloadExport);
+  elements.copyExportBtn.addEventListener('click', copyExport);
+  elements.shareLinkBtn.addEventListener('click', copyShareLink);
+  elements.avoidRepeatToggle.addEventListener('change', saveAvoidRepeats);
+  elements.repeatSessionsInput.addEventListener('change', () => {
+    elements.repeatSessionsInput.value = getRepeatSessions();
+    saveAvoidRepeats();
+  });
+  elements.clearHistoryBtn.addEventListener('click', clearHistory);
+  elements.teamsGrid.addEventListener('dragstart', handleDragStart);
+  elements.teamsGrid.addEventListener('dragover', handleDragOver);
+  elements.teamsGrid.addEventListener('drop', handleDrop);
+  elements.teamsGrid.addEventListener('dragend', handleDragEnd);
+  elements.teamsGrid.addEventListener('keydown', handleMemberKey);
+  // 입력 칸의 change 이벤트가 상태를 갱신한 뒤 검증 결과 갱신
+  elements.editorFieldset.addEventListener('change', renderValidation);
+  elements.editCopyBtn.addEventListener('click', editSharedCopy);
+  window.addEventListener('hashchange', handleHashChange);
   elements.addConstraintBtn.addEventListener('click', addConstraint);
+  elements.addPairConstraintBtn.addEventListener('click', addPairConstraint);
+  elements.addRoleBtn.addEventListener('click', addRole);
+  elements.resetAttendanceBtn.addEventListener('click', resetAttendance);
+  elements.leaderFallbackSelect.addEventListener('change', (e) => setLeaderFallback(e.target.value));
   elements.shuffleBtn.addEventListener('click', handleShuffle);
+  elements.scheduleBtn.addEventListener('click', handleSchedule);
+  elements.downloadScheduleBtn.addEventListener('click', downloadSchedule);
+  elements.copyScheduleBtn.addEventListener('click', copySchedule);
+  elements.commitRevealToggle.addEventListener('change', toggleCommitReveal);
   elements.testBtn.addEventListener('click', handleTest);
   elements.closeModalBtn.addEventListener('click', closeModal);
+  elements.alphaSelect.addEventListener('change', renderLastTest);
+  elements.languageSelect.addEventListener('change', (e) => setLocale(e.target.value));
 
   elements.testModal.addEventListener('click', (e) => {
     if (e.target === elements.testModal) {
@@ -603,20 +2433,84 @@ function initEventListeners() {
     }
   });
 
+  elements.importModal.addEventListener('click', (e) => {
+    if (e.target === elements.importModal) {
+      closeImportModal();
+    }
+  });
+
+  elements.presentBtn.addEventListener('click', openPresentation);
+  elements.presentNextBtn.addEventListener('click', presentNext);
+  elements.presentAutoBtn.addEventListener('click', togglePresentationAutoPlay);
+  elements.presentSkipBtn.addEventListener('click', skipPresentation);
+  elements.closePresentationBtn.addEventListener('click', closePresentation);
+  // 전체 화면을 브라우저에서 빠져나오면 발표 모드도 닫음
+  document.addEventListener('fullscreenchange', () => {
+    if (!document.fullscreenElement) closePresentation();
+  });
+
   document.addEventListener('keydown', (e) => {
+    const dialog = getOpenDialog();
+    if (e.key === 'Tab' && dialog) {
+      trapFocus(e, dialog);
+      return;
+    }
+    if (appState.presentation) {
+      handlePresentationKey(e);
+      return;
+    }
     if (e.key === 'Escape') {
       closeModal();
+      closeImportModal();
     }
   });
 }
 
+/**
+ * 오프라인에서도 열리도록 서비스 워커(sw.js) 등록
+ * 지원하지 않는 브라우저나 파일로 직접 연 경우(file://)에는 건너뜀
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+  navigator.serviceWorker.register('sw.js').catch(e => {
+    console.warn(t('pwa.registerFailed', { message: e.message }));
+  });
+}
+
 function initApp() {
-  renderParticipants();
-  renderConstraints();
+  // 저장된 선택이 없으면 브라우저 언어, 지원하지 않는 언어면 기본(한국어)
+  appState.locale = resolveLocale([loadFromStorage(STORAGE_KEYS.locale, null), ...(navigator.languages || []), navigator.language]);
+  renderLanguageOptions();
+  applyTranslations();
+
+  const presets = loadFromStorage(STORAGE_KEYS.presets, {});
+  appState.presets = createNameMap(presets && typeof presets === 'object' && !Array.isArray(presets) ? presets : {});
+  renderPresets(BUILT_IN_PRESET_NAME);
+
+  const history = loadFromStorage(STORAGE_KEYS.history, []);
+  appState.history = Array.isArray(history)
+    ? history.filter(entry => entry && entry.teams && Number.isInteger(entry.teamCount))
+    : [];
+  const avoidRepeats = loadFromStorage(STORAGE_KEYS.avoidRepeats, null) || {};
+  elements.avoidRepeatToggle.checked = avoidRepeats.enabled === true;
+  elements.repeatSessionsInput.value = avoidRepeats.sessions || DEFAULT_REPEAT_SESSIONS;
+  renderHistory();
+
+  // 공유 링크가 아니면 저장된 상태, 저장된 상태도 없으면 normalizeSettings가 기본 명단으로 채움
+  if (!loadSharedLink()) {
+    applySettings(loadFromStorage(STORAGE_KEYS.state, null));
+  }
   initEventListeners();
-  console.log('\n앱이 초기화되었습니다.');
-  console.log(`총 참가자: ${appState.participants.length}명`);
-  console.log(`제약조건: ${appState.constraints.length}개`);
+  registerServiceWorker();
+  console.log(`\n${t('console.ready')}`);
+  console.log(t('console.participants', { count: appState.participants.length }));
+  console.log(t('console.constraints', { count: appState.constraints.length }));
+  console.log(t('console.pairConstraints', { count: appState.pairConstraints.length }));
 }
 
-document.addEventListener('DOMContentLoaded', initApp);
+// 모듈 스크립트는 문서를 파싱한 뒤 실행되므로 보통 바로 초기화, 아직 로딩 중이면 기다림
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initApp);
+} else {
+  initApp();
+}
@@ -0,0 +1,105 @@
+// ============================================
+// 랜덤 조 편성기 - 서비스 워커
+// 앱 화면 파일(app shell)을 캐시에 담아 네트워크가 끊겨도 열리게 함
+// ============================================
+
+// ============================================
+// 1. 설정
+// ============================================
+// 배포할 때마다 올림 - sw.js 내용이 바뀌어야 브라우저가 새 워커를 설치하고 캐시를 새로 채움
+const CACHE_VERSION = 1;
+const CACHE_PREFIX = 'team-randomizer-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+// index.html이 요청하는 주소와 글자 하나까지 같아야 함 (?v= 포함)
+const APP_SHELL = [
+  './',
+  './index.html',
+  './style.css?v=4',
+  './script.js?v=5',
+  './core.js',
+  './i18n.js',
+  './manifest.webmanifest',
+  './icons/icon.svg',
+  './icons/icon-192.png',
+  './icons/icon-512.png',
+  './icons/icon-maskable-512.png'
+];
+// 느린 현장 Wi-Fi에서 이 시간 안에 응답이 없으면 캐시로 먼저 보여줌
+const NETWORK_TIMEOUT_MS = 3000;
+
+// ============================================
+// 2. 설치와 활성화
+// ============================================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// 이전 버전 캐시를 지우고 열려 있는 화면도 바로 새 워커가 맡음
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// ============================================
+// 3. 요청 처리 (네트워크 우선, 실패하면 캐시)
+// ============================================
+
+/**
+ * 네트워크 응답을 제한 시간(NETWORK_TIMEOUT_MS)까지만 기다림
+ * 반환: 응답, 시간이 지나거나 요청이 실패하면 null
+ */
+function withTimeout(promise) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => resolve(null), NETWORK_TIMEOUT_MS);
+    promise
+      .then(response => resolve(response))
+      .catch(() => resolve(null))
+      .finally(() => clearTimeout(timer));
+  });
+}
+
+/**
+ * 네트워크에서 받은 최신 파일을 캐시에 갱신하고, 오프라인이거나 느리면 캐시된 파일로 응답
+ * - event: fetch 이벤트 (캐시 갱신은 waitUntil로 끝까지 진행)
+ */
+async function networkFirst(event) {
+  const { request } = event;
+  const network = fetch(request);
+  // 캐시로 먼저 응답해도 네트워크 응답은 끝까지 받아 캐시에 넣음
+  event.waitUntil(
+    network
+      .then(response => {
+        if (!response.ok) return null;
+        // 화면이 본문을 읽기 전에 복사해 둠
+        const copy = response.clone();
+        return caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+      })
+      .catch(() => null)
+  );
+
+  const response = await withTimeout(network);
+  if (response) return response;
+
+  const cached = await caches.match(request) ||
+    (request.mode === 'navigate' ? await caches.match('./index.html') : undefined);
+  // 캐시에도 없으면 네트워크 결과(오류 포함)를 그대로 돌려줌
+  return cached || network;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(networkFirst(event));
+});
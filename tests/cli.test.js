@@ -0,0 +1,92 @@
+// 명령줄 도구 테스트 - cli.js를 자식 프로세스로 실행해 종료 코드와 출력 확인
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createRng, assignTeams } from '../core.js';
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+const ROSTER = 'A\nB\nC\nD\nE\nF\n';
+
+/**
+ * cli.js 실행
+ * - args: 명령줄 인자
+ * - input: 표준 입력으로 보낼 텍스트
+ * - lang: 메시지 언어를 정하는 LC_ALL 값 (기본은 한국어)
+ * 반환: { status, stdout, stderr }
+ */
+function runCli(args, input = '', lang = 'ko_KR.UTF-8') {
+  const env = { ...process.env, LC_ALL: lang };
+  const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { input, env, encoding: 'utf8', timeout: 30000 });
+  return { status, stdout, stderr };
+}
+
+/** JSON 출력의 조별 이름 */
+function jsonTeamNames(stdout) {
+  return JSON.parse(stdout).teams.map(({ members }) => members.map(member => member.name));
+}
+
+test('표준 입력의 명단을 시드로 편성하면 core.js의 assignTeams와 같은 결과여야 한다', () => {
+  const { status, stdout, stderr } = runCli(['-', '--teams', '2', '--seed', 'cli-seed', '--format', 'json'], ROSTER);
+  assert.deepStrictEqual(status, 0, stderr);
+
+  const expected = assignTeams({}, {}, ['A', 'B', 'C', 'D', 'E', 'F'], [], 2, createRng('cli-seed'));
+  assert.deepStrictEqual(jsonTeamNames(stdout), [1, 2].map(i => expected[i].map(member => member.name)));
+  assert.deepStrictEqual(JSON.parse(stdout).seed, 'cli-seed');
+});
+
+test('명단 파일을 읽어 편성하고, 조장을 주지 않으면 조장 없음 경고를 내지 않아야 한다', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'team-randomizer-'));
+  try {
+    const file = join(dir, 'roster.txt');
+    writeFileSync(file, ROSTER);
+    const plain = runCli([file, '--teams', '3', '--seed', 'file']);
+    assert.deepStrictEqual(plain.status, 0, plain.stderr);
+    assert.deepStrictEqual(plain.stderr, '');
+    assert.deepStrictEqual(plain.stdout, runCli(['-', '--teams', '3', '--seed', 'file'], ROSTER).stdout, '파일과 표준 입력의 결과가 다름');
+
+    // 조장을 일부만 주면 빈 조는 알려 줌
+    const partial = runCli([file, '--teams', '2', '--leader', '1=A']);
+    assert.deepStrictEqual(partial.status, 0, partial.stderr);
+    assert.ok(partial.stderr.includes('2조에 조장이 없습니다'), partial.stderr);
+    assert.ok(!partial.stderr.includes('1조에 조장이 없습니다'), partial.stderr);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('잘못된 조 개수, 모르는 옵션, 없는 파일이면 종료 코드 1로 끝나야 한다', () => {
+  ['1', '11', '2.5', 'abc'].forEach(teams => {
+    const result = runCli(['-', '--teams', teams], ROSTER);
+    assert.deepStrictEqual(result.status, 1, `--teams ${teams}`);
+    assert.ok(result.stderr.includes('조 개수'), result.stderr);
+  });
+
+  const unknown = runCli(['-', '--no-such-option'], ROSTER);
+  assert.deepStrictEqual(unknown.status, 1);
+  assert.ok(unknown.stderr.includes('--no-such-option'), unknown.stderr);
+
+  const missing = runCli([join(tmpdir(), 'team-randomizer-missing.txt')]);
+  assert.deepStrictEqual(missing.status, 1);
+  assert.ok(missing.stderr.includes('team-randomizer-missing.txt'), missing.stderr);
+  assert.deepStrictEqual(missing.stdout, '');
+});
+
+test('메시지와 내보내기 머리글은 LC_ALL/LANG 환경 변수의 언어를 따라야 한다', () => {
+  const error = runCli(['-', '--teams', '11'], ROSTER, 'en_US.UTF-8');
+  assert.deepStrictEqual(error.status, 1);
+  assert.deepStrictEqual(error.stderr, 'Error: The number of teams must be a whole number from 2 to 10: 11\n');
+
+  const outside = runCli(['-', '--teams', '2', '--leader', '3=A'], ROSTER, 'en_US.UTF-8');
+  assert.ok(outside.stderr.includes("'A' is Team 3 leader, but there are only 2 teams"), outside.stderr);
+
+  const csv = runCli(['-', '--teams', '2', '--seed', 'lang', '--format', 'csv'], ROSTER, 'en_US.UTF-8');
+  assert.ok(csv.stdout.includes(',Member,'), csv.stdout);
+  assert.ok(runCli(['--help'], '', 'en_US.UTF-8').stdout.startsWith('Usage: team-randomizer'));
+
+  // 지원하지 않는 언어는 기본 언어(한국어)
+  assert.ok(runCli(['--help'], '', 'fr_FR.UTF-8').stdout.startsWith('사용법: team-randomizer'));
+});
@@ -0,0 +1,1125 @@
+// core.js 단위 테스트 - npm test (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_TEAM_COUNT,
+  MIN_TEAM_COUNT,
+  MAX_TEAM_COUNT,
+  createRng,
+  generateSeed,
+  sha256Hex,
+  canonicalJson,
+  createCommit,
+  shuffle,
+  clampTeamCount,
+  parseTags,
+  getTags,
+  countTeamTags,
+  assignTeams,
+  pairKey,
+  countPastPairs,
+  countRepeatPairs,
+  assignTeamsAvoidingRepeats,
+  buildRotationSchedule,
+  summarizePairMeetings,
+  applyAttendance,
+  assignStandIns,
+  getDrawConstraints,
+  assignRoles,
+  moveMember,
+  findDrawViolations,
+  buildRevealOrder,
+  computeExpectedProbabilities,
+  runDistributionTest,
+  chiSquarePValue,
+  chiSquareTest,
+  checkUniformity,
+  normalizeSettings,
+  renamePreset,
+  splitCsvLine,
+  parseRosterText,
+  buildImportPreview,
+  mergeImport,
+  validateSettings,
+  formatDrawCsv,
+  formatDrawJson,
+  formatDrawMarkdown,
+  formatScheduleCsv,
+  formatScheduleMarkdown,
+  toBase64Url,
+  encodeShareData,
+  decodeShareData
+} from '../core.js';
+
+test('shuffle은 배열을 반환해야 한다', () => {
+  const arr = [1, 2, 3, 4, 5];
+  const result = shuffle(arr);
+  assert.ok(Array.isArray(result), 'shuffle 결과가 배열이 아님');
+});
+
+test('shuffle은 원본 배열을 변경하지 않아야 한다', () => {
+  const arr = [1, 2, 3, 4, 5];
+  const original = [...arr];
+  shuffle(arr);
+  assert.deepStrictEqual(arr, original, '원본 배열이 변경됨');
+});
+
+test('assignTeams는 조장을 각 팀에 포함해야 한다', () => {
+  const leaders = { 1: '김조장', 2: '이조장', 3: '박조장' };
+  const subLeaders = { 1: '김부', 2: '이부', 3: '박부' };
+  const result = assignTeams(leaders, subLeaders, [], [], 3);
+
+  assert.ok(result[1][0].name === '김조장', '1조 조장 누락');
+  assert.ok(result[2][0].name === '이조장', '2조 조장 누락');
+  assert.ok(result[3][0].name === '박조장', '3조 조장 누락');
+});
+
+test('assignTeams는 제약조건 멤버를 지정된 조에 배치해야 한다', () => {
+  const leaders = { 1: '김조장', 2: '이조장', 3: '박조장' };
+  const subLeaders = { 1: '김부', 2: '이부', 3: '박부' };
+  const constraints = [{ name: '홍길동', team: 2 }];
+  const result = assignTeams(leaders, subLeaders, ['홍길동', 'A', 'B'], constraints, 3);
+
+  const team2Names = result[2].map(m => m.name);
+  assert.ok(team2Names.includes('홍길동'), '제약조건 멤버가 2조에 없음');
+});
+
+test('assignTeams는 모든 참가자를 배분해야 한다', () => {
+  const leaders = { 1: 'L1', 2: 'L2', 3: 'L3' };
+  const subLeaders = { 1: 'S1', 2: 'S2', 3: 'S3' };
+  const participants = ['A', 'B', 'C', 'D', 'E', 'F'];
+  const result = assignTeams(leaders, subLeaders, participants, [], 3);
+
+  const total = result[1].length + result[2].length + result[3].length;
+  // 조장3 + 부조장3 + 참가자6 = 12
+  assert.deepStrictEqual(total, 12, '참가자 수가 맞지 않음');
+});
+
+test('제약조건이 있어도 조별 인원이 균등해야 한다', () => {
+  const leaders = { 1: 'L1', 2: 'L2', 3: 'L3' };
+  const subLeaders = { 1: 'S1', 2: 'S2', 3: 'S3' };
+  // 12명의 일반 참가자
+  const participants = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L'];
+  // 2조에 2명 고정
+  const constraints = [
+    { name: 'A', team: 2 },
+    { name: 'B', team: 2 }
+  ];
+  const result = assignTeams(leaders, subLeaders, participants, constraints, 3);
+
+  // 총 18명 = 조장3 + 부조장3 + 참가자12
+  // 균등 배분 시 각 조 6명
+  const team1Count = result[1].length;
+  const team2Count = result[2].length;
+  const team3Count = result[3].length;
+
+  // 각 조의 인원 차이가 1명 이하여야 함
+  const maxDiff = Math.max(team1Count, team2Count, team3Count) - Math.min(team1Count, team2Count, team3Count);
+  assert.ok(maxDiff <= 1, `조별 인원 차이가 1명 초과: 1조(${team1Count}), 2조(${team2Count}), 3조(${team3Count})`);
+});
+
+test('한 조에 많은 제약조건이 있어도 균등 배분되어야 한다', () => {
+  const leaders = { 1: 'L1', 2: 'L2', 3: 'L3' };
+  const subLeaders = { 1: 'S1', 2: 'S2', 3: 'S3' };
+  // 9명의 일반 참가자
+  const participants = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I'];
+  // 1조에 3명 고정 (극단적 케이스)
+  const constraints = [
+    { name: 'A', team: 1 },
+    { name: 'B', team: 1 },
+    { name: 'C', team: 1 }
+  ];
+  const result = assignTeams(leaders, subLeaders, participants, constraints, 3);
+
+  // 1조: 조장 + 부조장 + 제약3 = 5명
+  // 나머지 6명은 2조, 3조에 배분되어야 함
+  // 2조: 조장 + 부조장 + 3명 = 5명
+  // 3조: 조장 + 부조장 + 3명 = 5명
+  const team1Count = result[1].length;
+  const team2Count = result[2].length;
+  const team3Count = result[3].length;
+
+  assert.deepStrictEqual(team1Count, 5, `1조 인원 오류: ${team1Count}`);
+  assert.ok(team2Count >= 4 && team2Count <= 5, `2조 인원 오류: ${team2Count}`);
+  assert.ok(team3Count >= 4 && team3Count <= 5, `3조 인원 오류: ${team3Count}`);
+});
+
+test('여러 조에 제약조건이 분산되어도 균등 배분되어야 한다', () => {
+  const leaders = { 1: 'L1', 2: 'L2', 3: 'L3' };
+  const subLeaders = { 1: 'S1', 2: 'S2', 3: 'S3' };
+  const participants = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I'];
+  // 각 조에 1명씩 고정
+  const constraints = [
+    { name: 'A', team: 1 },
+    { name: 'B', team: 2 },
+    { name: 'C', team: 3 }
+  ];
+  const result = assignTeams(leaders, subLeaders, participants, constraints, 3);
+
+  const team1Count = result[1].length;
+  const team2Count = result[2].length;
+  const team3Count = result[3].length;
+
+  // 총 15명 / 3조 = 각 5명
+  assert.deepStrictEqual(team1Count, 5, `1조 인원 오류: ${team1Count}`);
+  assert.deepStrictEqual(team2Count, 5, `2조 인원 오류: ${team2Count}`);
+  assert.deepStrictEqual(team3Count, 5, `3조 인원 오류: ${team3Count}`);
+});
+
+test('clampTeamCount는 조 개수를 2~10 범위로 보정해야 한다', () => {
+  assert.deepStrictEqual(clampTeamCount('5'), 5, '정상 값 보정 오류');
+  assert.deepStrictEqual(clampTeamCount(1), MIN_TEAM_COUNT, '최솟값 보정 오류');
+  assert.deepStrictEqual(clampTeamCount(42), MAX_TEAM_COUNT, '최댓값 보정 오류');
+  assert.deepStrictEqual(clampTeamCount(''), DEFAULT_TEAM_COUNT, '빈 값 보정 오류');
+});
+
+test('assignTeams는 지정한 조 개수만큼 팀을 만들어야 한다', () => {
+  const leaders = { 1: 'L1', 2: 'L2', 3: 'L3', 4: 'L4', 5: 'L5' };
+  const participants = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J'];
+  const result = assignTeams(leaders, {}, participants, [], 5);
+
+  assert.deepStrictEqual(Object.keys(result).length, 5, '조 개수 오류');
+  for (let i = 1; i <= 5; i++) {
+    assert.deepStrictEqual(result[i].length, 3, `${i}조 인원 오류`);
+  }
+});
+
+test('존재하지 않는 조를 가리키는 제약조건 멤버도 배분되어야 한다', () => {
+  const constraints = [{ name: 'A', team: 4 }];
+  const result = assignTeams({}, {}, ['A', 'B', 'C'], constraints, 3);
+
+  const allNames = [1, 2, 3].flatMap(i => result[i].map(m => m.name));
+  assert.ok(allNames.includes('A'), '제약조건 멤버가 누락됨');
+  assert.deepStrictEqual(allNames.length, 3, '참가자 수가 맞지 않음');
+});
+
+test('createRng는 같은 시드에 같은 수열을 반환해야 한다', () => {
+  const a = createRng('abc');
+  const b = createRng('abc');
+  const seqA = [a(), a(), a()];
+  const seqB = [b(), b(), b()];
+  assert.deepStrictEqual(seqA, seqB, '같은 시드의 수열이 다름');
+  assert.ok(seqA.every(n => n >= 0 && n < 1), '난수가 [0, 1) 범위를 벗어남');
+});
+
+test('createRng는 다른 시드에 다른 수열을 반환해야 한다', () => {
+  const a = createRng('seed-1');
+  const b = createRng('seed-2');
+  assert.ok(a() !== b(), '다른 시드의 첫 난수가 같음');
+});
+
+test('같은 시드와 입력이면 assignTeams 결과가 같아야 한다', () => {
+  const leaders = { 1: 'L1', 2: 'L2', 3: 'L3' };
+  const participants = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+  const first = assignTeams(leaders, {}, participants, [], 3, createRng('replay'));
+  const second = assignTeams(leaders, {}, participants, [], 3, createRng('replay'));
+  assert.deepStrictEqual(first, second, '같은 시드의 조 편성 결과가 다름');
+});
+
+test('generateSeed는 14자리 base36 문자열을 반환해야 한다', () => {
+  const seed = generateSeed();
+  assert.ok(/^[0-9a-z]{14}$/.test(seed), `시드 형식 오류: ${seed}`);
+});
+
+test('커밋은 시드와 설정을 함께 해시해 설정이 바뀌면 달라져야 한다', async () => {
+  const settings = { teamCount: 2, participants: ['A', 'B'], leaders: { 1: 'A' } };
+  // 키 순서가 달라도 같은 JSON
+  assert.deepStrictEqual(canonicalJson({ leaders: { 1: 'A' }, participants: ['A', 'B'], teamCount: 2 }), canonicalJson(settings));
+  assert.deepStrictEqual(canonicalJson(settings), '{"leaders":{"1":"A"},"participants":["A","B"],"teamCount":2}');
+
+  const commit = await createCommit('s1', settings);
+  assert.deepStrictEqual(commit.seed, 's1');
+  assert.deepStrictEqual(commit.settings, canonicalJson(settings));
+  assert.deepStrictEqual(commit.hash, await sha256Hex(`s1\n${commit.settings}`));
+  assert.notDeepStrictEqual(commit.hash, await sha256Hex('s1'), '시드만 해시함');
+
+  const changed = await createCommit('s1', { ...settings, participants: ['A', 'C'] });
+  assert.notDeepStrictEqual(changed.hash, commit.hash, '명단이 바뀌어도 해시가 같음');
+});
+
+test('고정 인원이 같으면 기대 확률은 조마다 같아야 한다', () => {
+  const expected = computeExpectedProbabilities({ 1: 2, 2: 2, 3: 2 }, 6, 3);
+  assert.deepStrictEqual(expected, { 1: 1 / 3, 2: 1 / 3, 3: 1 / 3 }, '기대 확률 오류');
+});
+
+test('고정 인원이 많은 조는 기대 확률이 낮아야 한다', () => {
+  // 1조: 고정 5명 → 나머지 6명은 2조, 3조에만 배분됨
+  const full = computeExpectedProbabilities({ 1: 5, 2: 2, 3: 2 }, 6, 3);
+  assert.deepStrictEqual(full, { 1: 0, 2: 0.5, 3: 0.5 }, '가득 찬 조 기대 확률 오류');
+
+  // 1조: 고정 3명 → 2조, 3조를 3명까지 채운 뒤 남은 4명을 세 조가 나눔
+  const partial = computeExpectedProbabilities({ 1: 3, 2: 2, 3: 2 }, 6, 3);
+  const sum = partial[1] + partial[2] + partial[3];
+  assert.ok(Math.abs(sum - 1) < 1e-9, `기대 확률 합이 1이 아님: ${sum}`);
+  assert.ok(Math.abs(partial[1] - (4 / 3) / 6) < 1e-9, `1조 기대 확률 오류: ${partial[1]}`);
+});
+
+test('runDistributionTest는 실제 assignTeams 결과를 집계해야 한다', () => {
+  const leaders = { 1: 'L1', 2: 'L2', 3: 'L3' };
+  const participants = ['L1', 'A', 'B', 'C', 'D', 'E', 'F'];
+  const constraints = [{ name: 'A', team: 1 }, { name: 'B', team: 1 }];
+  const result = runDistributionTest(leaders, {}, participants, constraints, 3, 200, createRng('dist'));
+
+  assert.ok(!('L1' in result.stats), '조장이 집계에 포함됨');
+  assert.ok(!('A' in result.stats), '제약조건 멤버가 집계에 포함됨');
+  assert.deepStrictEqual(result.freeCount, 4, '자유 배정 인원 수 오류');
+  // 1조는 이미 3명이므로 자유 배정 인원은 2조, 3조로만 가야 함
+  assert.deepStrictEqual(result.teamTotals[1], 0, '가득 찬 1조에 인원이 배정됨');
+  assert.deepStrictEqual(result.teamTotals[2] + result.teamTotals[3], 4 * 200, '총 배정 횟수 오류');
+  assert.deepStrictEqual(result.expectedByName.C, { 1: 0, 2: 0.5, 3: 0.5 }, '기대 확률 오류');
+});
+
+test('chiSquarePValue는 알려진 임계값에서 0.05를 반환해야 한다', () => {
+  const cases = [[3.841, 1], [5.991, 2], [18.307, 10], [43.773, 30]];
+  cases.forEach(([statistic, df]) => {
+    const p = chiSquarePValue(statistic, df);
+    assert.ok(Math.abs(p - 0.05) < 0.0005, `χ²=${statistic}, df=${df}: p=${p}`);
+  });
+  assert.deepStrictEqual(chiSquarePValue(0, 2), 1, 'χ²=0의 p-value 오류');
+});
+
+test('chiSquareTest는 기대 횟수 0인 칸을 자유도에서 제외해야 한다', () => {
+  const result = chiSquareTest([0, 110, 90], [0, 100, 100]);
+  assert.deepStrictEqual(result.statistic, 2, '카이제곱 통계량 오류');
+  assert.deepStrictEqual(result.df, 1, '자유도 오류');
+
+  const impossible = chiSquareTest([1, 99, 100], [0, 100, 100]);
+  assert.deepStrictEqual(impossible.pValue, 0, '불가능한 칸에 배정됐는데 p-value가 0이 아님');
+});
+
+test('checkUniformity는 치우친 분포를 실패로 판정해야 한다', () => {
+  const expected = { A: { 1: 0, 2: 0.5, 3: 0.5 }, B: { 1: 0, 2: 0.5, 3: 0.5 } };
+  const fair = checkUniformity({ A: { 1: 0, 2: 1010, 3: 990 }, B: { 1: 0, 2: 990, 3: 1010 } }, 2000, expected, 0.05);
+  assert.ok(fair.isUniform, '균등한 분포가 실패로 판정됨');
+  assert.deepStrictEqual(fair.overall.df, 1, '전체 자유도 오류');
+
+  const biased = checkUniformity({ A: { 1: 0, 2: 1200, 3: 800 }, B: { 1: 0, 2: 800, 3: 1200 } }, 2000, expected, 0.05);
+  assert.ok(!biased.isUniform, '치우친 분포가 통과로 판정됨');
+  assert.deepStrictEqual(biased.failedCount, 2, '개인별 실패 수 오류');
+});
+
+test('runDistributionTest는 같은 조에 배정된 쌍을 집계해야 한다', () => {
+  const result = runDistributionTest({}, {}, ['A', 'B', 'C', 'D'], [], 2, 100, createRng('pairs'));
+
+  // 2명씩 2조 → 각자 나머지 3명 중 정확히 1명과 같은 조
+  ['A', 'B', 'C', 'D'].forEach(name => {
+    const together = Object.values(result.pairCounts[name]).reduce((sum, count) => sum + count, 0);
+    assert.deepStrictEqual(together, 100, `${name}의 동반 배정 횟수 오류`);
+  });
+  assert.deepStrictEqual(result.pairCounts.A.B, result.pairCounts.B.A, '동반 행렬이 대칭이 아님');
+  assert.ok(Math.abs(result.expectedPair - 1 / 3) < 1e-9, `쌍 기대 확률 오류: ${result.expectedPair}`);
+});
+
+test('같은 조 쌍 제약조건은 항상 같은 조에 배정되어야 한다', () => {
+  const participants = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I'];
+  const pairs = [{ a: 'A', b: 'B', type: 'together' }];
+  for (let n = 0; n < 30; n++) {
+    const result = assignTeams({}, {}, participants, [], 3, createRng(`together-${n}`), { pairs });
+    const teamOf = {};
+    [1, 2, 3].forEach(i => result[i].forEach(m => { teamOf[m.name] = i; }));
+    assert.deepStrictEqual(teamOf.A, teamOf.B, `A와 B가 다른 조에 배정됨 (시드 together-${n})`);
+    const sizes = [1, 2, 3].map(i => result[i].length);
+    assert.ok(Math.max(...sizes) - Math.min(...sizes) <= 1, `조별 인원 차이가 1명 초과: ${sizes}`);
+  }
+});
+
+test('다른 조 쌍 제약조건은 항상 다른 조에 배정되어야 한다', () => {
+  const leaders = { 1: 'L1', 2: 'L2', 3: 'L3' };
+  const participants = ['A', 'B', 'C', 'D', 'E', 'F'];
+  const pairs = [
+    { a: 'A', b: 'B', type: 'apart' },
+    { a: 'A', b: 'L1', type: 'apart' },
+    { a: 'C', b: 'D', type: 'apart' }
+  ];
+  for (let n = 0; n < 30; n++) {
+    const result = assignTeams(leaders, {}, participants, [], 3, createRng(`apart-${n}`), { pairs });
+    const teamOf = {};
+    [1, 2, 3].forEach(i => result[i].forEach(m => { teamOf[m.name] = i; }));
+    assert.ok(teamOf.A !== teamOf.B, `A와 B가 같은 조에 배정됨 (시드 apart-${n})`);
+    assert.ok(teamOf.A !== 1, `A가 L1과 같은 조에 배정됨 (시드 apart-${n})`);
+    assert.ok(teamOf.C !== teamOf.D, `C와 D가 같은 조에 배정됨 (시드 apart-${n})`);
+    [1, 2, 3].forEach(i => assert.deepStrictEqual(result[i].length, 3, `${i}조 인원 오류`));
+  }
+});
+
+test('같은 조 묶음 때문에 인원을 고르게 나눌 수 없으면 Error를 던져야 한다', () => {
+  // A-B-C-D가 한 조로 묶이면 6명 3개 조는 4/1/1이 될 수밖에 없음
+  const pairs = [{ a: 'A', b: 'B', type: 'together' }, { a: 'B', b: 'C', type: 'together' }, { a: 'C', b: 'D', type: 'together' }];
+  assert.throws(
+    () => assignTeams({}, {}, ['A', 'B', 'C', 'D', 'E', 'F'], [], 3, createRng('chain'), { pairs }),
+    (e) => e.code === 'error.unevenTogether' && e.params.spread === 3
+  );
+  // 2개 조면 4/2로 차이 2명도 불가, 8명 2개 조면 4/4로 가능
+  assert.throws(() => assignTeams({}, {}, ['A', 'B', 'C', 'D', 'E', 'F'], [], 2, createRng('chain'), { pairs }), /조별 인원이 2명 차이/);
+  const result = assignTeams({}, {}, ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'], [], 2, createRng('chain'), { pairs });
+  assert.deepStrictEqual([result[1].length, result[2].length], [4, 4]);
+});
+
+test('다른 조 제약 때문에 인원을 고르게 나눌 수 없으면 같은 조가 아닌 다른 조 제약 탓으로 알려야 한다', () => {
+  // X, Y, Z가 모두 L1과 다른 조면 2개 조는 L1+W / L2+X+Y+Z로 2/4가 될 수밖에 없음
+  const leaders = { 1: 'L1', 2: 'L2' };
+  const apartFromL1 = ['X', 'Y', 'Z'].map(name => ({ a: name, b: 'L1', type: 'apart' }));
+  assert.throws(
+    () => assignTeams(leaders, {}, ['X', 'Y', 'Z', 'W'], [], 2, createRng('apart-only'), { pairs: apartFromL1 }),
+    (e) => e.code === 'error.unevenApart' && e.params.spread === 2
+  );
+
+  // 같은 조 묶음도 있지만 다른 조 제약을 빼면 고르게 나뉘는 경우도 다른 조 제약 탓
+  const withTogether = [...apartFromL1, { a: 'Y', b: 'Z', type: 'together' }];
+  assert.throws(
+    () => assignTeams(leaders, {}, ['X', 'Y', 'Z', 'W'], [], 2, createRng('apart-only'), { pairs: withTogether }),
+    (e) => e.code === 'error.unevenApart'
+  );
+});
+
+test('조장과 같은 조 쌍 제약조건이면 그 조장의 조에 배정되어야 한다', () => {
+  const leaders = { 1: 'L1', 2: 'L2', 3: 'L3' };
+  const pairs = [{ a: 'L2', b: 'A', type: 'together' }];
+  const result = assignTeams(leaders, {}, ['A', 'B', 'C'], [], 3, createRng('anchor'), { pairs });
+  assert.ok(result[2].some(m => m.name === 'A'), 'A가 2조에 없음');
+});
+
+test('만족할 수 없는 쌍 제약조건은 Error를 던져야 한다', () => {
+  const expectError = (fn, message) => {
+    let thrown = false;
+    try {
+      fn();
+    } catch (e) {
+      thrown = true;
+    }
+    assert.ok(thrown, message);
+  };
+  const leaders = { 1: 'L1', 2: 'L2' };
+
+  expectError(() => assignTeams(leaders, {}, ['A'], [], 2, Math.random, {
+    pairs: [{ a: 'L1', b: 'A', type: 'together' }, { a: 'L2', b: 'A', type: 'together' }]
+  }), '서로 다른 조에 고정된 멤버와 묶였는데 Error가 없음');
+
+  expectError(() => assignTeams({}, {}, ['A', 'B'], [], 2, Math.random, {
+    pairs: [{ a: 'A', b: 'B', type: 'together' }, { a: 'A', b: 'B', type: 'apart' }]
+  }), '같은 조/다른 조 충돌인데 Error가 없음');
+
+  expectError(() => assignTeams({}, {}, ['A', 'B', 'C'], [], 2, Math.random, {
+    pairs: [{ a: 'A', b: 'B', type: 'apart' }, { a: 'B', b: 'C', type: 'apart' }, { a: 'A', b: 'C', type: 'apart' }]
+  }), '2개 조에 서로 떨어져야 하는 3명인데 Error가 없음');
+});
+
+test('고정 멤버와 같은 조로 묶인 참가자도 다른 조 제약조건을 검사해야 한다', () => {
+  // 묶여서 조가 정해진 참가자는 빈자리 배치를 거치지 않으므로 따로 검사하지 않으면 조용히 같은 조가 됨
+  const leaders = { 1: 'L1', 2: 'L2' };
+  const isPinnedError = (team) => (e) => e.code === 'error.apartButPinned' && e.params.team === team;
+
+  assert.throws(() => assignTeams(leaders, { 2: 'S2' }, ['A', 'B'], [], 2, createRng('anchor-apart'), {
+    pairs: [{ a: 'L2', b: 'A', type: 'together' }, { a: 'A', b: 'S2', type: 'apart' }]
+  }), isPinnedError(2), '조장과 묶여 2조로 가는 참가자가 2조 부조장과 떨어져야 하는데 Error가 없음');
+
+  assert.throws(() => assignTeams(leaders, {}, ['A', 'B', 'C'], [{ name: 'C', team: 1 }], 2, createRng('anchor-apart'), {
+    pairs: [{ a: 'L1', b: 'A', type: 'together' }, { a: 'C', b: 'A', type: 'apart' }]
+  }), isPinnedError(1), '조장과 묶인 참가자가 같은 조 고정 멤버와 떨어져야 하는데 Error가 없음');
+
+  assert.throws(() => assignTeams(leaders, {}, ['A', 'B', 'C', 'D'], [], 2, createRng('anchor-apart'), {
+    pairs: [{ a: 'L1', b: 'A', type: 'together' }, { a: 'L1', b: 'B', type: 'together' }, { a: 'C', b: 'A', type: 'together' }, { a: 'L1', b: 'D', type: 'together' }, { a: 'B', b: 'D', type: 'apart' }]
+  }), (e) => e.code === 'error.apartButTogether', '같은 조장과 묶인 두 사람이 떨어져야 하는데 Error가 없음');
+
+  // 서로 다른 조에 묶이면 문제 없음
+  const result = assignTeams(leaders, {}, ['A', 'B', 'C', 'D'], [], 2, createRng('anchor-apart'), {
+    pairs: [{ a: 'L1', b: 'A', type: 'together' }, { a: 'L2', b: 'B', type: 'together' }, { a: 'A', b: 'B', type: 'apart' }]
+  });
+  assert.ok(result[1].some(m => m.name === 'A') && result[2].some(m => m.name === 'B'));
+});
+
+test('runDistributionTest는 쌍 제약조건 대상을 집계에서 제외해야 한다', () => {
+  const pairs = [{ a: 'A', b: 'B', type: 'apart' }];
+  const result = runDistributionTest({}, {}, ['A', 'B', 'C', 'D', 'E', 'F'], [], 2, 100, createRng('pair-dist'), { pairs });
+  assert.ok(!('A' in result.stats) && !('B' in result.stats), '쌍 제약조건 대상이 집계에 포함됨');
+  assert.deepStrictEqual(result.excludedCount, 2, '제외 인원 수 오류');
+  assert.deepStrictEqual(result.expectedSource, 'observed', '기대 확률 출처 오류');
+});
+
+test('parseTags는 쉼표로 나누고 공백과 중복을 제거해야 한다', () => {
+  assert.deepStrictEqual(parseTags(' 9기, 여 ,,9기 '), ['9기', '여'], '태그 파싱 오류');
+  assert.deepStrictEqual(parseTags(''), [], '빈 태그 파싱 오류');
+});
+
+test('객체 기본 속성과 같은 이름도 태그 없는 평범한 참가자로 다뤄야 한다', () => {
+  const names = ['constructor', 'toString', 'hasOwnProperty', 'valueOf', '__proto__'];
+  // 저장된 JSON에서 읽은 것처럼 '__proto__'도 자기 키
+  const tags = JSON.parse('{"valueOf":["9기"],"__proto__":["__proto__"]}');
+  assert.deepStrictEqual(getTags(tags, 'constructor'), []);
+  assert.deepStrictEqual(getTags(tags, 'valueOf'), ['9기']);
+  assert.deepStrictEqual(getTags(tags, '__proto__'), ['__proto__']);
+
+  const teams = assignTeams({}, {}, names, [], 2, createRng('proto'), { tags });
+  assert.deepStrictEqual([...teams[1], ...teams[2]].map(member => member.name).sort(), [...names].sort());
+  const counts = countTeamTags(teams, 2, tags);
+  assert.deepStrictEqual(counts[1]['9기'] + counts[2]['9기'], 1);
+  assert.deepStrictEqual(counts[1].__proto__ + counts[2].__proto__, 1, "'__proto__' 태그 집계 오류");
+  assert.ok(formatDrawCsv({ teams, teamCount: 2 }, tags).includes('constructor,조원,'), 'CSV 태그 열 오류');
+
+  const result = runDistributionTest({ 1: 'constructor' }, {}, ['toString', 'valueOf', '__proto__', 'a', 'b'], [], 2, 20, createRng('proto'), { tags });
+  assert.deepStrictEqual(Object.keys(result.stats).sort(), ['__proto__', 'a', 'b', 'toString', 'valueOf']);
+  assert.deepStrictEqual(Object.values(result.stats.__proto__).reduce((sum, count) => sum + count, 0), 20, "'__proto__' 배정 횟수 누락");
+  assert.deepStrictEqual(result.pairCounts.__proto__.a, result.pairCounts.a.__proto__, '동반 배정 집계 누락');
+  assert.deepStrictEqual(result.classOf.__proto__, '__proto__');
+  const uniformity = checkUniformity(result.stats, 20, result.expectedByName);
+  assert.deepStrictEqual(Object.keys(uniformity.persons).sort(), ['__proto__', 'a', 'b', 'toString', 'valueOf']);
+});
+
+test("'__proto__' 같은 이름의 태그와 프리셋도 저장, 가져오기, 이름 변경에서 남아야 한다", () => {
+  const defaults = { teamCount: 2, participants: [], participantTags: {}, leaders: {}, subLeaders: {}, constraints: [], pairConstraints: [] };
+  const saved = JSON.parse('{"participants":["__proto__","constructor"],"participantTags":{"__proto__":["9기"],"constructor":["여"]}}');
+  const normalized = normalizeSettings(saved, defaults);
+  assert.deepStrictEqual({ ...normalized.participantTags }, JSON.parse('{"__proto__":["9기"],"constructor":["여"]}'));
+  // 화면에서 태그를 고치는 것처럼 대입해도 프로토타입이 아닌 키가 바뀜
+  normalized.participantTags.__proto__ = ['10기'];
+  assert.deepStrictEqual(getTags(normalized.participantTags, '__proto__'), ['10기']);
+  assert.ok(JSON.stringify(normalized).includes('"__proto__":["10기"]'), '저장할 JSON에서 빠짐');
+
+  const preview = buildImportPreview(parseRosterText('name,tags\n__proto__,9기\ntoString,여'), []);
+  const merged = mergeImport(defaults, preview);
+  assert.deepStrictEqual(merged.participants, ['__proto__', 'toString']);
+  assert.deepStrictEqual(getTags(merged.participantTags, '__proto__'), ['9기'], '가져온 태그 누락');
+  assert.deepStrictEqual(getTags(mergeImport(defaults, preview, true).participantTags, '__proto__'), ['9기'], '교체 모드 태그 누락');
+
+  const renamed = renamePreset({ A: 1, B: 2 }, 'A', '__proto__', '기본');
+  assert.deepStrictEqual(Object.keys(renamed), ['__proto__', 'B'], '프리셋 이름 변경 오류');
+  assert.deepStrictEqual(renamed.__proto__, 1);
+});
+
+test('assignTeams는 같은 태그를 조마다 고르게 분산해야 한다', () => {
+  const participants = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I'];
+  const tags = { A: ['9기'], B: ['9기'], C: ['9기'], D: ['여'], E: ['여'], F: ['여'] };
+  for (let n = 0; n < 30; n++) {
+    const result = assignTeams({}, {}, participants, [], 3, createRng(`tags-${n}`), { tags });
+    const counts = countTeamTags(result, 3, tags);
+    [1, 2, 3].forEach(i => {
+      assert.deepStrictEqual(counts[i]['9기'], 1, `${i}조 9기 인원 오류 (시드 tags-${n})`);
+      assert.deepStrictEqual(counts[i]['여'], 1, `${i}조 여 인원 오류 (시드 tags-${n})`);
+      assert.deepStrictEqual(result[i].length, 3, `${i}조 인원 오류`);
+    });
+  }
+});
+
+test('countTeamTags는 태그가 없는 조에도 0을 표시해야 한다', () => {
+  const teams = { 1: [{ name: 'A', role: 'member' }], 2: [{ name: 'B', role: 'member' }] };
+  const counts = countTeamTags(teams, 2, { A: ['9기'] });
+  // 태그별 집계는 프로토타입 없는 객체이므로 일반 객체로 옮겨 비교
+  assert.deepStrictEqual([1, 2].map(i => ({ ...counts[i] })), [{ '9기': 1 }, { '9기': 0 }], '태그 집계 오류');
+});
+
+test('runDistributionTest는 태그 그룹별로 기대 확률을 추정해야 한다', () => {
+  const tags = { A: ['9기'], B: ['9기'] };
+  const result = runDistributionTest({ 1: 'L1' }, {}, ['A', 'B', 'C', 'D', 'E'], [], 2, 200, createRng('tag-dist'), { tags });
+  assert.deepStrictEqual(result.expectedSource, 'observed', '기대 확률 출처 오류');
+  assert.deepStrictEqual(result.classOf.A, '9기', '태그 그룹 오류');
+  // 9기 두 명은 항상 서로 다른 조
+  assert.deepStrictEqual(result.pairCounts.A.B, 0, '9기 두 명이 같은 조에 배정됨');
+  const sumA = result.expectedByName.A[1] + result.expectedByName.A[2];
+  assert.ok(Math.abs(sumA - 1) < 1e-9, `기대 확률 합이 1이 아님: ${sumA}`);
+});
+
+test('normalizeSettings는 누락되거나 잘못된 값을 기본값으로 채워야 한다', () => {
+  const defaults = {
+    teamCount: 3,
+    participants: ['A'],
+    participantTags: {},
+    leaders: { 1: 'L1' },
+    subLeaders: {},
+    constraints: [{ name: 'A', team: 1 }],
+    pairConstraints: []
+  };
+  const result = normalizeSettings({
+    teamCount: '99',
+    participants: ['B', 3, 'C'],
+    leaders: 'oops',
+    constraints: [{ name: 'B', team: 2 }, { name: 'C' }],
+    pairConstraints: [{ a: 'B', b: 'C', type: 'apart' }, { a: 'B', b: 'C', type: 'maybe' }]
+  }, defaults);
+
+  assert.deepStrictEqual(result.teamCount, MAX_TEAM_COUNT, '조 개수 보정 오류');
+  assert.deepStrictEqual(result.participants, ['B', 'C'], '참가자 보정 오류');
+  assert.deepStrictEqual(result.leaders, { 1: 'L1' }, '조장 기본값 오류');
+  assert.deepStrictEqual(result.constraints, [{ name: 'B', team: 2 }], '제약조건 보정 오류');
+  assert.deepStrictEqual(result.pairConstraints, [{ a: 'B', b: 'C', type: 'apart' }], '쌍 제약조건 보정 오류');
+  assert.deepStrictEqual(result.absent, [], '결석자 기본값 오류');
+  assert.deepStrictEqual(normalizeSettings({ leaderFallback: 'maybe' }, defaults).leaderFallback, 'subLeader', '조장 결석 대처 기본값 오류');
+
+  result.constraints.push({ name: 'X', team: 1 });
+  assert.deepStrictEqual(normalizeSettings(null, defaults).constraints, [{ name: 'A', team: 1 }], '기본값이 복사되지 않고 공유됨');
+});
+
+test('renamePreset은 순서를 유지하고 중복 이름을 거부해야 한다', () => {
+  const presets = { A: 1, B: 2, C: 3 };
+  assert.deepStrictEqual(Object.keys(renamePreset(presets, 'B', ' D ', '기본')), ['A', 'D', 'C'], '이름 변경 오류');
+
+  let message = '';
+  try {
+    renamePreset(presets, 'B', 'C', '기본');
+  } catch (e) {
+    message = e.message;
+  }
+  assert.ok(message.includes('이미 있습니다'), '중복 이름이 허용됨');
+});
+
+test('parseRosterText는 줄바꿈, 쉼표, 탭으로 이름을 나눠야 한다', () => {
+  const entries = parseRosterText('홍길동, 김철수\n이영희\t박민수\n');
+  assert.deepStrictEqual(entries.map(e => e.name), ['홍길동', '김철수', '이영희', '박민수'], '이름 분리 오류');
+  assert.ok(entries.every(e => e.role === 'member' && e.team === null), '기본 역할/조 오류');
+});
+
+test('parseRosterText는 머리글이 있는 CSV의 역할, 조, 태그를 읽어야 한다', () => {
+  const csv = [
+    '이름,역할,조,태그',
+    '김가령,조장,1,',
+    '"홍, 길동",,2,9기;여',
+    '최희준,부조장,,',
+    '이영희,감독,1,'
+  ].join('\n');
+  const entries = parseRosterText(csv);
+
+  assert.deepStrictEqual(entries[0].role, 'leader', '조장 역할 오류');
+  assert.deepStrictEqual(entries[0].team, 1, '조 번호 오류');
+  assert.deepStrictEqual(entries[1].name, '홍, 길동', '따옴표 칸 처리 오류');
+  assert.deepStrictEqual(entries[1].tags, ['9기', '여'], '태그 칸 처리 오류');
+  assert.ok(entries[2].error !== null, '조 없는 부조장이 허용됨');
+  assert.ok(entries[3].error !== null, '알 수 없는 역할이 허용됨');
+});
+
+test('buildImportPreview는 빈 이름과 중복을 표시해야 한다', () => {
+  const entries = parseRosterText('A\n\nB\nA\nC');
+  const preview = buildImportPreview(entries, ['C']);
+  assert.deepStrictEqual(preview.map(row => row.status), ['ok', 'blank', 'ok', 'duplicate', 'duplicate'], '미리보기 상태 오류');
+});
+
+test('mergeImport는 역할과 조에 맞춰 설정에 합쳐야 한다', () => {
+  const settings = {
+    teamCount: 3,
+    participants: ['X'],
+    participantTags: {},
+    leaders: { 1: 'L1' },
+    subLeaders: {},
+    constraints: [],
+    pairConstraints: []
+  };
+  const preview = buildImportPreview(parseRosterText('name,role,team,tags\nL4,leader,4,\nA,,2,9기\nB,,,\n,,,'), ['X']);
+  const merged = mergeImport(settings, preview);
+
+  assert.deepStrictEqual(merged.leaders, { 1: 'L1', 4: 'L4' }, '조장 병합 오류');
+  assert.deepStrictEqual(merged.participants, ['X', 'A', 'B'], '참가자 병합 오류');
+  assert.deepStrictEqual(merged.constraints, [{ name: 'A', team: 2 }], '조 고정 병합 오류');
+  assert.deepStrictEqual({ ...merged.participantTags }, { A: ['9기'] }, '태그 병합 오류');
+  assert.deepStrictEqual(merged.teamCount, 4, '조 개수 확장 오류');
+  assert.deepStrictEqual(settings.participants, ['X'], '원본 설정이 변경됨');
+
+  const replaced = mergeImport(settings, preview, true);
+  assert.deepStrictEqual(replaced.participants, ['A', 'B'], '교체 모드 오류');
+});
+
+test('validateSettings는 중복, 빈 이름, 조장과 제약조건 충돌을 오류로 보고해야 한다', () => {
+  const { errors, warnings } = validateSettings({
+    teamCount: 2,
+    participants: ['A', 'B', 'A', ' '],
+    leaders: { 1: 'L1', 2: 'L1' },
+    subLeaders: { 1: 'S1' },
+    constraints: [{ name: '', team: 1 }, { name: 'S1', team: 2 }, { name: 'B', team: 1 }, { name: 'B', team: 2 }, { name: 'C', team: 5 }],
+    pairConstraints: [{ a: 'A', b: 'A', type: 'apart' }, { a: 'A', b: 'Z', type: 'together' }]
+  });
+
+  const errorTargets = errors.map(({ target }) => `${target.type}:${target.index !== undefined ? target.index : target.team}`);
+  assert.deepStrictEqual(errorTargets, [
+    'participant:2', 'participant:3', 'leader:2',
+    'constraint:0', 'constraint:1', 'constraint:3', 'constraint:4',
+    'pairConstraint:0'
+  ], '오류 목록이 다름');
+  assert.ok(warnings.some(({ target }) => target.type === 'pairConstraint' && target.index === 1), '명단에 없는 쌍 제약 경고 누락');
+});
+
+test('validateSettings는 고르지 않은 인원을 경고로만 보고해야 한다', () => {
+  const { errors, warnings } = validateSettings({
+    teamCount: 2,
+    participants: ['A', 'B', 'C'],
+    leaders: { 1: 'L1', 2: 'L2' },
+    subLeaders: {},
+    constraints: [{ name: 'L1', team: 1 }],
+    pairConstraints: []
+  });
+  assert.deepStrictEqual(errors, [], '정상 입력이 오류로 보고됨');
+  assert.deepStrictEqual(warnings.map(({ target }) => target.type), ['constraint', 'teamCount'], '경고 목록이 다름');
+});
+
+test('validateSettings는 조 개수보다 뒤 조의 조장/부조장을 오류로 보고해야 한다', () => {
+  const { errors } = validateSettings({
+    teamCount: 2,
+    participants: ['A', 'B', 'C', 'D'],
+    leaders: { 1: 'L1', 2: 'L2', 3: 'L3', 4: ' ' },
+    subLeaders: { 3: 'S3' },
+    constraints: [],
+    pairConstraints: []
+  });
+  assert.deepStrictEqual(errors.map(({ target, code, params }) => [target.type, code, params.name, params.slot]), [
+    ['teamCount', 'issue.slotOutsideTeams', 'L3', { type: 'leader', team: 3 }],
+    ['teamCount', 'issue.slotOutsideTeams', 'S3', { type: 'subLeader', team: 3 }]
+  ]);
+});
+
+test('countRepeatPairs는 지난 추첨과 겹친 조원 쌍을 세야 한다', () => {
+  const past = [
+    { teams: { 1: [{ name: 'L1', role: 'leader' }, { name: 'S1', role: 'subLeader' }, { name: 'A', role: 'member' }], 2: [{ name: 'B', role: 'member' }, { name: 'C', role: 'member' }] }, teamCount: 2 },
+    { teams: { 1: [{ name: 'L1', role: 'leader' }, { name: 'S1', role: 'subLeader' }, { name: 'B', role: 'member' }], 2: [{ name: 'A', role: 'member' }, { name: 'C', role: 'member' }] }, teamCount: 2 }
+  ];
+  const pastPairs = countPastPairs(past);
+  assert.deepStrictEqual(pastPairs[pairKey('L1', 'S1')], undefined, '고정 인원끼리의 쌍이 포함됨');
+  assert.deepStrictEqual(pastPairs[pairKey('C', 'A')], 1, '쌍 횟수 오류');
+
+  const teams = { 1: [{ name: 'L1', role: 'leader' }, { name: 'S1', role: 'subLeader' }, { name: 'A', role: 'member' }], 2: [{ name: 'B', role: 'member' }, { name: 'C', role: 'member' }] };
+  // L1-A, S1-A, B-C 가 각각 1번씩 겹침
+  assert.deepStrictEqual(countRepeatPairs(teams, 2, pastPairs), 3, '겹친 쌍 수 오류');
+});
+
+test('assignTeamsAvoidingRepeats는 겹치지 않는 편성이 있으면 찾아야 한다', () => {
+  const participants = ['A', 'B', 'C', 'D'];
+  const pastPairs = countPastPairs([{
+    teams: { 1: [{ name: 'A', role: 'member' }, { name: 'B', role: 'member' }], 2: [{ name: 'C', role: 'member' }, { name: 'D', role: 'member' }] },
+    teamCount: 2
+  }]);
+
+  const first = assignTeamsAvoidingRepeats({}, {}, participants, [], 2, createRng('repeat'), { pastPairs });
+  const second = assignTeamsAvoidingRepeats({}, {}, participants, [], 2, createRng('repeat'), { pastPairs });
+  assert.deepStrictEqual(first.repeatPairs, 0, '겹치지 않는 편성을 찾지 못함');
+  assert.deepStrictEqual(first.teams, second.teams, '같은 시드에서 결과가 다름');
+});
+
+test('moveMember는 멤버를 옮기거나 맞바꾸고 원본은 유지해야 한다', () => {
+  const teams = {
+    1: [{ name: 'A', role: 'member' }, { name: 'B', role: 'member' }],
+    2: [{ name: 'C', role: 'member' }]
+  };
+  const moved = moveMember(teams, { team: 1, index: 0 }, { team: 2 });
+  assert.deepStrictEqual(moved[1].map(m => m.name), ['B'], '옮긴 뒤 1조 오류');
+  assert.deepStrictEqual(moved[2].map(m => m.name), ['C', 'A'], '옮긴 뒤 2조 오류');
+
+  const swapped = moveMember(teams, { team: 1, index: 1 }, { team: 2, index: 0 });
+  assert.deepStrictEqual(swapped[1].map(m => m.name), ['A', 'C'], '맞바꾼 뒤 1조 오류');
+  assert.deepStrictEqual(swapped[2].map(m => m.name), ['B'], '맞바꾼 뒤 2조 오류');
+  assert.deepStrictEqual(teams[1].length, 2, '원본이 변경됨');
+});
+
+test('findDrawViolations는 조장, 고정, 쌍 제약조건 위반을 찾아야 한다', () => {
+  const teams = {
+    1: [{ name: 'L2', role: 'leader' }, { name: 'A', role: 'member' }, { name: 'B', role: 'member' }],
+    2: [{ name: 'C', role: 'constrained' }, { name: 'D', role: 'member' }]
+  };
+  const violations = findDrawViolations(teams, 2, {
+    leaders: { 2: 'L2' },
+    subLeaders: {},
+    constraints: [{ name: 'C', team: 2 }, { name: 'D', team: 1 }],
+    pairConstraints: [{ a: 'A', b: 'B', type: 'apart' }, { a: 'C', b: 'D', type: 'together' }]
+  });
+  assert.deepStrictEqual(violations.map(v => v.team), [1, 2, 1], '위반 목록 오류');
+});
+
+test('buildRevealOrder는 고정 인원 먼저, 조원은 조마다 번갈아 모두 한 번씩 공개해야 한다', () => {
+  const teams = {
+    1: [{ name: 'L1', role: 'leader' }, { name: 'A', role: 'member' }, { name: 'B', role: 'member' }],
+    2: [{ name: 'C', role: 'member' }, { name: 'P', role: 'constrained' }]
+  };
+  const order = buildRevealOrder(teams, 2);
+  assert.deepStrictEqual(order.map(step => step.member.name), ['L1', 'P', 'A', 'C', 'B'], '공개 순서 오류');
+  assert.deepStrictEqual(order.map(step => `${step.team}:${step.index}`), ['1:0', '2:1', '1:1', '2:0', '1:2'], '공개 자리 오류');
+});
+
+test('CSV 내보내기는 수식으로 시작하는 칸에 작은따옴표를 붙이고 다시 읽을 때 떼어야 한다', () => {
+  const names = ['=HYPERLINK("http://x","클릭")', '+1', '-2+3', '@SUM(A1)', '김-철수', "'=원래 따옴표"];
+  const draw = {
+    teams: { 1: names.slice(0, 3).map(name => ({ name, role: 'member' })), 2: names.slice(3).map(name => ({ name, role: 'member' })) },
+    teamCount: 2,
+    seed: 'csv',
+    commitHash: null,
+    createdAt: '2024-01-01T00:00:00.000Z'
+  };
+  const lines = formatDrawCsv(draw, { '+1': ['=9기'] }).split('\r\n');
+  assert.deepStrictEqual(lines[1], '1,"\'=HYPERLINK(""http://x"",""클릭"")",조원,');
+  assert.deepStrictEqual(lines[2], "1,'+1,조원,'=9기");
+  assert.deepStrictEqual(lines[3], "1,'-2+3,조원,");
+  assert.deepStrictEqual(lines[4], "2,'@SUM(A1),조원,");
+  assert.deepStrictEqual(lines[5], '2,김-철수,조원,', '중간의 - 는 그대로');
+  assert.deepStrictEqual(lines[6], "2,''=원래 따옴표,조원,");
+
+  // 다시 읽으면 원래 이름과 태그
+  assert.deepStrictEqual(lines.slice(1, -1).map(line => splitCsvLine(line)[1]), names);
+  assert.deepStrictEqual(splitCsvLine(lines[2])[3], '=9기');
+  assert.deepStrictEqual(parseRosterText(formatDrawCsv(draw)).map(entry => entry.name), names);
+});
+
+test('결과 내보내기는 역할, 시드를 포함하고 특수문자를 이스케이프해야 한다', () => {
+  const draw = {
+    teams: {
+      1: [{ name: 'L1', role: 'leader' }, { name: 'A, "에이"', role: 'member' }],
+      2: [{ name: 'B|C', role: 'constrained' }]
+    },
+    teamCount: 2,
+    seed: 'abc',
+    commitHash: null,
+    createdAt: '2024-01-01T00:00:00.000Z'
+  };
+  const tags = { L1: ['9기', '여'] };
+
+  const csv = formatDrawCsv(draw, tags).split('\r\n');
+  assert.deepStrictEqual(csv[0], '조,이름,역할,태그', 'CSV 머리글 오류');
+  assert.deepStrictEqual(csv[1], '1,L1,조장,9기;여', 'CSV 행 오류');
+  assert.deepStrictEqual(splitCsvLine(csv[2]), ['1', 'A, "에이"', '조원', ''], 'CSV 이스케이프 오류');
+
+  const json = JSON.parse(formatDrawJson(draw, tags));
+  assert.deepStrictEqual(json.seed, 'abc', 'JSON 시드 누락');
+  assert.deepStrictEqual(json.teams[0].members[0], { name: 'L1', role: 'leader', tags: ['9기', '여'] }, 'JSON 멤버 오류');
+
+  const markdown = formatDrawMarkdown(draw);
+  assert.ok(markdown.includes('| 2조 | 1명 | B\\|C (고정) |'), 'Markdown 이스케이프 오류');
+  assert.ok(markdown.includes('시드: `abc`'), 'Markdown 시드 누락');
+
+  const adjusted = { ...draw, manuallyAdjusted: true };
+  assert.deepStrictEqual(JSON.parse(formatDrawJson(adjusted)).manuallyAdjusted, true, 'JSON 수동 조정 표시 누락');
+  assert.ok(formatDrawMarkdown(adjusted).includes('수동 조정됨'), 'Markdown 수동 조정 표시 누락');
+  const adjustedCsv = formatDrawCsv(adjusted, tags).split('\r\n');
+  assert.deepStrictEqual(adjustedCsv[0], '조,이름,역할,태그,수동 조정', 'CSV 수동 조정 머리글 누락');
+  assert.deepStrictEqual(adjustedCsv[1], '1,L1,조장,9기;여,추첨 후 수동 조정됨', 'CSV 수동 조정 표시 누락');
+  assert.deepStrictEqual(formatDrawCsv(adjusted, tags, 'en').split('\r\n')[1], '1,L1,Leader,9기;여,adjusted by hand after the draw');
+  // 수동 조정 열이 있어도 다시 가져올 수 있음
+  assert.deepStrictEqual(parseRosterText(formatDrawCsv(adjusted)).map(entry => entry.name), ['L1', 'A, "에이"', 'B|C']);
+});
+
+test('공유 링크 직렬화는 설정과 결과를 그대로 복원해야 한다', () => {
+  const settings = {
+    teamCount: 2,
+    participants: ['하은지(9기)', 'A&B=#?'],
+    participantTags: {},
+    leaders: { 1: '김"조장"' },
+    subLeaders: {},
+    constraints: [],
+    pairConstraints: []
+  };
+  const draw = {
+    teams: {
+      1: [{ name: '김"조장"', role: 'leader' }, { name: 'A&B=#?', role: 'member' }],
+      2: [{ name: '하은지(9기)', role: 'constrained' }]
+    },
+    teamCount: 2,
+    seed: 'seed-1',
+    commitHash: null,
+    createdAt: '2024-01-01T00:00:00.000Z'
+  };
+
+  const encoded = encodeShareData(settings, draw);
+  assert.ok(/^[A-Za-z0-9_-]+$/.test(encoded), 'URL에 쓸 수 없는 문자가 포함됨');
+
+  const decoded = decodeShareData(encoded);
+  assert.deepStrictEqual(decoded.settings, settings, '설정 복원 오류');
+  assert.deepStrictEqual(decoded.draw, draw, '결과 복원 오류');
+  assert.deepStrictEqual(decodeShareData(encodeShareData(settings, null)).draw, null, '결과 없는 링크 복원 오류');
+
+  const adjusted = { ...draw, manuallyAdjusted: true };
+  assert.deepStrictEqual(decodeShareData(encodeShareData(settings, adjusted)).draw, adjusted, '수동 조정 표시 복원 오류');
+
+  const committed = { ...draw, commitHash: 'ab12', commitSettings: canonicalJson(settings) };
+  assert.deepStrictEqual(decodeShareData(encodeShareData(settings, committed)).draw, committed, '커밋한 설정 복원 오류');
+});
+
+test('손상된 공유 링크는 오류를 던져야 한다', () => {
+  let threw = 0;
+  [
+    '%%%',
+    toBase64Url('{"v":99,"s":{}}'),
+    toBase64Url('{"v":1,"s":{},"d":{"teams":[[["A","x"]],[]]}}'),
+    // 상속된 속성 이름은 역할 코드가 아님
+    toBase64Url('{"v":1,"s":{},"d":{"teams":[[["A","constructor"]],[["B","m"]]]}}'),
+    toBase64Url('{"v":1,"s":{},"d":{"teams":[[["A","toString"]],[["B","m"]]]}}')
+  ].forEach(encoded => {
+    try {
+      decodeShareData(encoded);
+    } catch (e) {
+      threw++;
+    }
+  });
+  assert.deepStrictEqual(threw, 5, '잘못된 링크가 허용됨');
+});
+
+test('assignTeams는 조 정원을 넘겨 배치하지 않아야 한다', () => {
+  const participants = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L', 'M', 'N'];
+  for (let n = 0; n < 20; n++) {
+    const result = assignTeams({}, {}, participants, [], 3, createRng(`capacity-${n}`), {
+      capacities: { 1: 4, 2: 4, 3: 6 }
+    });
+    assert.deepStrictEqual([1, 2, 3].map(i => result[i].length), [4, 4, 6], '정원대로 나뉘지 않음');
+  }
+
+  // 정원 없는 조는 남은 인원을 고르게 나눠 받음
+  const partial = assignTeams({}, {}, participants.slice(0, 10), [], 3, createRng('partial'), { capacities: { 1: 2 } });
+  assert.deepStrictEqual([1, 2, 3].map(i => partial[i].length), [2, 4, 4], '일부 정원 배분 오류');
+});
+
+test('정원을 만족할 수 없으면 assignTeams는 Error를 던져야 한다', () => {
+  assert.throws(() => assignTeams({}, {}, ['A', 'B', 'C', 'D', 'E'], [], 2, Math.random, {
+    capacities: { 1: 2, 2: 2 }
+  }), /정원의 합/);
+  assert.throws(() => assignTeams({ 1: 'L1' }, { 1: 'S1' }, ['A'], [{ name: 'A', team: 1 }], 2, Math.random, {
+    capacities: { 1: 2 }
+  }), /1조의 고정 인원/);
+});
+
+test('정원이 다른 조의 기대 확률은 남은 자리에 비례해야 한다', () => {
+  // 고정 인원 없이 14명을 4/4/6으로 → 4/14, 4/14, 6/14
+  const exact = computeExpectedProbabilities({ 1: 0, 2: 0, 3: 0 }, 14, 3, { 1: 4, 2: 4, 3: 6 });
+  assert.deepStrictEqual(exact, { 1: 4 / 14, 2: 4 / 14, 3: 6 / 14 }, '정원 기대 확률 오류');
+
+  // 1조 정원 2, 나머지 제한 없음, 자유 배정 7명 → 1조 2명, 2·3조는 2.5명씩
+  const partial = computeExpectedProbabilities({ 1: 0, 2: 0, 3: 0 }, 7, 3, { 1: 2 });
+  assert.deepStrictEqual(partial, { 1: 2 / 7, 2: 2.5 / 7, 3: 2.5 / 7 }, '일부 정원 기대 확률 오류');
+
+  const result = runDistributionTest({ 1: 'L1' }, {}, ['A', 'B', 'C', 'D', 'E', 'F', 'G'], [], 3, 300, createRng('capacity-test'), {
+    capacities: { 1: 2, 2: 3 }
+  });
+  assert.deepStrictEqual(result.teamTotals[1], 300, '1조는 조장 외 1명만 받아야 함');
+  assert.deepStrictEqual(result.teamTotals[2], 900, '2조는 정원 3명을 채워야 함');
+  assert.deepStrictEqual(result.expectedByName.A, { 1: 1 / 7, 2: 3 / 7, 3: 3 / 7 }, '기대 확률 오류');
+});
+
+test('validateSettings는 잘못되었거나 고정 인원보다 작은 정원을 오류로 표시해야 한다', () => {
+  const settings = {
+    teamCount: 2,
+    participants: ['L1', 'S1', 'A', 'B', 'C'],
+    leaders: { 1: 'L1' },
+    subLeaders: { 1: 'S1' },
+    constraints: [],
+    pairConstraints: [],
+    teamCapacities: { 1: 1, 2: 0 }
+  };
+  const { errors } = validateSettings(settings);
+  assert.deepStrictEqual(errors.map(e => e.target), [{ type: 'capacity', team: 1 }, { type: 'capacity', team: 2 }], '정원 오류 대상 오류');
+
+  const tooMany = validateSettings({ ...settings, teamCapacities: { 1: 2, 2: 2 } });
+  assert.deepStrictEqual(tooMany.errors.map(e => e.target.type), ['teamCount'], '정원 합 초과 오류 누락');
+  // 정원을 정하면 고르지 않은 인원 경고는 생략
+  assert.ok(!tooMany.warnings.some(w => w.target.type === 'teamCount'), '정원이 있는데 인원 차이 경고가 있음');
+});
+
+test('findDrawViolations는 정원을 넘은 조를 찾아야 한다', () => {
+  const teams = {
+    1: [{ name: 'A', role: 'member' }, { name: 'B', role: 'member' }, { name: 'C', role: 'member' }],
+    2: [{ name: 'D', role: 'member' }]
+  };
+  const violations = findDrawViolations(teams, 2, {
+    leaders: {},
+    subLeaders: {},
+    constraints: [],
+    pairConstraints: [],
+    teamCapacities: { 1: 2 }
+  });
+  assert.deepStrictEqual(violations, [{
+    team: 1,
+    code: 'violation.overCapacity',
+    params: { team: 1, count: 3, capacity: 2 },
+    message: '1조 인원(3명)이 정원(2명)을 넘습니다'
+  }]);
+});
+
+test('assignRoles는 무작위 역할을 조장/부조장이 아닌 조원에게 먼저 맡겨야 한다', () => {
+  const teams = {
+    1: [{ name: 'L1', role: 'leader' }, { name: 'S1', role: 'subLeader' }, { name: 'A', role: 'member' }],
+    2: [{ name: 'L2', role: 'leader' }]
+  };
+  const roles = [{ name: '서기', mode: 'random', assignees: {} }, { name: '발표자', mode: 'random', assignees: {} }];
+  const result = assignRoles(teams, 2, roles, createRng('roles'));
+
+  assert.deepStrictEqual(result[1].find(member => member.name === 'A').roles, ['서기'], '조원이 첫 역할을 맡지 않음');
+  assert.deepStrictEqual(result[1].filter(member => member.roles).length, 2, '두 번째 역할은 다른 사람이 맡아야 함');
+  assert.deepStrictEqual(result[2][0].roles, ['서기', '발표자'], '혼자인 조는 모든 역할을 맡아야 함');
+  assert.deepStrictEqual(teams[1][2].roles, undefined, '원본이 변경됨');
+  assert.deepStrictEqual(assignRoles(teams, 2, roles, createRng('roles')), result, '같은 시드에 다른 결과');
+});
+
+test('이름으로 지정한 역할은 그 조에 고정되고 무작위 역할과 겹치지 않아야 한다', () => {
+  const settings = {
+    teamCount: 2,
+    leaders: { 1: 'L1' },
+    subLeaders: {},
+    constraints: [{ name: 'A', team: 2 }],
+    roles: [
+      { name: '서기', mode: 'random', assignees: {} },
+      { name: '발표자', mode: 'named', assignees: { 1: 'B', 2: 'A' } }
+    ]
+  };
+  assert.deepStrictEqual(getDrawConstraints(settings), [{ name: 'A', team: 2 }, { name: 'B', team: 1 }], '지정 담당자 고정 오류');
+
+  for (let n = 0; n < 10; n++) {
+    const random = createRng(`named-${n}`);
+    const teams = assignTeams(settings.leaders, {}, ['L1', 'A', 'B', 'C', 'D'], getDrawConstraints(settings), 2, random);
+    const result = assignRoles(teams, 2, settings.roles, random);
+    const rolesOf = name => Object.values(result).flat().find(member => member.name === name).roles;
+    assert.deepStrictEqual(rolesOf('B'), ['발표자'], '1조 발표자 오류');
+    assert.deepStrictEqual(rolesOf('A'), ['발표자'], '2조 발표자 오류');
+  }
+});
+
+test('validateSettings는 빈 이름, 중복, 다른 조와 겹치는 역할 담당자를 오류로 표시해야 한다', () => {
+  const settings = {
+    teamCount: 2,
+    participants: ['L1', 'A', 'B'],
+    leaders: { 1: 'L1' },
+    subLeaders: {},
+    constraints: [{ name: 'A', team: 1 }],
+    pairConstraints: [],
+    roles: [
+      { name: '서기', mode: 'random', assignees: {} },
+      { name: ' ', mode: 'random', assignees: {} },
+      { name: '서기', mode: 'random', assignees: {} },
+      { name: '발표자', mode: 'named', assignees: { 2: 'A' } }
+    ]
+  };
+  const { errors, warnings } = validateSettings(settings);
+  assert.deepStrictEqual(errors.map(e => e.target), [
+    { type: 'role', index: 1 },
+    { type: 'role', index: 2 },
+    { type: 'role', index: 3 }
+  ], '역할 오류 대상 오류');
+  assert.ok(warnings.some(w => w.target.type === 'role' && w.target.index === 3), '1조 담당자 누락 경고가 없음');
+});
+
+test('맡은 역할은 CSV 열과 공유 링크에 포함되어야 한다', () => {
+  const draw = {
+    teams: {
+      1: [{ name: 'L1', role: 'leader', roles: ['서기'] }, { name: 'A', role: 'member' }],
+      2: [{ name: 'B', role: 'member', roles: ['서기', '발표자'] }]
+    },
+    teamCount: 2,
+    seed: 'abc',
+    commitHash: null,
+    createdAt: '2024-01-01T00:00:00.000Z'
+  };
+  const csv = formatDrawCsv(draw).split('\r\n');
+  assert.deepStrictEqual(csv[0], '조,이름,역할,태그,맡은 역할', 'CSV 머리글 오류');
+  assert.deepStrictEqual(csv[3], '2,B,조원,,서기;발표자', 'CSV 행 오류');
+  assert.ok(formatDrawMarkdown(draw).includes('L1 (조장, 서기)'), 'Markdown 역할 표시 오류');
+
+  const settings = { teamCount: 2, participants: ['L1', 'A', 'B'] };
+  assert.deepStrictEqual(decodeShareData(encodeShareData(settings, draw)).draw, draw, '맡은 역할 복원 오류');
+});
+
+test('applyAttendance는 결석자를 빼고 결석한 조장 자리를 대처 방식대로 채워야 한다', () => {
+  const settings = {
+    teamCount: 3,
+    participants: ['L1', 'S1', 'L2', 'S2', 'A', 'B', 'C'],
+    leaders: { 1: 'L1', 2: 'L2', 3: 'L3' },
+    subLeaders: { 1: 'S1', 2: 'S2' },
+    constraints: [{ name: 'A', team: 2 }],
+    pairConstraints: [{ a: 'A', b: 'B', type: 'apart' }],
+    roles: [{ name: '서기', mode: 'named', assignees: { 1: 'A', 3: 'C' } }],
+    absent: ['L1', 'S2', 'L3', 'A'],
+    leaderFallback: 'subLeader'
+  };
+
+  const { settings: present, standInTeams } = applyAttendance(settings);
+  assert.deepStrictEqual(present.participants, ['S1', 'L2', 'B', 'C'], '명단 오류');
+  assert.deepStrictEqual(present.leaders, { 1: 'S1', 2: 'L2', 3: '' }, '부조장 승격 오류');
+  assert.deepStrictEqual(present.subLeaders, { 1: '', 2: '', 3: '' }, '부조장 오류');
+  assert.deepStrictEqual(present.constraints, [], '결석한 고정 멤버가 남음');
+  assert.deepStrictEqual(present.pairConstraints, [], '결석자의 쌍 제약조건이 남음');
+  assert.deepStrictEqual(present.roles[0].assignees, { 3: 'C' }, '결석한 역할 담당자가 남음');
+  assert.deepStrictEqual(standInTeams, [3], '부조장도 없는 조는 무작위로 대신해야 함');
+  assert.deepStrictEqual(settings.absent.length, 4, '원본이 변경됨');
+
+  assert.deepStrictEqual(applyAttendance({ ...settings, leaderFallback: 'random' }).standInTeams, [1, 3], 'random 대처 오류');
+  assert.deepStrictEqual(applyAttendance({ ...settings, leaderFallback: 'none' }).standInTeams, [], 'none 대처 오류');
+});
+
+test('assignStandIns는 조원 중 한 명을 조장으로 바꿔 맨 앞에 둬야 한다', () => {
+  const teams = {
+    1: [{ name: 'P', role: 'constrained' }, { name: 'A', role: 'member' }, { name: 'B', role: 'member' }],
+    2: [{ name: 'Q', role: 'constrained' }]
+  };
+  const result = assignStandIns(teams, 2, [1, 2], createRng('stand-in'));
+
+  assert.deepStrictEqual(result[1][0].role, 'leader', '1조 대신할 조장 없음');
+  assert.ok(['A', 'B'].includes(result[1][0].name), '고정 멤버보다 조원을 먼저 골라야 함');
+  assert.deepStrictEqual(result[1].map(member => member.name).sort(), ['A', 'B', 'P'], '1조 멤버가 바뀜');
+  assert.deepStrictEqual(result[2], [{ name: 'Q', role: 'leader' }], '조원이 없으면 고정 멤버 중에서 골라야 함');
+  assert.deepStrictEqual(teams[2][0].role, 'constrained', '원본이 변경됨');
+});
+
+test('validateSettings는 결석한 조장을 경고하고 출석 인원으로 검사해야 한다', () => {
+  const settings = {
+    teamCount: 2,
+    participants: ['L1', 'S1', 'A', 'B'],
+    leaders: { 1: 'L1' },
+    subLeaders: { 1: 'S1' },
+    constraints: [],
+    pairConstraints: [],
+    absent: ['L1']
+  };
+  const { warnings } = validateSettings(settings);
+  assert.ok(warnings.some(w => w.target.type === 'leader' && w.target.team === 1 && w.message.includes("부조장 'S1'")), '부조장 승격 안내가 없음');
+  assert.ok(warnings.some(w => w.target.type === 'teamCount' && w.message.startsWith('3명')), '출석 인원으로 세지 않음');
+
+  const none = validateSettings({ ...settings, leaderFallback: 'none' });
+  assert.ok(none.warnings.some(w => w.message.includes('조장 없이')), 'none 대처 안내가 없음');
+
+  const tooFew = validateSettings({ ...settings, absent: ['L1', 'S1', 'A'] });
+  assert.deepStrictEqual(tooFew.errors.map(e => e.message), ['출석 인원(1명)이 조 개수(2개)보다 적습니다'], '출석 인원 부족 오류 누락');
+});
+
+test('buildRotationSchedule은 라운드마다 제약조건을 지키고 만남을 고르게 퍼뜨려야 한다', () => {
+  const participants = ['L1', 'L2', 'L3', 'A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I'];
+  const leaders = { 1: 'L1', 2: 'L2', 3: 'L3' };
+  const pairs = [{ a: 'A', b: 'B', type: 'apart' }];
+  const rounds = buildRotationSchedule(leaders, {}, participants, [{ name: 'C', team: 2 }], 3, 4, createRng('rotation'), { pairs });
+
+  assert.deepStrictEqual(rounds.length, 4, '라운드 수 오류');
+  rounds.forEach(({ teams }, index) => {
+    const teamOf = name => Object.keys(teams).find(i => teams[i].some(member => member.name === name));
+    assert.deepStrictEqual([teamOf('L1'), teamOf('L2'), teamOf('L3'), teamOf('C')], ['1', '2', '3', '2'], `${index + 1}라운드 고정 오류`);
+    assert.notDeepStrictEqual(teamOf('A'), teamOf('B'), `${index + 1}라운드 쌍 제약조건 오류`);
+  });
+  assert.deepStrictEqual(rounds[0].repeatPairs, 0, '첫 라운드는 겹칠 수 없음');
+
+  // 라운드를 따로 추첨하면 세 번 이상 만나는 쌍이 흔하지만 일정은 두 번까지로 퍼뜨림
+  const { maxCount } = summarizePairMeetings(rounds.map(({ teams }) => teams), 3);
+  assert.ok(maxCount <= 2, `가장 많이 만난 횟수: ${maxCount}`);
+  assert.deepStrictEqual(
+    buildRotationSchedule(leaders, {}, participants, [{ name: 'C', team: 2 }], 3, 4, createRng('rotation'), { pairs }),
+    rounds,
+    '같은 시드에 다른 일정'
+  );
+});
+
+test('summarizePairMeetings는 만나지 않은 쌍도 세고 항상 고정인 두 사람은 빼야 한다', () => {
+  const round1 = { 1: [{ name: 'L1', role: 'leader' }, { name: 'A', role: 'member' }], 2: [{ name: 'L2', role: 'leader' }, { name: 'B', role: 'member' }] };
+  const round2 = { 1: [{ name: 'L1', role: 'leader' }, { name: 'A', role: 'member' }], 2: [{ name: 'L2', role: 'leader' }, { name: 'B', role: 'member' }] };
+  const { pairs, histogram, maxCount } = summarizePairMeetings([round1, round2], 2);
+
+  assert.deepStrictEqual(pairs.length, 5, 'L1·L2 쌍은 빠져야 함');
+  assert.deepStrictEqual(pairs.slice(0, 2).map(({ a, b }) => `${a}·${b}`), ['L1·A', 'L2·B'], '많이 만난 순서 오류');
+  assert.deepStrictEqual(histogram, { 0: 3, 2: 2 }, '만난 횟수 분포 오류');
+  assert.deepStrictEqual(maxCount, 2);
+});
+
+test('라운드 일정 내보내기는 라운드마다 조 편성 결과를 반복해야 한다', () => {
+  const schedule = {
+    rounds: [
+      { 1: [{ name: 'A', role: 'member' }], 2: [{ name: 'B', role: 'member', roles: ['서기'] }] },
+      { 1: [{ name: 'B', role: 'member' }], 2: [{ name: 'A', role: 'member' }] }
+    ],
+    teamCount: 2,
+    seed: 'abc',
+    createdAt: '2024-01-01T00:00:00.000Z'
+  };
+  assert.deepStrictEqual(formatScheduleCsv(schedule).split('\r\n'), [
+    '라운드,조,이름,역할,태그,맡은 역할',
+    '1,1,A,조원,,',
+    '1,2,B,조원,,서기',
+    '2,1,B,조원,,',
+    '2,2,A,조원,,',
+    ''
+  ]);
+  const markdown = formatScheduleMarkdown(schedule);
+  assert.ok(markdown.includes('### 2라운드'), 'Markdown 라운드 제목 누락');
+  assert.ok(markdown.includes('| 1조 | 1명 | B |'), 'Markdown 표 오류');
+});
@@ -0,0 +1,665 @@
+// 화면 테스트 - jsdom에서 index.html + script.js를 띄우고 DOM 이벤트로 핸들러 확인
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fc from 'fast-check';
+import { loadApp, changeValue, changeChecked, inputValue, settle, waitFor } from './helpers/dom.js';
+import { createRng, assignTeams, encodeShareData, sha256Hex } from '../core.js';
+
+const STATE_KEY = 'teamRandomizer.state';
+
+// 결과를 예상하기 쉬운 작은 명단
+const SMALL_STATE = {
+  teamCount: 2,
+  participants: ['가', '나', '다', '라', '마', '바'],
+  participantTags: {},
+  leaders: { 1: '가', 2: '나' },
+  subLeaders: {},
+  constraints: [],
+  pairConstraints: []
+};
+
+// 조 카드의 이름만 (역할 표시와 맡은 역할 제외)
+function cardNames(container) {
+  return [...container.querySelectorAll('.team-card')].map(card => [...card.querySelectorAll('li .member-name')].map(name => name.textContent));
+}
+
+function teamNames(document) {
+  return cardNames(document.getElementById('teamsGrid'));
+}
+
+test('초기화 시 명단과 조 개수만큼의 조장 입력을 그려야 한다', async () => {
+  const { document } = await loadApp({ storage: { [STATE_KEY]: SMALL_STATE } });
+
+  const names = [...document.querySelectorAll('#participantsList .name-input')].map(input => input.value);
+  assert.deepStrictEqual(names, SMALL_STATE.participants);
+  assert.deepStrictEqual(document.querySelectorAll('#leadersGrid .team-leaders').length, 2);
+  assert.deepStrictEqual(document.getElementById('leader1').value, '가');
+  assert.deepStrictEqual(document.getElementById('teamCountInput').value, '2');
+});
+
+test('조 개수를 바꾸면 조장 입력과 제약조건 선택지가 다시 그려져야 한다', async () => {
+  const { document } = await loadApp({ storage: { [STATE_KEY]: SMALL_STATE } });
+
+  document.getElementById('addConstraintBtn').click();
+  changeValue(document.getElementById('teamCountInput'), '4');
+
+  assert.deepStrictEqual(document.querySelectorAll('#leadersGrid .team-leaders').length, 4);
+  assert.deepStrictEqual(document.querySelectorAll('#constraintsList select option').length, 4);
+});
+
+test('조 개수를 줄이면 없어진 조의 조장/부조장을 명단으로 돌려보내야 한다', async () => {
+  const state = { ...SMALL_STATE, teamCount: 3, leaders: { ...SMALL_STATE.leaders, 3: '사' }, subLeaders: { 3: '다' } };
+  const { document, window } = await loadApp({ storage: { [STATE_KEY]: state } });
+
+  changeValue(document.getElementById('teamCountInput'), '2');
+
+  const saved = JSON.parse(window.localStorage.getItem(STATE_KEY));
+  assert.deepStrictEqual(saved.leaders, SMALL_STATE.leaders);
+  assert.deepStrictEqual(saved.subLeaders, {});
+  // 이미 명단에 있는 '다'는 한 번만
+  assert.deepStrictEqual(saved.participants, [...SMALL_STATE.participants, '사']);
+
+  document.getElementById('seedInput').value = 'shrink';
+  document.getElementById('shuffleBtn').click();
+  await settle();
+  assert.ok(teamNames(document).flat().includes('사'), '돌려보낸 조장이 편성에서 빠짐');
+});
+
+test('참가자 추가는 명단에 새 입력을 만들고 저장해야 한다', async () => {
+  const { document, window } = await loadApp({ storage: { [STATE_KEY]: SMALL_STATE } });
+
+  document.getElementById('addParticipantBtn').click();
+
+  const inputs = document.querySelectorAll('#participantsList .name-input');
+  assert.deepStrictEqual(inputs.length, 7);
+  const saved = JSON.parse(window.localStorage.getItem(STATE_KEY));
+  assert.deepStrictEqual(saved.participants.length, 7);
+  assert.deepStrictEqual(saved.participants[6], inputs[6].value);
+});
+
+test('참가자 이름 수정과 삭제가 저장되어야 한다', async () => {
+  const { document, window } = await loadApp({ storage: { [STATE_KEY]: SMALL_STATE } });
+
+  changeValue(document.querySelectorAll('#participantsList .name-input')[5], '사');
+  document.querySelectorAll('#participantsList .remove-btn')[2].click();
+
+  const saved = JSON.parse(window.localStorage.getItem(STATE_KEY));
+  assert.deepStrictEqual(saved.participants, ['가', '나', '라', '마', '사']);
+});
+
+test('시드를 입력해 조 편성하면 같은 입력의 assignTeams 결과를 그려야 한다', async () => {
+  const { document } = await loadApp({ storage: { [STATE_KEY]: SMALL_STATE } });
+
+  document.getElementById('seedInput').value = 'dom-seed';
+  document.getElementById('shuffleBtn').click();
+  await settle();
+
+  const { leaders, subLeaders, participants, constraints, teamCount } = SMALL_STATE;
+  const expected = assignTeams(leaders, subLeaders, participants, constraints, teamCount, createRng('dom-seed'));
+  assert.deepStrictEqual(teamNames(document), [1, 2].map(i => expected[i].map(member => member.name)));
+  assert.deepStrictEqual(document.getElementById('resultsSection').style.display, 'block');
+  assert.ok(document.getElementById('seedInfo').textContent.includes('dom-seed'));
+  assert.ok(document.querySelector('#teamsGrid li.leader'), '조장 표시가 없음');
+});
+
+test('커밋-공개 모드는 시드와 설정을 함께 커밋하고 공개할 때까지 편집을 잠가야 한다', async () => {
+  const { document } = await loadApp({ storage: { [STATE_KEY]: SMALL_STATE } });
+
+  document.getElementById('seedInput').value = 'commit-seed';
+  changeChecked(document.getElementById('commitRevealToggle'), true);
+  document.getElementById('shuffleBtn').click();
+  const panel = document.getElementById('commitPanel');
+  await waitFor(() => panel.querySelector('.commit-settings pre'));
+
+  const settingsJson = panel.querySelector('.commit-settings pre').textContent;
+  const hash = panel.querySelector('code').textContent;
+  assert.deepStrictEqual(JSON.parse(settingsJson).participants, SMALL_STATE.participants);
+  assert.deepStrictEqual(hash, await sha256Hex(`commit-seed\n${settingsJson}`));
+  assert.ok(document.getElementById('editorFieldset').disabled, '커밋 후 편집 영역이 잠기지 않음');
+  assert.ok(document.getElementById('seedInput').disabled && document.getElementById('avoidRepeatToggle').disabled);
+  assert.ok(!document.getElementById('shuffleBtn').disabled, '공개 버튼이 잠김');
+  assert.deepStrictEqual(document.querySelectorAll('#teamsGrid .team-card').length, 0);
+
+  document.getElementById('shuffleBtn').click();
+  const seedInfo = document.getElementById('seedInfo');
+  await waitFor(() => seedInfo.querySelector('.commit-settings pre'));
+
+  assert.ok(seedInfo.textContent.includes('commit-seed') && seedInfo.textContent.includes(hash), '공개 후 시드와 해시 누락');
+  assert.deepStrictEqual(seedInfo.querySelector('.commit-settings pre').textContent, settingsJson, '공개 후 커밋한 설정 누락');
+  assert.ok(!document.getElementById('editorFieldset').disabled, '공개 후에도 편집 영역이 잠김');
+  assert.ok(!document.getElementById('seedInput').disabled);
+});
+
+test('겹치는 조원 줄이기를 켜고 커밋하면 비교할 지난 조원 쌍도 커밋하고 기록 삭제를 잠가야 한다', async () => {
+  const { document } = await loadApp({ storage: { [STATE_KEY]: SMALL_STATE } });
+
+  document.getElementById('seedInput').value = 'past';
+  document.getElementById('shuffleBtn').click();
+  await settle();
+  const past = teamNames(document);
+
+  changeChecked(document.getElementById('avoidRepeatToggle'), true);
+  document.getElementById('seedInput').value = 'commit-seed';
+  changeChecked(document.getElementById('commitRevealToggle'), true);
+  document.getElementById('shuffleBtn').click();
+  const panel = document.getElementById('commitPanel');
+  await waitFor(() => panel.querySelector('.commit-settings pre'));
+
+  const committed = JSON.parse(panel.querySelector('.commit-settings pre').textContent);
+  const { sessions, pastPairs } = committed.avoidRepeats;
+  assert.deepStrictEqual(sessions, Number(document.getElementById('repeatSessionsInput').value));
+  // 3명씩 두 조 - 조마다 3쌍, 지난 추첨에서 같은 조였던 두 사람만
+  assert.deepStrictEqual(pastPairs.length, 6);
+  pastPairs.forEach(([a, b, count]) => {
+    assert.ok(past.some(names => names.includes(a) && names.includes(b)), `${a}-${b}는 같은 조가 아니었음`);
+    assert.deepStrictEqual(count, 1);
+  });
+
+  assert.ok(document.getElementById('clearHistoryBtn').disabled, '기록 전체 삭제가 잠기지 않음');
+  assert.ok([...document.querySelectorAll('#historyList .btn-danger')].every(button => button.disabled), '기록 삭제가 잠기지 않음');
+
+  document.getElementById('shuffleBtn').click();
+  await waitFor(() => document.querySelectorAll('#teamsGrid .team-card').length > 0);
+  assert.ok(!document.getElementById('clearHistoryBtn').disabled);
+  assert.ok([...document.querySelectorAll('#historyList .btn-danger')].every(button => !button.disabled));
+});
+
+test('입력 오류가 있으면 조 편성을 막고 오류를 표시해야 한다', async () => {
+  const { document } = await loadApp({ storage: { [STATE_KEY]: SMALL_STATE } });
+
+  // 빈 이름 제약조건은 오류
+  document.getElementById('addConstraintBtn').click();
+  document.getElementById('shuffleBtn').click();
+  await settle();
+
+  assert.deepStrictEqual(document.querySelectorAll('#teamsGrid .team-card').length, 0);
+  assert.ok(document.querySelector('#constraintsList .has-error'), '제약조건 옆에 오류 표시가 없음');
+  assert.ok(document.getElementById('validationSummary').textContent.includes('입력 오류'));
+});
+
+test('일괄 가져오기는 미리보기에서 중복과 빈 이름을 건너뛰어야 한다', async () => {
+  const { document, window } = await loadApp({ storage: { [STATE_KEY]: SMALL_STATE } });
+
+  document.getElementById('openImportBtn').click();
+  assert.deepStrictEqual(document.getElementById('importModal').style.display, 'flex');
+
+  inputValue(document.getElementById('importText'), '가\n아\n\n자');
+  const statuses = [...document.querySelectorAll('#importPreview .import-row')].map(row => row.className.replace('import-row', '').trim());
+  assert.deepStrictEqual(statuses, ['duplicate', 'ok', 'blank', 'ok']);
+  assert.ok(document.getElementById('importSummary').textContent.includes('추가 2명'));
+
+  document.getElementById('confirmImportBtn').click();
+  assert.deepStrictEqual(document.getElementById('importModal').style.display, 'none');
+  const saved = JSON.parse(window.localStorage.getItem(STATE_KEY));
+  assert.deepStrictEqual(saved.participants, [...SMALL_STATE.participants, '아', '자']);
+});
+
+test('클립보드 복사는 선택한 형식의 결과를 복사해야 한다', async () => {
+  const { document, copied } = await loadApp({ storage: { [STATE_KEY]: SMALL_STATE } });
+
+  document.getElementById('seedInput').value = 'copy';
+  document.getElementById('shuffleBtn').click();
+  await settle();
+
+  changeValue(document.getElementById('exportFormat'), 'markdown');
+  document.getElementById('copyExportBtn').click();
+  await settle();
+
+  assert.deepStrictEqual(copied.length, 1);
+  assert.ok(copied[0].startsWith('| 조 |'), `Markdown 표가 아님: ${copied[0]}`);
+  assert.ok(document.getElementById('exportMessage').textContent.includes('복사했습니다'));
+});
+
+test('추첨할 때마다 기록이 쌓이고 삭제할 수 있어야 한다', async () => {
+  const { document, window } = await loadApp({ storage: { [STATE_KEY]: SMALL_STATE } });
+
+  document.getElementById('shuffleBtn').click();
+  await settle();
+  document.getElementById('shuffleBtn').click();
+  await settle();
+  assert.deepStrictEqual(document.querySelectorAll('#historyList .history-item').length, 2);
+
+  document.querySelector('#historyList .history-item .btn-danger').click();
+  assert.deepStrictEqual(document.querySelectorAll('#historyList .history-item').length, 1);
+  assert.deepStrictEqual(JSON.parse(window.localStorage.getItem('teamRandomizer.history')).length, 1);
+});
+
+test('신뢰도 테스트는 검사 결과 창을 열어야 한다', async () => {
+  const { document } = await loadApp({ storage: { [STATE_KEY]: SMALL_STATE } });
+
+  document.getElementById('testBtn').click();
+
+  assert.deepStrictEqual(document.getElementById('testModal').style.display, 'flex');
+  assert.ok(document.getElementById('testSummary').textContent.length > 0, '검사 요약이 비어 있음');
+  assert.ok(document.querySelectorAll('#testResults .test-person').length > 0, '검사 결과가 비어 있음');
+});
+
+test('공유 링크로 열면 결과를 읽기 전용으로 보여주고 사본 편집으로 풀려야 한다', async () => {
+  const teams = assignTeams(SMALL_STATE.leaders, {}, SMALL_STATE.participants, [], 2, createRng('shared'));
+  const draw = { teams, teamCount: 2, seed: 'shared', commitHash: null, createdAt: '2024-01-01T00:00:00.000Z' };
+  const url = `http://localhost/#share=${encodeShareData(SMALL_STATE, draw)}`;
+  const { document, window } = await loadApp({ url, storage: { [STATE_KEY]: { ...SMALL_STATE, participants: ['내 명단'] } } });
+
+  assert.ok(document.getElementById('editorFieldset').disabled, '편집 영역이 비활성화되지 않음');
+  assert.ok(document.getElementById('drawFieldset').disabled, '조 편성 버튼이 비활성화되지 않음');
+  assert.deepStrictEqual(document.getElementById('sharedBanner').style.display, 'flex');
+  assert.deepStrictEqual(teamNames(document), [1, 2].map(i => teams[i].map(member => member.name)));
+  // 읽기 전용 중에는 내 저장 상태를 덮어쓰지 않음
+  assert.deepStrictEqual(JSON.parse(window.localStorage.getItem(STATE_KEY)).participants, ['내 명단']);
+
+  document.getElementById('editCopyBtn').click();
+  assert.ok(!document.getElementById('editorFieldset').disabled, '사본 편집 후에도 비활성화됨');
+  assert.ok(!document.getElementById('drawFieldset').disabled, '사본 편집 후에도 조 편성 버튼이 비활성화됨');
+  assert.deepStrictEqual(document.getElementById('sharedBanner').style.display, 'none');
+
+  // 공유된 설정이 내 자동 저장 상태가 되고, 덮어쓴 내 명단은 프리셋으로 남음
+  assert.deepStrictEqual(JSON.parse(window.localStorage.getItem(STATE_KEY)).participants, SMALL_STATE.participants);
+  const presets = JSON.parse(window.localStorage.getItem('teamRandomizer.presets'));
+  assert.deepStrictEqual(presets['공유 링크 열기 전 내 명단'].participants, ['내 명단']);
+  assert.deepStrictEqual(document.getElementById('presetSelect').value, '공유 링크 열기 전 내 명단');
+  assert.ok(document.getElementById('presetMessage').textContent.includes('공유 링크 열기 전 내 명단'));
+});
+
+test('사본 편집은 공유된 설정과 같은 내 명단을 프리셋으로 또 남기지 않아야 한다', async () => {
+  const url = `http://localhost/#share=${encodeShareData(SMALL_STATE, null)}`;
+  const { document, window } = await loadApp({ url, storage: { [STATE_KEY]: SMALL_STATE } });
+
+  document.getElementById('editCopyBtn').click();
+  assert.deepStrictEqual(window.localStorage.getItem('teamRandomizer.presets'), null);
+});
+
+test('손상된 공유 링크는 알림을 띄우고 저장된 명단으로 열려야 한다', async () => {
+  const { document, dialogs } = await loadApp({ url: 'http://localhost/#share=깨진링크', storage: { [STATE_KEY]: SMALL_STATE } });
+
+  assert.deepStrictEqual(dialogs.filter(dialog => dialog.type === 'alert').length, 1);
+  assert.ok(!document.getElementById('editorFieldset').disabled);
+  assert.deepStrictEqual(document.querySelectorAll('#participantsList .name-input').length, 6);
+});
+
+test('결과 카드를 끌어 놓으면 조원을 옮기고 수동 조정으로 표시해야 한다', async () => {
+  const { document, window } = await loadApp({ storage: { [STATE_KEY]: SMALL_STATE } });
+
+  document.getElementById('shuffleBtn').click();
+  await settle();
+
+  // jsdom에는 DragEvent가 없으므로 dataTransfer를 붙인 일반 이벤트로 대신함
+  const data = {};
+  const dataTransfer = {
+    effectAllowed: '',
+    dropEffect: '',
+    setData: (type, value) => { data[type] = value; },
+    getData: type => data[type]
+  };
+  const fire = (target, type) => {
+    const event = new window.Event(type, { bubbles: true, cancelable: true });
+    event.dataTransfer = dataTransfer;
+    target.dispatchEvent(event);
+  };
+
+  const [from, to] = document.querySelectorAll('#teamsGrid .team-card');
+  const member = from.querySelector('li:not(.leader)');
+  const moved = member.querySelector('.member-name').textContent;
+  fire(member, 'dragstart');
+  fire(to.querySelector('ul'), 'dragover');
+  fire(to.querySelector('ul'), 'drop');
+  fire(member, 'dragend');
+
+  const [first, second] = teamNames(document);
+  assert.ok(!first.includes(moved) && second.includes(moved), `${moved}이(가) 2조로 옮겨지지 않음`);
+  assert.ok(document.getElementById('seedInfo').textContent.includes('수동으로 조정'));
+});
+
+test('발표 모드는 끝까지 건너뛰면 결과와 같은 조를 보여줘야 한다', async () => {
+  const { document, window } = await loadApp({ storage: { [STATE_KEY]: SMALL_STATE } });
+
+  document.getElementById('shuffleBtn').click();
+  await settle();
+  document.getElementById('presentBtn').click();
+  assert.notDeepStrictEqual(document.getElementById('presentation').style.display, 'none', '발표 화면이 열리지 않음');
+
+  document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 's', bubbles: true }));
+  assert.deepStrictEqual(cardNames(document.getElementById('presentationGrid')), teamNames(document));
+
+  document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+  assert.deepStrictEqual(document.getElementById('presentation').style.display, 'none', '발표 화면이 닫히지 않음');
+});
+
+test('조 정원을 입력하면 결과가 정원대로 나뉘고 제목에 정원이 표시되어야 한다', async () => {
+  const { document, window } = await loadApp({ storage: { [STATE_KEY]: SMALL_STATE } });
+
+  changeValue(document.getElementById('capacity1'), '2');
+  assert.deepStrictEqual(JSON.parse(window.localStorage.getItem(STATE_KEY)).teamCapacities, { 1: 2 });
+
+  document.getElementById('shuffleBtn').click();
+  await settle();
+  assert.deepStrictEqual(teamNames(document).map(names => names.length), [2, 4]);
+  assert.ok(document.querySelector('#teamsGrid .team-card h3').textContent.includes('2/2명'));
+
+  // 조장/부조장보다 작은 정원은 입력 옆에 오류로 표시
+  changeValue(document.getElementById('subLeader1'), '다');
+  changeValue(document.getElementById('capacity1'), '1');
+  assert.ok(document.getElementById('capacity1').parentElement.classList.contains('has-error'), '정원 오류 표시가 없음');
+});
+
+test('역할을 추가하면 추첨 결과에 조마다 역할 표시가 붙어야 한다', async () => {
+  const { document, window } = await loadApp({ storage: { [STATE_KEY]: SMALL_STATE } });
+
+  document.getElementById('addRoleBtn').click();
+  changeValue(document.querySelector('#rolesList .role-name'), '서기');
+  assert.deepStrictEqual(JSON.parse(window.localStorage.getItem(STATE_KEY)).roles, [{ name: '서기', mode: 'random', assignees: {} }]);
+
+  // 이름으로 지정으로 바꾸면 조마다 담당자 입력이 생김
+  changeValue(document.querySelector('#rolesList select'), 'named');
+  assert.deepStrictEqual(document.querySelectorAll('#rolesList .role-assignee input').length, 2);
+  changeValue(document.querySelector('#rolesList .role-assignee input[data-team="2"]'), '다');
+
+  document.getElementById('shuffleBtn').click();
+  await settle();
+  const badges = [...document.querySelectorAll('#teamsGrid .role-badge')];
+  assert.deepStrictEqual(badges.map(badge => badge.textContent), ['서기'], '지정한 담당자에게만 표시되어야 함');
+  assert.deepStrictEqual(badges[0].closest('li').querySelector('.member-name').textContent, '다');
+  assert.ok(badges[0].closest('.team-card').querySelector('h3').textContent.startsWith('2조'));
+});
+
+test('결석 체크는 명단에 남긴 채 편성에서 빼고, 결석한 조장 자리는 부조장이 맡아야 한다', async () => {
+  const state = { ...SMALL_STATE, subLeaders: { 1: '다' } };
+  const { document, window } = await loadApp({ storage: { [STATE_KEY]: state } });
+
+  // 조장 '가'를 조장 칸에서 결석 처리하면 명단의 같은 이름도 결석으로 표시
+  changeChecked(document.querySelector('#leadersGrid .present-input[data-slot="leader"][data-team="1"]'), false);
+  const firstRow = document.querySelector('#participantsList .participant-tag');
+  assert.ok(firstRow.classList.contains('absent'), '명단에 결석 표시가 없음');
+  assert.deepStrictEqual(firstRow.querySelector('.present-input').checked, false);
+
+  changeChecked(document.querySelectorAll('#participantsList .present-input')[5], false);
+  assert.deepStrictEqual(JSON.parse(window.localStorage.getItem(STATE_KEY)).absent, ['가', '바']);
+  assert.ok(document.getElementById('attendanceSummary').textContent.includes('결석 2명'));
+  assert.ok(document.getElementById('leader1').parentElement.textContent.includes("부조장 '다'이(가) 조장을 맡습니다"), '조장 결석 안내가 없음');
+
+  document.getElementById('shuffleBtn').click();
+  await settle();
+  const names = teamNames(document);
+  assert.deepStrictEqual(names.flat().sort(), ['나', '다', '라', '마'], '결석자가 편성됨');
+  assert.deepStrictEqual(document.querySelector('#teamsGrid .team-card li.leader .member-name').textContent, '다', '부조장이 조장을 맡지 않음');
+  assert.deepStrictEqual(document.querySelectorAll('#participantsList .name-input').length, 6, '결석자가 명단에서 빠짐');
+
+  document.getElementById('resetAttendanceBtn').click();
+  assert.deepStrictEqual(JSON.parse(window.localStorage.getItem(STATE_KEY)).absent, []);
+});
+
+test('결석한 조장이나 부조장의 이름을 고치면 결석 체크도 새 이름을 따라가야 한다', async () => {
+  // 조장 '가'와 부조장 '사'는 참가자 명단에 없음
+  const state = { ...SMALL_STATE, participants: ['나', '다', '라', '마', '바'], subLeaders: { 2: '사' } };
+  const { document, window } = await loadApp({ storage: { [STATE_KEY]: state } });
+  const savedAbsent = () => JSON.parse(window.localStorage.getItem(STATE_KEY)).absent;
+
+  changeChecked(document.querySelector('#leadersGrid .present-input[data-slot="leader"][data-team="1"]'), false);
+  changeChecked(document.querySelector('#leadersGrid .present-input[data-slot="subLeader"][data-team="2"]'), false);
+  assert.deepStrictEqual(savedAbsent(), ['가', '사']);
+
+  changeValue(document.getElementById('leader1'), '가영');
+  assert.deepStrictEqual(savedAbsent(), ['가영', '사']);
+  assert.ok(document.getElementById('attendanceSummary').textContent.startsWith('결석 2명: 가영, 사 -'), '옛 이름이 결석자로 남음');
+  assert.deepStrictEqual(document.querySelector('#leadersGrid .present-input[data-slot="leader"][data-team="1"]').checked, false);
+
+  // 비우면 결석 체크도 지움
+  changeValue(document.getElementById('subLeader2'), '');
+  assert.deepStrictEqual(savedAbsent(), ['가영']);
+  assert.ok(document.getElementById('attendanceSummary').textContent.startsWith('결석 1명: 가영 -'));
+
+  // 명단에도 있는 조장은 명단 쪽 결석 체크가 남음
+  changeChecked(document.querySelector('#leadersGrid .present-input[data-slot="leader"][data-team="2"]'), false);
+  changeValue(document.getElementById('leader2'), '나리');
+  assert.deepStrictEqual(savedAbsent(), ['가영', '나']);
+});
+
+test('라운드 일정은 라운드마다 조장을 지키고 사람별 보기와 내보내기를 제공해야 한다', async () => {
+  const { document, copied } = await loadApp({ storage: { [STATE_KEY]: SMALL_STATE } });
+
+  document.getElementById('seedInput').value = 'rounds';
+  changeValue(document.getElementById('roundCountInput'), '3');
+  document.getElementById('scheduleBtn').click();
+  await settle();
+
+  assert.deepStrictEqual(document.getElementById('scheduleSection').style.display, 'block');
+  const tabs = [...document.querySelectorAll('#scheduleTabs button')];
+  assert.deepStrictEqual(tabs.map(tab => tab.textContent), ['1라운드', '2라운드', '3라운드', '사람별']);
+  assert.ok(document.getElementById('scheduleInfo').textContent.includes('같은 조가 된 횟수'));
+
+  for (let round = 0; round < 3; round++) {
+    document.querySelectorAll('#scheduleTabs button')[round].click();
+    const leaders = [...document.querySelectorAll('#scheduleView li.leader .member-name')].map(name => name.textContent);
+    assert.deepStrictEqual(leaders, ['가', '나'], `${round + 1}라운드 조장 오류`);
+  }
+
+  document.querySelectorAll('#scheduleTabs button')[3].click();
+  assert.deepStrictEqual(document.querySelectorAll('#scheduleView tbody tr').length, 6, '사람별 보기 행 수 오류');
+
+  changeValue(document.getElementById('scheduleExportFormat'), 'csv');
+  document.getElementById('copyScheduleBtn').click();
+  await settle();
+  const lines = copied[0].trim().split('\r\n');
+  assert.deepStrictEqual(lines[0], '라운드,조,이름,역할,태그');
+  assert.deepStrictEqual(lines.length, 1 + 3 * 6);
+});
+
+// HTML로 해석되면 모양이 바뀌거나 스크립트가 실행되는 이름
+const HOSTILE_NAMES = ['"><img src=x onerror="window.injected=true">', 'a"b', '<b>굵게</b>', 'A&amp;B'];
+
+test('HTML 문자가 든 이름은 입력, 결과, 가져오기 미리보기, 검사 창에 그대로 표시되어야 한다', async () => {
+  const [img, quote, bold, entity] = HOSTILE_NAMES;
+  const { document, window } = await loadApp({
+    storage: {
+      [STATE_KEY]: {
+        ...SMALL_STATE,
+        participants: [...SMALL_STATE.participants, ...HOSTILE_NAMES],
+        participantTags: { [quote]: ['<i>태그</i>'] },
+        leaders: { 1: img, 2: '나' },
+        constraints: [{ name: bold, team: 2 }],
+        pairConstraints: [{ a: quote, b: '다', type: 'apart' }],
+        roles: [{ name: '<u>서기</u>', mode: 'named', assignees: { 1: quote } }]
+      }
+    }
+  });
+
+  const names = [...document.querySelectorAll('#participantsList .name-input')].map(input => input.value);
+  assert.deepStrictEqual(names.slice(6), HOSTILE_NAMES);
+  assert.deepStrictEqual(document.querySelectorAll('#participantsList .tags-input')[7].value, '<i>태그</i>');
+  assert.deepStrictEqual(document.getElementById('leader1').value, img);
+  assert.deepStrictEqual(document.querySelector('#constraintsList input').value, bold);
+  assert.deepStrictEqual([...document.querySelectorAll('#pairConstraintsList input')].map(input => input.value), [quote, '다']);
+  assert.deepStrictEqual(document.querySelector('#rolesList .role-name').value, '<u>서기</u>');
+  assert.deepStrictEqual(document.querySelector('#rolesList .role-assignee input').value, quote);
+
+  document.getElementById('shuffleBtn').click();
+  await settle();
+  const placed = teamNames(document).flat();
+  HOSTILE_NAMES.forEach(name => {
+    assert.ok(placed.includes(name), `결과에 이름이 그대로 없음: ${name}`);
+  });
+  assert.deepStrictEqual(document.querySelector('#teamsGrid .role-badge').textContent, '<u>서기</u>');
+
+  document.getElementById('openImportBtn').click();
+  inputValue(document.getElementById('importText'), '<s>취소선</s>\n"따옴표"');
+  const previewNames = [...document.querySelectorAll('#importPreview .import-row td:nth-child(2)')].map(cell => cell.textContent);
+  assert.deepStrictEqual(previewNames, ['<s>취소선</s>', '"따옴표"']);
+
+  document.getElementById('testBtn').click();
+  const headings = [...document.querySelectorAll('#testResults .test-person h4')].map(heading => heading.textContent);
+  assert.ok(headings.includes(entity), '검사 창에 이름이 그대로 없음');
+  const matrixNames = [...document.querySelectorAll('#testResults .cooccurrence-matrix tbody th')].map(cell => cell.textContent);
+  assert.ok(matrixNames.includes(entity));
+
+  assert.deepStrictEqual(document.querySelectorAll('img, b, i, u, s').length, 0, '이름이 HTML 요소로 해석됨');
+  assert.deepStrictEqual(window.injected, undefined);
+});
+
+test('객체 기본 속성과 같은 이름도 명단, 결과, 사람별 일정에 표시되어야 한다', async () => {
+  const participants = ['constructor', 'toString', '__proto__', '가', '나'];
+  const { document, window } = await loadApp({ storage: { [STATE_KEY]: { ...SMALL_STATE, participants, leaders: {} } } });
+  assert.deepStrictEqual([...document.querySelectorAll('#participantsList .tags-input')].map(input => input.value), ['', '', '', '', '']);
+
+  // '__proto__'의 태그와 같은 이름의 프리셋도 일반 키로 저장
+  changeValue(document.querySelectorAll('#participantsList .tags-input')[2], '9기');
+  assert.deepStrictEqual(JSON.parse(window.localStorage.getItem(STATE_KEY)).participantTags, JSON.parse('{"__proto__":["9기"]}'));
+  document.getElementById('presetNameInput').value = '__proto__';
+  document.getElementById('savePresetBtn').click();
+  assert.deepStrictEqual(Object.keys(JSON.parse(window.localStorage.getItem('teamRandomizer.presets'))), ['__proto__']);
+  assert.ok([...document.querySelectorAll('#presetSelect option')].some(option => option.value === '__proto__'), '프리셋 목록에 없음');
+
+  document.getElementById('shuffleBtn').click();
+  await settle();
+  assert.deepStrictEqual(teamNames(document).flat().sort(), [...participants].sort());
+
+  changeValue(document.getElementById('roundCountInput'), '2');
+  document.getElementById('scheduleBtn').click();
+  [...document.querySelectorAll('#scheduleTabs button')].pop().click();
+  assert.deepStrictEqual([...document.querySelectorAll('#scheduleView tbody tr td:first-child')].map(cell => cell.textContent).sort(), [...participants].sort());
+});
+
+test('임의의 이름은 명단 입력과 결과 카드에 그대로 표시되어야 한다', async () => {
+  const nameArb = fc.stringMatching(/^[<>"'&=/a-z가-힣 ]{1,12}$/).filter(name => name.trim() !== '');
+  await fc.assert(fc.asyncProperty(fc.uniqueArray(nameArb, { minLength: 2, maxLength: 6 }), async (participants) => {
+    const { document } = await loadApp({
+      storage: { [STATE_KEY]: { ...SMALL_STATE, participants, leaders: {} } }
+    });
+
+    const inputs = [...document.querySelectorAll('#participantsList .name-input')].map(input => input.value);
+    assert.deepStrictEqual(inputs, participants);
+
+    document.getElementById('shuffleBtn').click();
+    await settle();
+    assert.deepStrictEqual(teamNames(document).flat().sort(), [...participants].sort());
+    assert.deepStrictEqual(document.querySelectorAll('#teamsGrid .team-card *:not(h3, ul, li, div, span)').length, 0);
+  }), { numRuns: 10 });
+});
+
+test('언어를 English로 바꾸면 화면 문구가 바뀌고 다시 열어도 유지되어야 한다', async () => {
+  const { document, window } = await loadApp({ storage: { [STATE_KEY]: SMALL_STATE } });
+  const select = document.getElementById('languageSelect');
+  assert.deepStrictEqual([...select.options].map(option => option.value), ['ko', 'en']);
+  assert.deepStrictEqual(select.value, 'ko');
+
+  document.getElementById('shuffleBtn').click();
+  changeValue(select, 'en');
+
+  assert.deepStrictEqual(document.documentElement.lang, 'en');
+  assert.deepStrictEqual(document.getElementById('shuffleBtn').textContent, 'Make teams');
+  assert.deepStrictEqual(document.querySelector('#leadersGrid h3').textContent, 'Team 1');
+  assert.ok(document.querySelector('#teamsGrid .team-card h3').textContent.startsWith('Team 1 ('), '결과 카드 제목이 바뀌지 않음');
+  assert.deepStrictEqual(document.getElementById('seedInput').placeholder, 'Generated if left blank');
+  // 입력값은 그대로
+  assert.deepStrictEqual(document.getElementById('leader1').value, '가');
+  assert.deepStrictEqual(JSON.parse(window.localStorage.getItem('teamRandomizer.locale')), 'en');
+
+  const reloaded = await loadApp({ storage: { [STATE_KEY]: SMALL_STATE, 'teamRandomizer.locale': 'en' } });
+  assert.deepStrictEqual(reloaded.document.getElementById('languageSelect').value, 'en');
+  assert.deepStrictEqual(reloaded.document.getElementById('testBtn').textContent, 'Fairness test');
+});
+
+test('저장된 선택이 없으면 브라우저 언어를 따르고 지원하지 않는 언어면 한국어로 열려야 한다', async () => {
+  const english = await loadApp({ storage: { [STATE_KEY]: SMALL_STATE }, language: 'en-US' });
+  assert.deepStrictEqual(english.document.getElementById('languageSelect').value, 'en');
+  assert.deepStrictEqual(english.document.title, 'Random Team Maker');
+
+  const french = await loadApp({ storage: { [STATE_KEY]: SMALL_STATE }, language: 'fr-FR' });
+  assert.deepStrictEqual(french.document.getElementById('languageSelect').value, 'ko');
+  assert.deepStrictEqual(french.document.getElementById('shuffleBtn').textContent, '조 편성하기');
+});
+
+test('영어 화면에서는 검증 메시지도 영어로 표시되어야 한다', async () => {
+  const { document } = await loadApp({ storage: { [STATE_KEY]: { ...SMALL_STATE, participants: ['다', '다'] } }, language: 'en' });
+
+  const summary = document.getElementById('validationSummary').textContent;
+  assert.ok(summary.includes("'다' duplicates participant #1"), summary);
+});
+
+// 입력/선택/버튼의 접근 가능한 이름 - aria-label, 연결된 label, 감싼 label, 버튼 글자 순
+function accessibleName(element) {
+  const document = element.ownerDocument;
+  if (element.getAttribute('aria-label')) return element.getAttribute('aria-label');
+  const label = (element.id && document.querySelector(`label[for="${element.id}"]`)) || element.closest('label');
+  if (label) return label.textContent.trim();
+  return element.tagName === 'BUTTON' ? element.textContent.trim() : '';
+}
+
+test('편집 영역의 모든 입력과 버튼에는 이름이 있고 삭제 버튼은 무엇을 지우는지 알려야 한다', async () => {
+  const { document } = await loadApp({
+    storage: { [STATE_KEY]: { ...SMALL_STATE, roles: [{ name: '서기', mode: 'named', assignees: {} }], constraints: [{ name: '다', team: 1 }], pairConstraints: [{ a: '라', b: '마', type: 'apart' }] } }
+  });
+
+  const controls = [...document.querySelectorAll(['#editorFieldset', '#drawFieldset'].flatMap(id => [`${id} input`, `${id} select`, `${id} button`]).join(', '))];
+  const unnamed = controls.filter(control => !accessibleName(control) || accessibleName(control) === '×');
+  assert.deepStrictEqual(unnamed.map(control => control.outerHTML), []);
+
+  const removeLabels = [...document.querySelectorAll('.remove-btn')].map(button => button.getAttribute('aria-label'));
+  assert.ok(removeLabels.includes('참가자 1 삭제'), removeLabels.join(', '));
+  assert.ok(removeLabels.includes('제약조건 1 삭제'));
+  assert.ok(removeLabels.includes('쌍 제약조건 1 삭제'));
+  assert.ok(removeLabels.includes('역할 1 삭제'));
+  assert.deepStrictEqual(accessibleName(document.querySelector('#leadersGrid .present-input')), '1조 조장 출석');
+});
+
+test('검사 창은 대화상자로 포커스를 가두고 닫으면 연 버튼으로 포커스를 돌려줘야 한다', async () => {
+  const { document, window } = await loadApp({ storage: { [STATE_KEY]: SMALL_STATE } });
+  const tab = (shiftKey = false) => document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Tab', shiftKey, bubbles: true, cancelable: true }));
+
+  const testBtn = document.getElementById('testBtn');
+  testBtn.focus();
+  testBtn.click();
+
+  const dialog = document.querySelector('#testModal [role="dialog"]');
+  assert.deepStrictEqual(dialog.getAttribute('aria-modal'), 'true');
+  assert.deepStrictEqual(document.getElementById(dialog.getAttribute('aria-labelledby')).textContent, '랜덤 분포 테스트 결과 (2,000회)');
+  assert.deepStrictEqual(document.activeElement, document.getElementById('closeModalBtn'));
+
+  // 마지막 요소에서 Tab이면 처음으로, 처음에서 Shift+Tab이면 마지막으로
+  const alphaSelect = document.getElementById('alphaSelect');
+  alphaSelect.focus();
+  tab();
+  assert.deepStrictEqual(document.activeElement, document.getElementById('closeModalBtn'));
+  tab(true);
+  assert.deepStrictEqual(document.activeElement, alphaSelect);
+  // 대화상자 밖에 포커스가 있어도 Tab은 대화상자 안으로
+  document.getElementById('shuffleBtn').focus();
+  tab();
+  assert.ok(dialog.contains(document.activeElement), '포커스가 대화상자 밖에 있음');
+
+  document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+  assert.deepStrictEqual(document.getElementById('testModal').style.display, 'none');
+  assert.deepStrictEqual(document.activeElement, testBtn);
+});
+
+test('결과 카드는 역할을 글자로도 표시하고 조 편성과 키보드 이동을 알려야 한다', async () => {
+  const { document, window } = await loadApp({ storage: { [STATE_KEY]: { ...SMALL_STATE, constraints: [{ name: '다', team: 1 }] } } });
+
+  changeValue(document.getElementById('seedInput'), 'a11y');
+  document.getElementById('shuffleBtn').click();
+  await settle();
+  const liveRegion = document.getElementById('liveRegion');
+  assert.deepStrictEqual(liveRegion.getAttribute('role'), 'status');
+  assert.ok(liveRegion.textContent.includes('a11y'), liveRegion.textContent);
+
+  const leader = document.querySelector('#teamsGrid li.leader');
+  assert.deepStrictEqual(leader.querySelector('.role-label').textContent, '조장');
+  assert.deepStrictEqual(leader.querySelector('.role-icon').getAttribute('aria-hidden'), 'true');
+  assert.deepStrictEqual(document.querySelector('#teamsGrid li.constrained .role-label').textContent, '고정');
+  assert.deepStrictEqual(document.querySelectorAll('#teamsGrid li:not(.leader, .constrained) .role-label').length, 0);
+
+  const member = document.querySelector('#teamsGrid .team-card[data-team="2"] li:not(.leader)');
+  const name = member.querySelector('.member-name').textContent;
+  assert.deepStrictEqual(member.tabIndex, 0);
+  member.focus();
+  member.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+
+  // 2조에서 오른쪽이면 처음(1조)으로 돌아감
+  assert.ok(teamNames(document)[0].includes(name), `${name}이(가) 1조로 옮겨지지 않음`);
+  assert.deepStrictEqual(document.activeElement.querySelector('.member-name').textContent, name);
+  assert.deepStrictEqual(liveRegion.textContent, `${name}을(를) 1조(으)로 옮겼습니다.`);
+  assert.ok(document.getElementById('seedInfo').textContent.includes('수동으로 조정'));
+
+  // 조정한 뒤에도 조원이 가리키는 설명이 화면에 남아 있어야 함
+  const described = [...document.querySelectorAll('#teamsGrid [aria-describedby]')];
+  assert.ok(described.length > 0);
+  described.forEach(item => assert.ok(document.getElementById(item.getAttribute('aria-describedby')), '가리키는 설명 없음'));
+});
@@ -0,0 +1,120 @@
+// DOM 테스트 도우미 - index.html을 jsdom에 띄우고 script.js를 새 모듈 인스턴스로 실행
+import { readFileSync } from 'node:fs';
+import { webcrypto } from 'node:crypto';
+import { JSDOM } from 'jsdom';
+
+const html = readFileSync(new URL('../../index.html', import.meta.url), 'utf8');
+let instanceCount = 0;
+
+/**
+ * 앱을 새로 띄움
+ * - url: 페이지 주소 (공유 링크 #share= 확인용)
+ * - storage: 미리 저장해 둘 localStorage 값 { 키: 값 }
+ * - confirmResult: confirm 대화상자의 응답
+ * - language: 브라우저 언어 (navigator.language) - 기본은 한국어
+ * 반환: { window, document, dialogs, copied } - dialogs는 alert/confirm/prompt 호출, copied는 클립보드에 쓴 텍스트
+ */
+export async function loadApp({ url = 'http://localhost/', storage = {}, confirmResult = true, language = 'ko-KR' } = {}) {
+  const { window } = new JSDOM(html, { url, pretendToBeVisual: true });
+  const dialogs = [];
+  const copied = [];
+
+  // 모듈이 파싱이 끝난 문서에서 바로 초기화되도록 로딩 완료까지 기다림
+  if (window.document.readyState === 'loading') {
+    await new Promise(resolve => window.addEventListener('DOMContentLoaded', resolve));
+  }
+
+  window.Element.prototype.scrollIntoView = () => {};
+  window.alert = (message) => {
+    dialogs.push({ type: 'alert', message });
+  };
+  window.confirm = (message) => {
+    dialogs.push({ type: 'confirm', message });
+    return confirmResult;
+  };
+  window.prompt = (message, value) => {
+    dialogs.push({ type: 'prompt', message, value });
+    return null;
+  };
+  Object.defineProperty(window.navigator, 'language', { configurable: true, value: language });
+  Object.defineProperty(window.navigator, 'languages', { configurable: true, value: [language] });
+  Object.defineProperty(window.navigator, 'clipboard', {
+    configurable: true,
+    value: { writeText: async (text) => copied.push(text) }
+  });
+  Object.entries(storage).forEach(([key, value]) => {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  });
+
+  const globals = {
+    window,
+    document: window.document,
+    localStorage: window.localStorage,
+    location: window.location,
+    navigator: window.navigator,
+    history: window.history,
+    alert: window.alert,
+    confirm: window.confirm,
+    prompt: window.prompt,
+    getComputedStyle: window.getComputedStyle.bind(window),
+    // 브라우저에는 항상 있는 전역 crypto (Node 18에는 없음)
+    crypto: globalThis.crypto ?? webcrypto
+  };
+  Object.entries(globals).forEach(([name, value]) => {
+    Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+  });
+
+  // 초기화 안내 로그는 테스트 출력에서 숨김
+  const log = console.log;
+  console.log = () => {};
+  try {
+    await import(`../../script.js?instance=${++instanceCount}`);
+  } finally {
+    console.log = log;
+  }
+
+  return { window, document: window.document, dialogs, copied };
+}
+
+/**
+ * 입력 값을 바꾸고 change 이벤트 발생
+ */
+export function changeValue(element, value) {
+  element.value = value;
+  element.dispatchEvent(new element.ownerDocument.defaultView.Event('change', { bubbles: true }));
+}
+
+/**
+ * 체크박스를 바꾸고 change 이벤트 발생
+ */
+export function changeChecked(element, checked) {
+  element.checked = checked;
+  element.dispatchEvent(new element.ownerDocument.defaultView.Event('change', { bubbles: true }));
+}
+
+/**
+ * 입력 값을 바꾸고 input 이벤트 발생
+ */
+export function inputValue(element, value) {
+  element.value = value;
+  element.dispatchEvent(new element.ownerDocument.defaultView.Event('input', { bubbles: true }));
+}
+
+/**
+ * 비동기 핸들러(클립보드, 해시 계산 등)가 끝날 때까지 대기
+ */
+export function settle() {
+  return new Promise(resolve => setTimeout(resolve, 10));
+}
+
+/**
+ * 조건이 참이 될 때까지 settle을 반복 (느린 환경에서 해시 계산이 10ms를 넘길 때)
+ * - check: 확인할 함수
+ * - timeout: 최대 대기 시간(ms) - 넘기면 그대로 반환하여 뒤의 assert가 실패를 알림
+ */
+export async function waitFor(check, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!check() && Date.now() < deadline) {
+    await settle();
+  }
+}
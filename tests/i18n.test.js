@@ -0,0 +1,82 @@
+// i18n.js 단위 테스트 - 메시지 카탈로그와 번역 함수, core.js의 언어별 내보내기
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LOCALES, DEFAULT_LOCALE, LOCALE_NAMES, MESSAGES, translate, resolveLocale, localized } from '../i18n.js';
+import { assignTeams, createRng, validateSettings, formatDrawCsv, formatDrawMarkdown, formatScheduleMarkdown } from '../core.js';
+
+const DRAW = {
+  teams: {
+    1: [{ name: 'A', role: 'leader' }, { name: 'B', role: 'member' }],
+    2: [{ name: 'C', role: 'member' }]
+  },
+  teamCount: 2,
+  seed: 'abc',
+  createdAt: '2024-01-01T00:00:00.000Z'
+};
+
+test('모든 언어의 카탈로그는 같은 메시지 키를 가져야 한다', () => {
+  const keys = Object.keys(MESSAGES[DEFAULT_LOCALE]).sort();
+  LOCALES.forEach(locale => {
+    assert.ok(LOCALE_NAMES[locale], `${locale} 표시 이름 누락`);
+    assert.deepStrictEqual(Object.keys(MESSAGES[locale]).sort(), keys, `${locale} 카탈로그 키가 다름`);
+  });
+});
+
+test('translate는 값을 채우고 숫자를 언어별로 표기해야 한다', () => {
+  assert.deepStrictEqual(translate('ko', 'team', { team: 3 }), '3조');
+  assert.deepStrictEqual(translate('en', 'team', { team: 3 }), 'Team 3');
+  assert.deepStrictEqual(translate('ko', 'test.title', { count: 2000 }), '랜덤 분포 테스트 결과 (2,000회)');
+  assert.deepStrictEqual(translate('en', 'test.title', { count: 2000 }), 'Randomness test results (2,000 runs)');
+  // 복수 규칙
+  assert.deepStrictEqual(translate('en', 'people', { count: 1 }), '1 person');
+  assert.deepStrictEqual(translate('en', 'people', { count: 2 }), '2 people');
+  assert.deepStrictEqual(translate('ko', 'people', { count: 2 }), '2명');
+  // 이름 안의 중괄호는 다시 치환하지 않음
+  assert.deepStrictEqual(translate('en', 'presets.saved', { name: '{name}' }), "Saved the preset '{name}'.");
+});
+
+test('translate는 없는 언어와 키를 기본 언어, 키 순서로 대신해야 한다', () => {
+  assert.deepStrictEqual(translate('fr', 'team', { team: 2 }), '2조');
+  assert.deepStrictEqual(translate('en', 'no.such.key'), 'no.such.key');
+});
+
+test('resolveLocale은 후보 중 처음 지원하는 언어를 골라야 한다', () => {
+  assert.deepStrictEqual(resolveLocale(['en-US', 'ko-KR']), 'en');
+  assert.deepStrictEqual(resolveLocale([null, 'fr-FR', 'KO']), 'ko');
+  assert.deepStrictEqual(resolveLocale(['de', undefined]), DEFAULT_LOCALE);
+});
+
+test('core.js의 검증 결과와 오류는 코드로 다른 언어 문구를 만들 수 있어야 한다', () => {
+  assert.deepStrictEqual(localized('issue.noLeader', { team: 2 }), { code: 'issue.noLeader', params: { team: 2 }, message: '2조에 조장이 없습니다' });
+
+  const { errors } = validateSettings({ teamCount: 2, participants: ['A', 'A', 'B'], leaders: {}, subLeaders: {}, constraints: [], pairConstraints: [], participantTags: {} });
+  const duplicate = errors.find(issue => issue.code === 'issue.duplicateName');
+  assert.deepStrictEqual(duplicate.message, translate('ko', duplicate.code, duplicate.params));
+  assert.deepStrictEqual(translate('en', duplicate.code, duplicate.params), "'A' duplicates participant #1");
+
+  assert.throws(
+    () => assignTeams({ 1: 'A' }, {}, ['B'], [{ name: 'B', team: 1 }], 2, createRng('x'), { pairs: [{ a: 'A', b: 'B', type: 'apart' }] }),
+    (e) => e.code === 'error.apartButPinned' &&
+      e.message === translate('ko', e.code, e.params) &&
+      translate('en', e.code, e.params) === 'A and B must be in different teams but are both pinned to Team 1.'
+  );
+});
+
+test('내보내기는 지정한 언어로 머리글과 조 이름을 써야 한다', () => {
+  assert.deepStrictEqual(formatDrawCsv(DRAW, {}, 'en').split('\r\n'), [
+    'team,name,role,tags',
+    '1,A,Leader,',
+    '1,B,Member,',
+    '2,C,Member,',
+    ''
+  ]);
+  const markdown = formatDrawMarkdown(DRAW, 'en');
+  assert.ok(markdown.startsWith('| Team | Size | Members |'), 'Markdown 머리글 오류');
+  assert.ok(markdown.includes('| Team 2 | 1 person | C |'), 'Markdown 표 오류');
+  assert.ok(markdown.includes('Seed: `abc`'), 'Markdown 시드 누락');
+  // 언어를 주지 않으면 기존과 같은 한국어
+  assert.ok(formatDrawMarkdown(DRAW).includes('| 1조 | 2명 | A (조장), B |'));
+
+  const schedule = { rounds: [DRAW.teams, DRAW.teams], teamCount: 2, seed: 'abc', createdAt: DRAW.createdAt };
+  assert.ok(formatScheduleMarkdown(schedule, 'en').includes('### Round 2'), 'Markdown 라운드 제목 누락');
+});
@@ -0,0 +1,337 @@
+// core.js 속성 기반 테스트 - 무작위 명단/설정에서 항상 성립해야 하는 성질 확인
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fc from 'fast-check';
+import {
+  MIN_TEAM_COUNT,
+  MAX_TEAM_COUNT,
+  createRng,
+  assignTeams,
+  assignRoles,
+  applyAttendance,
+  assignStandIns,
+  buildRotationSchedule,
+  summarizePairMeetings,
+  getTeamSpread,
+  runDistributionTest,
+  checkUniformity,
+  splitCsvLine,
+  formatDrawCsv,
+  encodeShareData,
+  decodeShareData
+} from '../core.js';
+
+// 앞뒤 공백 없는 이름 (가져오기/CSV는 칸 값을 trim하므로)
+const nameArb = fc.string({ unit: 'grapheme', minLength: 1, maxLength: 6 })
+  .filter(name => name.trim() === name && name.length > 0);
+
+/**
+ * 무작위 편성 설정 - 명단 앞쪽부터 조장, 부조장, 고정 멤버 순으로 지정
+ * 조장/부조장도 실제 화면처럼 참가자 명단에 포함
+ */
+const settingsArb = fc.record({
+  names: fc.uniqueArray(nameArb, { maxLength: 30 }),
+  teamCount: fc.integer({ min: MIN_TEAM_COUNT, max: MAX_TEAM_COUNT }),
+  leaderCount: fc.nat(MAX_TEAM_COUNT),
+  subLeaderCount: fc.nat(MAX_TEAM_COUNT),
+  pinCount: fc.nat(5),
+  seed: fc.string()
+}).map(({ names, teamCount, leaderCount, subLeaderCount, pinCount, seed }) => {
+  const queue = [...names];
+  const leaders = {};
+  const subLeaders = {};
+  for (let i = 1; i <= Math.min(leaderCount, teamCount) && queue.length > 0; i++) {
+    leaders[i] = queue.shift();
+  }
+  for (let i = 1; i <= Math.min(subLeaderCount, teamCount) && queue.length > 0; i++) {
+    subLeaders[i] = queue.shift();
+  }
+  const constraints = queue.splice(0, pinCount).map((name, index) => ({ name, team: (index % teamCount) + 1 }));
+  return { participants: names, leaders, subLeaders, constraints, teamCount, seed };
+});
+
+function draw({ leaders, subLeaders, participants, constraints, teamCount, seed }, options) {
+  return assignTeams(leaders, subLeaders, participants, constraints, teamCount, createRng(seed), options);
+}
+
+function placedNames(teams, teamCount) {
+  const names = [];
+  for (let i = 1; i <= teamCount; i++) {
+    teams[i].forEach(member => names.push(member.name));
+  }
+  return names;
+}
+
+test('모든 참가자는 정확히 한 번 배치되어야 한다', () => {
+  fc.assert(fc.property(settingsArb, settings => {
+    const names = placedNames(draw(settings), settings.teamCount);
+    assert.deepStrictEqual([...names].sort(), [...settings.participants].sort());
+  }));
+});
+
+test('고정 인원이 없으면 조별 인원 차이는 1명 이하여야 한다', () => {
+  fc.assert(fc.property(settingsArb, settings => {
+    const free = { ...settings, leaders: {}, subLeaders: {}, constraints: [] };
+    assert.ok(getTeamSpread(draw(free), settings.teamCount) <= 1);
+  }));
+});
+
+test('조별 인원 차이는 고정 인원 차이와 1명 중 큰 값을 넘지 않아야 한다', () => {
+  fc.assert(fc.property(settingsArb, settings => {
+    const fixed = draw({ ...settings, participants: [] });
+    const limit = Math.max(1, getTeamSpread(fixed, settings.teamCount));
+    assert.ok(getTeamSpread(draw(settings), settings.teamCount) <= limit);
+  }));
+});
+
+test('조장/부조장/고정 멤버는 지정한 조에 배치되어야 한다', () => {
+  fc.assert(fc.property(settingsArb, settings => {
+    const teams = draw(settings);
+    const teamOf = name => Object.keys(teams).find(i => teams[i].some(member => member.name === name));
+    Object.entries(settings.leaders).forEach(([team, name]) => assert.deepStrictEqual(teamOf(name), team));
+    Object.entries(settings.subLeaders).forEach(([team, name]) => assert.deepStrictEqual(teamOf(name), team));
+    settings.constraints.forEach(({ name, team }) => assert.deepStrictEqual(teamOf(name), String(team)));
+  }));
+});
+
+test('정원을 정하면 넘지 않고, 정원 합이 충분하면 모두 배치되어야 한다', () => {
+  const arb = settingsArb.chain(settings => fc.record({
+    settings: fc.constant(settings),
+    capacities: fc.dictionary(
+      fc.integer({ min: 1, max: settings.teamCount }).map(String),
+      fc.integer({ min: 1, max: 8 })
+    )
+  }));
+
+  fc.assert(fc.property(arb, ({ settings, capacities }) => {
+    const fixed = draw({ ...settings, participants: [] });
+    let totalCapacity = 0;
+    let feasible = true;
+    for (let i = 1; i <= settings.teamCount; i++) {
+      const capacity = capacities[i] || Infinity;
+      totalCapacity += capacity;
+      if (fixed[i].length > capacity) feasible = false;
+    }
+    if (settings.participants.length > totalCapacity) feasible = false;
+
+    let teams;
+    try {
+      teams = draw(settings, { capacities });
+    } catch (e) {
+      assert.ok(!feasible, `만족할 수 있는 정원인데 Error: ${e.message}`);
+      return;
+    }
+    assert.ok(feasible, '만족할 수 없는 정원인데 Error가 없음');
+    for (let i = 1; i <= settings.teamCount; i++) {
+      assert.ok(teams[i].length <= (capacities[i] || Infinity), `${i}조 정원 초과`);
+    }
+    assert.deepStrictEqual(placedNames(teams, settings.teamCount).sort(), [...settings.participants].sort());
+  }));
+});
+
+test('무작위 역할은 사람이 있는 조마다 정확히 한 명이 맡아야 한다', () => {
+  const arb = fc.record({
+    settings: settingsArb,
+    roleNames: fc.uniqueArray(nameArb, { minLength: 1, maxLength: 4 })
+  });
+
+  fc.assert(fc.property(arb, ({ settings, roleNames }) => {
+    const roles = roleNames.map(name => ({ name, mode: 'random', assignees: {} }));
+    const teams = assignRoles(draw(settings), settings.teamCount, roles, createRng(settings.seed));
+    for (let i = 1; i <= settings.teamCount; i++) {
+      roleNames.forEach(name => {
+        const holders = teams[i].filter(member => (member.roles || []).includes(name));
+        assert.deepStrictEqual(holders.length, teams[i].length > 0 ? 1 : 0, `${i}조 ${name} 담당자 수 오류`);
+      });
+      // 조원이 역할 수보다 많으면 한 사람이 두 역할을 맡지 않음
+      if (teams[i].length >= roleNames.length) {
+        assert.ok(teams[i].every(member => (member.roles || []).length <= 1), `${i}조 역할 중복`);
+      }
+    }
+  }));
+});
+
+test('결석자는 배치되지 않고, 조장 자리는 대처 방식대로 채워져야 한다', () => {
+  const arb = settingsArb.chain(settings => fc.record({
+    settings: fc.constant(settings),
+    absent: fc.subarray(settings.participants),
+    leaderFallback: fc.constantFrom('subLeader', 'random', 'none')
+  }));
+
+  fc.assert(fc.property(arb, ({ settings, absent, leaderFallback }) => {
+    const { settings: present, standInTeams } = applyAttendance({ ...settings, pairConstraints: [], absent, leaderFallback });
+    const random = createRng(settings.seed);
+    const teams = assignStandIns(draw({ ...present, seed: settings.seed }), settings.teamCount, standInTeams, random);
+
+    const expected = settings.participants.filter(name => !absent.includes(name));
+    assert.deepStrictEqual(placedNames(teams, settings.teamCount).sort(), expected.sort());
+    for (let i = 1; i <= settings.teamCount; i++) {
+      const leaders = teams[i].filter(member => member.role === 'leader');
+      assert.ok(leaders.length <= 1, `${i}조 조장이 여러 명`);
+      const leader = settings.leaders[i];
+      if (leader && !absent.includes(leader)) {
+        assert.deepStrictEqual(leaders[0].name, leader, `${i}조 출석한 조장이 바뀜`);
+      } else if (leader && leaderFallback === 'none') {
+        assert.deepStrictEqual(leaders.length, 0, `${i}조 조장 없이 편성해야 함`);
+      } else if (leader && teams[i].some(member => member.role === 'member' || member.role === 'constrained')) {
+        assert.deepStrictEqual(leaders.length, 1, `${i}조 대신할 조장이 없음`);
+      }
+    }
+  }));
+});
+
+test('라운드 일정은 라운드마다 모두를 한 번씩, 고정 인원은 지정한 조에 배치해야 한다', () => {
+  fc.assert(fc.property(settingsArb, fc.integer({ min: 2, max: 4 }), (settings, roundCount) => {
+    const { leaders, subLeaders, participants, constraints, teamCount, seed } = settings;
+    const rounds = buildRotationSchedule(leaders, subLeaders, participants, constraints, teamCount, roundCount, createRng(seed), { candidates: 20 });
+    const fixed = draw({ ...settings, participants: [] });
+
+    assert.deepStrictEqual(rounds.length, roundCount);
+    rounds.forEach(({ teams }) => {
+      assert.deepStrictEqual(placedNames(teams, teamCount).sort(), [...participants].sort());
+      for (let i = 1; i <= teamCount; i++) {
+        fixed[i].forEach(({ name }) => assert.ok(teams[i].some(member => member.name === name), `${i}조 고정 인원 ${name} 누락`));
+      }
+    });
+
+    // 쌍별로 같은 조가 된 횟수는 라운드 수를 넘을 수 없음
+    const { pairs } = summarizePairMeetings(rounds.map(({ teams }) => teams), teamCount);
+    assert.ok(pairs.every(({ count }) => count >= 0 && count <= roundCount));
+  }), { numRuns: 50 });
+});
+
+test('같은 시드와 설정이면 같은 결과가 나와야 한다', () => {
+  fc.assert(fc.property(settingsArb, settings => {
+    assert.deepStrictEqual(draw(settings), draw(settings));
+  }));
+});
+
+test('쌍 제약조건은 편성에 성공하면 항상 지켜져야 한다', () => {
+  const pairsArb = settingsArb.filter(settings => settings.participants.length >= 2).chain(settings => {
+    const pairArb = fc.record({
+      a: fc.constantFrom(...settings.participants),
+      b: fc.constantFrom(...settings.participants),
+      type: fc.constantFrom('together', 'apart')
+    }).filter(({ a, b }) => a !== b);
+    return fc.record({
+      settings: fc.constant(settings),
+      pairs: fc.array(pairArb, { maxLength: 4 })
+    });
+  });
+
+  fc.assert(fc.property(pairsArb, ({ settings, pairs }) => {
+    let teams;
+    try {
+      teams = draw(settings, { pairs });
+    } catch (e) {
+      // 만족할 수 없는 조합은 Error로 알림
+      assert.ok(e instanceof Error);
+      return;
+    }
+    const teamOf = {};
+    for (let i = 1; i <= settings.teamCount; i++) {
+      teams[i].forEach(member => {
+        teamOf[member.name] = i;
+      });
+    }
+    pairs.forEach(({ a, b, type }) => {
+      assert.deepStrictEqual(teamOf[a] === teamOf[b], type === 'together', `${type}: ${a}, ${b}`);
+    });
+  }));
+});
+
+test('공유 링크는 임의의 이름과 결과를 그대로 복원해야 한다', () => {
+  fc.assert(fc.property(settingsArb, settings => {
+    const result = {
+      teams: draw(settings),
+      teamCount: settings.teamCount,
+      seed: settings.seed,
+      commitHash: null,
+      createdAt: '2024-01-01T00:00:00.000Z'
+    };
+    const shared = { teamCount: settings.teamCount, participants: settings.participants, leaders: settings.leaders };
+    const decoded = decodeShareData(encodeShareData(shared, result));
+    assert.deepStrictEqual(decoded.settings, shared);
+    assert.deepStrictEqual(decoded.draw, result);
+  }));
+});
+
+test('CSV 내보내기는 splitCsvLine으로 다시 읽으면 이름과 조가 같아야 한다', () => {
+  const csvNameArb = nameArb.filter(name => !/[\r\n]/.test(name));
+  const arb = settingsArb.chain(settings => fc.record({
+    settings: fc.constant(settings),
+    names: fc.uniqueArray(csvNameArb, { minLength: settings.participants.length, maxLength: settings.participants.length })
+  }));
+
+  fc.assert(fc.property(arb, ({ settings, names }) => {
+    const free = { ...settings, participants: names, leaders: {}, subLeaders: {}, constraints: [] };
+    const result = { teams: draw(free), teamCount: settings.teamCount, seed: settings.seed };
+    const lines = formatDrawCsv(result).split('\r\n').filter(Boolean);
+    const rows = lines.slice(1).map(line => splitCsvLine(line));
+
+    const expected = [];
+    for (let i = 1; i <= settings.teamCount; i++) {
+      result.teams[i].forEach(member => expected.push([String(i), member.name]));
+    }
+    assert.deepStrictEqual(rows.map(([team, name]) => [team, name]), expected);
+  }));
+});
+
+test('runDistributionTest의 개인별 배정 횟수 합은 반복 횟수와 같아야 한다', () => {
+  fc.assert(fc.property(settingsArb, fc.integer({ min: 1, max: 30 }), (settings, iterations) => {
+    const { leaders, subLeaders, participants, constraints, teamCount, seed } = settings;
+    const result = runDistributionTest(leaders, subLeaders, participants, constraints, teamCount, iterations, createRng(seed));
+
+    Object.values(result.stats).forEach(counts => {
+      const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+      assert.deepStrictEqual(total, iterations);
+    });
+    Object.values(result.expectedByName).forEach(probabilities => {
+      const sum = Object.values(probabilities).reduce((acc, p) => acc + p, 0);
+      assert.ok(Math.abs(sum - 1) < 1e-9, `기대 확률 합이 1이 아님: ${sum}`);
+    });
+  }), { numRuns: 50 });
+});
+
+test('checkUniformity의 p-value는 항상 0과 1 사이여야 한다', () => {
+  const statsArb = fc.integer({ min: MIN_TEAM_COUNT, max: 5 }).chain(teamCount => fc.record({
+    teamCount: fc.constant(teamCount),
+    rows: fc.array(fc.array(fc.nat(500), { minLength: teamCount, maxLength: teamCount }), { minLength: 2, maxLength: 6 })
+  })).filter(({ rows }) => rows.every(row => row.some(count => count > 0)));
+
+  fc.assert(fc.property(statsArb, ({ teamCount, rows }) => {
+    // 사람마다 합계가 다르면 반복 횟수가 맞지 않으므로 가장 큰 합계에 맞춰 1조에 나머지 배정
+    const iterations = Math.max(...rows.map(row => row.reduce((sum, count) => sum + count, 0)));
+    const stats = {};
+    const expected = {};
+    rows.forEach((row, index) => {
+      const counts = {};
+      const probabilities = {};
+      row.forEach((count, team) => {
+        counts[team + 1] = count;
+        probabilities[team + 1] = 1 / teamCount;
+      });
+      counts[1] += iterations - row.reduce((sum, count) => sum + count, 0);
+      stats[`P${index}`] = counts;
+      expected[`P${index}`] = probabilities;
+    });
+
+    const result = checkUniformity(stats, iterations, expected);
+    [result.overall.pValue, ...Object.values(result.persons).map(person => person.pValue)].forEach(p => {
+      assert.ok(p >= 0 && p <= 1, `p-value 범위 오류: ${p}`);
+    });
+  }));
+});
+
+test('균등 배분기로 만든 분포는 대부분 검정을 통과해야 한다', () => {
+  const participants = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I'];
+  let passed = 0;
+  for (let run = 0; run < 10; run++) {
+    const result = runDistributionTest({}, {}, participants, [], 3, 600, createRng(`uniform-${run}`));
+    if (checkUniformity(result.stats, 600, result.expectedByName).isUniform) {
+      passed++;
+    }
+  }
+  // 유의수준 0.05 - 10번 중 8번 이상 통과하지 못하면 배분이 치우친 것
+  assert.ok(passed >= 8, `통과 횟수: ${passed}/10`);
+});
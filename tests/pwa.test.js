@@ -0,0 +1,209 @@
+// 오프라인 지원 테스트 - manifest.webmanifest 와 sw.js를 가짜 브라우저 환경(node:vm)에서 확인
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, existsSync } from 'node:fs';
+import vm from 'node:vm';
+
+const ROOT = new URL('../', import.meta.url);
+const BASE = 'https://example.com/team/';
+
+const read = (path) => readFileSync(new URL(path, ROOT), 'utf8');
+
+/** PNG 헤더(IHDR)에서 가로·세로 크기 */
+function pngSize(path) {
+  const buffer = readFileSync(new URL(path, ROOT));
+  return `${buffer.readUInt32BE(16)}x${buffer.readUInt32BE(20)}`;
+}
+
+class FakeResponse {
+  constructor(body, ok = true) {
+    this.body = body;
+    this.ok = ok;
+  }
+  clone() {
+    return new FakeResponse(this.body, this.ok);
+  }
+}
+
+/**
+ * sw.js를 가짜 self, caches, fetch와 함께 실행
+ * - fetch: 절대 URL을 받아 FakeResponse를 돌려주는 함수
+ * - caches: 미리 담아 둘 캐시 { 캐시 이름: { URL: 응답 } }
+ * 반환: { store, calls, dispatch, request, cacheName, appShell }
+ */
+function loadWorker({ fetch, caches: initial = {} }) {
+  const store = new Map(Object.entries(initial).map(([name, entries]) => [name, new Map(Object.entries(entries))]));
+  const toUrl = (request) => new URL(typeof request === 'string' ? request : request.url, BASE).href;
+  const openCache = (name) => {
+    if (!store.has(name)) store.set(name, new Map());
+    const entries = store.get(name);
+    return {
+      addAll: (urls) => Promise.all(urls.map(async url => {
+        const response = await fetch(toUrl(url));
+        if (!response.ok) throw new Error(`캐시 실패: ${url}`);
+        entries.set(toUrl(url), response);
+      })),
+      put: async (request, response) => { entries.set(toUrl(request), response); }
+    };
+  };
+  const caches = {
+    open: async (name) => openCache(name),
+    keys: async () => [...store.keys()],
+    delete: async (name) => store.delete(name),
+    match: async (request) => {
+      for (const entries of store.values()) {
+        if (entries.has(toUrl(request))) return entries.get(toUrl(request));
+      }
+      return undefined;
+    }
+  };
+
+  const listeners = {};
+  const calls = { skipWaiting: 0, claim: 0 };
+  const self = {
+    location: new URL(BASE),
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+    skipWaiting: async () => { calls.skipWaiting++; },
+    clients: { claim: async () => { calls.claim++; } }
+  };
+  const context = vm.createContext({
+    self,
+    caches,
+    URL,
+    Promise,
+    fetch: (request) => fetch(toUrl(request)),
+    // 제한 시간은 바로 다음 차례에 끝나는 것으로 줄임
+    setTimeout: (fn) => setTimeout(fn, 0),
+    clearTimeout
+  });
+  vm.runInContext(read('sw.js'), context);
+
+  /** 이벤트를 보내고 응답과 (settle이면) waitUntil로 넘긴 작업까지 기다림 */
+  async function dispatch(type, fields = {}, { settle = true } = {}) {
+    const pending = [];
+    let response = null;
+    const event = {
+      ...fields,
+      waitUntil: (promise) => pending.push(promise),
+      respondWith: (promise) => { response = promise; }
+    };
+    listeners[type](event);
+    const result = await response;
+    if (settle) await Promise.all(pending);
+    return result;
+  }
+  const request = (path, fields = {}) => ({ url: new URL(path, BASE).href, method: 'GET', mode: 'no-cors', ...fields });
+
+  return {
+    store,
+    calls,
+    dispatch,
+    request,
+    cacheName: vm.runInContext('CACHE_NAME', context),
+    appShell: vm.runInContext('APP_SHELL', context)
+  };
+}
+
+const online = async (url) => new FakeResponse(`new ${url}`);
+const offline = async () => { throw new TypeError('Failed to fetch'); };
+
+test('manifest는 홈 화면 설치에 필요한 항목과 실제 아이콘 파일을 가져야 한다', () => {
+  const manifest = JSON.parse(read('manifest.webmanifest'));
+  assert.deepStrictEqual(manifest.start_url, './');
+  assert.deepStrictEqual(manifest.display, 'standalone');
+  assert.ok(manifest.name && manifest.short_name, '이름 누락');
+
+  manifest.icons.forEach(icon => {
+    assert.ok(existsSync(new URL(icon.src, ROOT)), `${icon.src} 파일 없음`);
+    if (icon.type === 'image/png') {
+      assert.deepStrictEqual(pngSize(icon.src), icon.sizes, `${icon.src} 크기 다름`);
+    }
+  });
+  const sizes = manifest.icons.map(icon => icon.sizes);
+  assert.ok(sizes.includes('192x192') && sizes.includes('512x512'), '192, 512 아이콘 필요');
+  assert.ok(manifest.icons.some(icon => icon.purpose === 'maskable'), 'maskable 아이콘 필요');
+
+  const html = read('index.html');
+  assert.ok(html.includes('<link rel="manifest" href="manifest.webmanifest">'), 'manifest 링크 누락');
+});
+
+test('캐시 목록은 index.html과 모듈이 불러오는 파일을 빠짐없이 담아야 한다', () => {
+  const { appShell } = loadWorker({ fetch: online });
+
+  // index.html의 href/src 와 스크립트의 상대 경로 import
+  const html = read('index.html');
+  const local = [...html.matchAll(/(?:href|src)="([^"#:]+)"/g)].map(match => `./${match[1]}`);
+  ['script.js', 'core.js', 'i18n.js'].forEach(file => {
+    [...read(file).matchAll(/from '(\.\/[^']+)'/g)].forEach(match => local.push(match[1]));
+  });
+  assert.ok(local.includes('./script.js?v=5') && local.includes('./i18n.js'), '경로 추출 오류');
+  local.forEach(path => assert.ok(appShell.includes(path), `${path} 가 APP_SHELL에 없음`));
+
+  appShell.forEach(path => {
+    const file = path.replace(/\?.*$/, '') === './' ? './index.html' : path.replace(/\?.*$/, '');
+    assert.ok(existsSync(new URL(file, ROOT)), `${path} 파일 없음`);
+  });
+});
+
+test('설치하면 앱 화면 파일을 캐시에 담고, 활성화하면 이전 버전 캐시만 지워야 한다', async () => {
+  const worker = loadWorker({
+    fetch: online,
+    caches: { 'team-randomizer-v0': { [`${BASE}index.html`]: new FakeResponse('old') }, 'other-app': {} }
+  });
+
+  await worker.dispatch('install');
+  const cached = worker.store.get(worker.cacheName);
+  worker.appShell.forEach(path => assert.ok(cached.has(new URL(path, BASE).href), `${path} 캐시 누락`));
+  assert.deepStrictEqual(worker.calls.skipWaiting, 1);
+
+  await worker.dispatch('activate');
+  assert.deepStrictEqual([...worker.store.keys()].sort(), ['other-app', worker.cacheName].sort());
+  assert.deepStrictEqual(worker.calls.claim, 1);
+});
+
+test('온라인이면 최신 파일로 응답하고 캐시를 갱신해야 한다', async () => {
+  const worker = loadWorker({ fetch: online });
+  await worker.dispatch('install');
+  worker.store.get(worker.cacheName).set(`${BASE}core.js`, new FakeResponse('old'));
+
+  const response = await worker.dispatch('fetch', { request: worker.request('core.js') });
+  assert.deepStrictEqual(response.body, `new ${BASE}core.js`);
+  assert.deepStrictEqual(worker.store.get(worker.cacheName).get(`${BASE}core.js`).body, `new ${BASE}core.js`);
+});
+
+test('오프라인이면 캐시된 파일로, 처음 보는 화면 주소는 index.html로 응답해야 한다', async () => {
+  let fetchImpl = online;
+  const worker = loadWorker({ fetch: (url) => fetchImpl(url) });
+  await worker.dispatch('install');
+  fetchImpl = offline;
+
+  const script = await worker.dispatch('fetch', { request: worker.request('script.js?v=5') });
+  assert.deepStrictEqual(script.body, `new ${BASE}script.js?v=5`);
+
+  // 공유 링크처럼 쿼리가 붙은 주소로 열어도 앱 화면
+  const page = await worker.dispatch('fetch', { request: worker.request('index.html?utm=qr', { mode: 'navigate' }) });
+  assert.deepStrictEqual(page.body, `new ${BASE}index.html`);
+
+  // 캐시에도 없는 파일은 네트워크 오류 그대로
+  await assert.rejects(worker.dispatch('fetch', { request: worker.request('missing.png') }), TypeError);
+});
+
+test('네트워크가 응답하지 않으면 제한 시간 뒤 캐시로 응답해야 한다', async () => {
+  let fetchImpl = online;
+  const worker = loadWorker({ fetch: (url) => fetchImpl(url) });
+  await worker.dispatch('install');
+  fetchImpl = () => new Promise(() => {});
+
+  // 끝나지 않는 요청이므로 waitUntil은 기다리지 않음
+  const response = await worker.dispatch('fetch', { request: worker.request('style.css?v=4') }, { settle: false });
+  assert.deepStrictEqual(response.body, `new ${BASE}style.css?v=4`);
+});
+
+test('다른 출처나 GET이 아닌 요청은 서비스 워커가 가로채지 않아야 한다', async () => {
+  const worker = loadWorker({ fetch: online });
+  let responded = false;
+  const fire = (request) => worker.dispatch('fetch', { request }).then(result => { responded = responded || result !== null; });
+  await fire(worker.request('https://cdn.example.org/lib.js'));
+  await fire(worker.request('index.html', { method: 'POST' }));
+  assert.deepStrictEqual(responded, false);
+});